@@ -0,0 +1,89 @@
+import { BaseAuthManager } from './base-auth-manager.js';
+
+/**
+ * ApiKeyAuthManager - Static API key for an upstream provider
+ * Used instead of the OAuth managers when PROVIDER_*_API_KEY is set: there is no
+ * credentials file, nothing to refresh and nothing to watch. The key is sent as a
+ * Bearer token (DashScope), in Google's x-goog-api-key header (Gemini) or in x-api-key (Anthropic).
+ */
+
+const AUTH_SCHEMES = ['bearer', 'x-goog-api-key', 'x-api-key'];
+
+export class ApiKeyAuthManager extends BaseAuthManager {
+  /**
+   * @param {string} apiKey - Provider API key
+   * @param {Logger} logger - Logger instance
+   * @param {Object} options - Key settings
+   * @param {string} options.name - Provider name, used in logs and errors
+   * @param {string} [options.scheme='bearer'] - 'bearer', 'x-goog-api-key' or 'x-api-key'
+   * @param {string} [options.apiBaseUrl] - API base URL the key is valid for
+   */
+  constructor(apiKey, logger, options = {}) {
+    super(null, logger);
+
+    const scheme = options.scheme || 'bearer';
+    if (!AUTH_SCHEMES.includes(scheme)) {
+      throw new Error(`Invalid API key scheme: ${scheme}. Must be one of: ${AUTH_SCHEMES.join(', ')}`);
+    }
+
+    this.name = options.name;
+    this.scheme = scheme;
+    this.apiBaseUrl = options.apiBaseUrl || null;
+    // Shaped like an OAuth token set so the credential pool can find and report the account
+    this.credentials = apiKey ? { access_token: apiKey } : null;
+  }
+
+  async initialize() {
+    if (!this.credentials) {
+      throw new Error(`${this.name} API key is empty. Set PROVIDER_${this.name.toUpperCase()}_API_KEY.`);
+    }
+
+    this.logger.info('Using API key authentication', {
+      provider: this.name,
+      scheme: this.scheme
+    });
+  }
+
+  async loadCredentials() {
+    // The key comes from configuration, not from a credentials file
+  }
+
+  async saveCredentials() {
+    // Nothing to persist
+  }
+
+  async reloadCredentials() {
+    // Nothing to reload
+  }
+
+  async getValidAccessToken() {
+    return this.credentials ? this.credentials.access_token : null;
+  }
+
+  getAuthHeaders(accessToken) {
+    if (this.scheme !== 'bearer') {
+      return { [this.scheme]: accessToken };
+    }
+    return super.getAuthHeaders(accessToken);
+  }
+
+  isTokenExpired() {
+    return false;
+  }
+
+  async refreshToken() {
+    throw new Error(`${this.name} API keys cannot be refreshed; check PROVIDER_${this.name.toUpperCase()}_API_KEY`);
+  }
+
+  startRefreshScheduler() {
+    // API keys do not expire
+  }
+
+  startCredentialsWatcher() {
+    // No credentials file to watch
+  }
+
+  getApiBaseUrl() {
+    return this.apiBaseUrl;
+  }
+}
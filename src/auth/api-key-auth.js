@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+
+/**
+ * ApiKeyAuthenticator - Checks inbound bridge API keys
+ * Keys are configured as SHA-256 hashes, so the plaintext never sits in .env or logs.
+ * Clients send the key as `Authorization: Bearer <key>` (OpenAI style) or `x-api-key` (Anthropic style).
+ */
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const KEY_PREFIX = 'cb-';
+
+// Paths that stay reachable without a key (liveness checks from Docker and load balancers);
+// a valid key is still recognised there and unlocks their detailed output
+const PUBLIC_PATHS = new Set(['/health']);
+
+// Login routes write stored credentials; without keys configured they only answer loopback clients
+const LOCAL_ONLY_PATH_PATTERN = /^\/auth\//;
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+export class ApiKeyAuthenticator {
+  /**
+   * @param {Array<string>} entries - Configured keys as `<sha256-hex>` or `<label>:<sha256-hex>`
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(entries, logger) {
+    this.logger = logger;
+    this.keys = entries.map((entry, index) => ApiKeyAuthenticator.parseEntry(entry, index));
+  }
+
+  /**
+   * Whether any keys are configured; without keys the bridge stays open
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Parse one configured key
+   * @param {string} entry - `<sha256-hex>` or `<label>:<sha256-hex>`
+   * @param {number} index - Position in the list, used for the default label
+   * @returns {Object} { label, hash }
+   */
+  static parseEntry(entry, index) {
+    const separator = entry.lastIndexOf(':');
+    const label = separator > 0 ? entry.slice(0, separator).trim() : `key-${index + 1}`;
+    const hash = entry.slice(separator + 1).trim().toLowerCase();
+
+    if (!HASH_PATTERN.test(hash)) {
+      throw new Error(
+        `Invalid BRIDGE_API_KEYS entry #${index + 1}: expected a SHA-256 hex hash, optionally prefixed with "label:". ` +
+        "Generate one with 'npm run auth -- key'."
+      );
+    }
+
+    return { label, hash: Buffer.from(hash, 'hex') };
+  }
+
+  /**
+   * Hash a plaintext key the way it is stored in BRIDGE_API_KEYS
+   * @param {string} key - Plaintext API key
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a new random API key
+   * @returns {string} Plaintext key
+   */
+  static generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Read the key a request was sent with
+   * @param {Object} headers - Request headers
+   * @returns {string|null} Plaintext key, or null when none was sent
+   */
+  extractKey(headers) {
+    const authorization = headers.authorization;
+    if (authorization) {
+      const match = authorization.match(/^Bearer\s+(.+)$/i);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+
+    return headers['x-api-key'] ? String(headers['x-api-key']).trim() : null;
+  }
+
+  /**
+   * Look up the configured key matching a plaintext key
+   * @param {string} key - Plaintext API key
+   * @returns {Object|null} { label } of the matching key, or null
+   */
+  findKey(key) {
+    const hash = Buffer.from(ApiKeyAuthenticator.hashKey(key), 'hex');
+    let match = null;
+
+    // Compare against every key in constant time so timing does not reveal which hashes exist
+    for (const candidate of this.keys) {
+      if (crypto.timingSafeEqual(candidate.hash, hash) && !match) {
+        match = candidate;
+      }
+    }
+
+    return match ? { label: match.label } : null;
+  }
+
+  /**
+   * Authenticate a request
+   * @param {Object} req - Express request
+   * @returns {Object} { label } of the key used
+   * @throws {Error} With statusCode 401 and code missing_api_key or invalid_api_key
+   */
+  authenticate(req) {
+    const key = this.extractKey(req.headers);
+
+    if (!key) {
+      throw this.createAuthError(
+        'missing_api_key',
+        "You didn't provide an API key. Send it as 'Authorization: Bearer <key>' or in the 'x-api-key' header."
+      );
+    }
+
+    const match = this.findKey(key);
+    if (!match) {
+      throw this.createAuthError('invalid_api_key', `Incorrect API key provided: ${ApiKeyAuthenticator.redactKey(key)}.`);
+    }
+
+    return match;
+  }
+
+  /**
+   * Express middleware that rejects requests without a valid key
+   * Without keys configured, login routes are refused to anyone but loopback clients
+   * @param {ErrorHandler} errorHandler - Formats the 401 or 403 response
+   * @returns {Function} Middleware
+   */
+  middleware(errorHandler) {
+    return (req, res, next) => {
+      if (!this.isEnabled()) {
+        if (LOCAL_ONLY_PATH_PATTERN.test(req.path) && !LOOPBACK_ADDRESSES.has(req.socket?.remoteAddress)) {
+          this.logger.warn('Rejected remote login request while BRIDGE_API_KEYS is empty', {
+            path: req.path,
+            ip: req.ip
+          });
+          return errorHandler.handleRequestError(this.createAuthError(
+            'remote_login_not_allowed',
+            'Login endpoints only accept requests from localhost while BRIDGE_API_KEYS is empty. Configure API keys to log in remotely.',
+            403
+          ), req, res);
+        }
+        return next();
+      }
+      if (PUBLIC_PATHS.has(req.path)) {
+        const key = this.extractKey(req.headers);
+        req.apiKey = key ? this.findKey(key) : null;
+        return next();
+      }
+
+      try {
+        req.apiKey = this.authenticate(req);
+        next();
+      } catch (error) {
+        this.logger.warn('Rejected request without a valid API key', {
+          path: req.path,
+          reason: error.code,
+          ip: req.ip
+        });
+        errorHandler.handleRequestError(error, req, res);
+      }
+    };
+  }
+
+  /**
+   * Error for a missing or unknown key, or a refused remote login
+   * @param {string} code - missing_api_key, invalid_api_key or remote_login_not_allowed
+   * @param {string} message - Error message
+   * @param {number} [statusCode=401] - HTTP status
+   * @returns {Error} Error with statusCode and code set
+   */
+  createAuthError(code, message, statusCode = 401) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Show only the ends of a key in errors and logs
+   * @param {string} key - Plaintext API key
+   * @returns {string} Redacted key
+   */
+  static redactKey(key) {
+    if (key.length <= 8) {
+      return '****';
+    }
+    return `${key.slice(0, 3)}****${key.slice(-4)}`;
+  }
+}
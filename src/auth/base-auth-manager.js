@@ -1,3 +1,8 @@
+import fs from 'fs/promises';
+import { watch, watchFile, unwatchFile } from 'fs';
+import path from 'path';
+import { withFileLock, getLockPath } from '../utils/file-lock.js';
+
 /**
  * BaseAuthManager - Abstract base class for authentication managers
  * All provider-specific auth managers must extend this class
@@ -8,6 +13,9 @@ export class BaseAuthManager {
     this.credentialsPath = credentialsPath;
     this.logger = logger;
     this.credentials = null;
+    this.refreshPromise = null; // In-flight refresh shared by concurrent callers
+    this.refreshScheduler = null; // Background refresh state, see startRefreshScheduler()
+    this.credentialsWatcher = null; // File watcher state, see startCredentialsWatcher()
   }
   
   /**
@@ -34,6 +42,233 @@ export class BaseAuthManager {
     throw new Error('saveCredentials() must be implemented by subclass');
   }
   
+  /**
+   * Read and parse the credentials file without touching in-memory credentials
+   * @returns {Promise<Object|null>} Credentials on disk, or null if the file does not exist
+   */
+  async readCredentialsFile() {
+    try {
+      const data = await fs.readFile(this.credentialsPath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Atomically write in-memory credentials to disk under the advisory lock
+   * If another process (e.g. the official CLI) already wrote a token set that expires
+   * later, that one is kept and adopted instead of being overwritten
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.replace=false] - Always write ours (e.g. after an explicit login)
+   * @returns {Promise<void>}
+   */
+  async writeCredentialsFile(options = {}) {
+    // First login on this machine: ~/.qwen or ~/.gemini may not exist yet
+    await fs.mkdir(path.dirname(this.credentialsPath), { recursive: true, mode: 0o700 });
+    
+    await withFileLock(getLockPath(this.credentialsPath), async () => {
+      // A half-written or unreadable file is replaced by ours
+      const onDisk = options.replace ? null : await this.readCredentialsFile().catch(() => null);
+      if (this.isNewerCredentials(onDisk, this.credentials)) {
+        this.adoptCredentials(onDisk);
+        return;
+      }
+      
+      const tempPath = `${this.credentialsPath}.tmp`;
+      const data = JSON.stringify(this.credentials, null, 2);
+      
+      await fs.writeFile(tempPath, data, { mode: 0o600 });
+      await fs.rename(tempPath, this.credentialsPath);
+    });
+  }
+  
+  /**
+   * Store a token set obtained by a login flow, replacing whatever is on disk
+   * @param {Object} credentials - Credentials in oauth_creds.json format
+   * @returns {Promise<void>}
+   */
+  async storeCredentials(credentials) {
+    this.credentials = credentials;
+    await this.writeCredentialsFile({ replace: true });
+    
+    this.logger.info('Stored new credentials', {
+      credentialsPath: this.credentialsPath,
+      expiryDate: new Date(credentials.expiry_date).toISOString()
+    });
+    
+    if (this.refreshScheduler) {
+      this.refreshScheduler.attempt = 0;
+      this.scheduleNextRefresh();
+    }
+  }
+  
+  /**
+   * Check whether a candidate token set is usable and expires later than the current one
+   * @param {Object|null} candidate - Credentials read from disk
+   * @param {Object|null} current - Credentials held in memory
+   * @returns {boolean} True if the candidate should replace the current credentials
+   */
+  isNewerCredentials(candidate, current) {
+    if (!candidate || !candidate.access_token || !candidate.refresh_token || !candidate.expiry_date) {
+      return false;
+    }
+    return candidate.expiry_date > ((current && current.expiry_date) || 0);
+  }
+  
+  /**
+   * Replace in-memory credentials with a token set written by another process
+   * @param {Object} credentials - Credentials read from disk
+   */
+  adoptCredentials(credentials) {
+    this.credentials = credentials;
+    
+    this.logger.info('Picked up newer credentials from disk', {
+      credentialsPath: this.credentialsPath,
+      expiryDate: new Date(credentials.expiry_date).toISOString()
+    });
+    
+    // The new token set has its own expiry, so the next refresh moves with it
+    if (this.refreshScheduler) {
+      this.refreshScheduler.attempt = 0;
+      this.scheduleNextRefresh();
+    }
+  }
+  
+  /**
+   * Reload credentials from disk, keeping whichever token set expires later
+   * @returns {Promise<boolean>} True if the on-disk credentials were adopted
+   */
+  async reloadCredentials() {
+    // Let an in-flight refresh land first so its save is not mistaken for an outside change
+    if (this.refreshPromise) {
+      await this.refreshPromise.catch(() => {});
+    }
+    
+    return await this.adoptNewerCredentialsFromDisk();
+  }
+  
+  /**
+   * Adopt the on-disk credentials if they expire later than the in-memory ones
+   * @returns {Promise<boolean>} True if the on-disk credentials were adopted
+   */
+  async adoptNewerCredentialsFromDisk() {
+    let onDisk;
+    try {
+      onDisk = await this.readCredentialsFile();
+    } catch (error) {
+      // Most likely caught mid-write by a process that does not write atomically
+      this.logger.debug('Ignoring unreadable credentials file', {
+        credentialsPath: this.credentialsPath,
+        error: error.message
+      });
+      return false;
+    }
+    
+    if (!this.isNewerCredentials(onDisk, this.credentials)) {
+      return false;
+    }
+    
+    this.adoptCredentials(onDisk);
+    return true;
+  }
+  
+  /**
+   * Watch the credentials file and reload it when another process rewrites it
+   * Watches the parent directory because atomic writes replace the file; falls back
+   * to stat polling where fs.watch is unavailable (e.g. some network or Docker mounts)
+   * @param {Object} [options] - Watcher options
+   * @param {number} [options.pollIntervalMs=5000] - Polling interval for the fallback
+   * @param {number} [options.debounceMs=100] - Quiet period before reloading after a change
+   */
+  startCredentialsWatcher(options = {}) {
+    this.stopCredentialsWatcher();
+    
+    const state = {
+      pollIntervalMs: options.pollIntervalMs ?? 5000,
+      debounceMs: options.debounceMs ?? 100,
+      debounceTimer: null,
+      watcher: null,
+      pollListener: null
+    };
+    this.credentialsWatcher = state;
+    
+    const fileName = path.basename(this.credentialsPath);
+    const onChange = () => {
+      clearTimeout(state.debounceTimer);
+      state.debounceTimer = setTimeout(() => {
+        this.reloadCredentials().catch(error => {
+          this.logger.warn('Failed to reload credentials', { error: error.message });
+        });
+      }, state.debounceMs);
+      state.debounceTimer.unref?.();
+    };
+    
+    const startPolling = () => {
+      state.pollListener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          onChange();
+        }
+      };
+      watchFile(this.credentialsPath, { interval: state.pollIntervalMs, persistent: false }, state.pollListener);
+      
+      this.logger.debug('Polling credentials file for changes', {
+        credentialsPath: this.credentialsPath,
+        intervalMs: state.pollIntervalMs
+      });
+    };
+    
+    try {
+      state.watcher = watch(path.dirname(this.credentialsPath), { persistent: false }, (eventType, changedFile) => {
+        if (!changedFile || changedFile.toString() === fileName) {
+          onChange();
+        }
+      });
+      
+      state.watcher.on('error', error => {
+        this.logger.warn('Credentials file watcher failed, falling back to polling', {
+          error: error.message
+        });
+        state.watcher.close();
+        state.watcher = null;
+        if (this.credentialsWatcher === state) {
+          startPolling();
+        }
+      });
+      
+      this.logger.debug('Watching credentials file for changes', {
+        credentialsPath: this.credentialsPath
+      });
+    } catch (error) {
+      this.logger.warn('Unable to watch credentials file, falling back to polling', {
+        error: error.message
+      });
+      startPolling();
+    }
+  }
+  
+  /**
+   * Stop watching the credentials file
+   */
+  stopCredentialsWatcher() {
+    const state = this.credentialsWatcher;
+    if (!state) {
+      return;
+    }
+    
+    clearTimeout(state.debounceTimer);
+    if (state.watcher) {
+      state.watcher.close();
+    }
+    if (state.pollListener) {
+      unwatchFile(this.credentialsPath, state.pollListener);
+    }
+    this.credentialsWatcher = null;
+  }
+  
   /**
    * Check if the current token is expired
    * @returns {boolean} True if token is expired
@@ -50,6 +285,160 @@ export class BaseAuthManager {
     throw new Error('refreshToken() must be implemented by subclass');
   }
   
+  /**
+   * Refresh the access token through a single in-flight refresh per auth manager
+   * Concurrent callers share the same promise, so a burst of requests with an expired
+   * token sends one refresh instead of racing each other with the same refresh token
+   * @returns {Promise<string>} New access token
+   */
+  refreshTokenShared() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshToken()
+        .then(accessToken => {
+          // Any successful refresh (scheduled or request-path) moves the next scheduled one
+          if (this.refreshScheduler) {
+            this.refreshScheduler.attempt = 0;
+            this.scheduleNextRefresh();
+          }
+          return accessToken;
+        })
+        .catch(async error => {
+          // The official CLI may have rotated the refresh token under us; use its token set if so
+          if (await this.adoptNewerCredentialsFromDisk() && !this.isTokenExpired()) {
+            return this.credentials.access_token;
+          }
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+  
+  /**
+   * Start refreshing the access token in the background ahead of expiry_date
+   * Keeps tokens fresh so requests only refresh inline when the scheduler has fallen behind
+   * @param {Object} [options] - Scheduler options
+   * @param {string} [options.name] - Provider name used in log output
+   * @param {number} [options.leadTimeMs=600000] - How long before expiry_date to refresh
+   * @param {number} [options.retryDelayMs=5000] - First retry delay after a failed refresh
+   * @param {number} [options.maxRetryDelayMs=300000] - Upper bound for the exponential backoff
+   */
+  startRefreshScheduler(options = {}) {
+    this.stopRefreshScheduler();
+    
+    this.refreshScheduler = {
+      name: options.name || this.constructor.name,
+      leadTimeMs: options.leadTimeMs ?? 10 * 60 * 1000,
+      retryDelayMs: options.retryDelayMs ?? 5000,
+      maxRetryDelayMs: options.maxRetryDelayMs ?? 5 * 60 * 1000,
+      attempt: 0,
+      timer: null
+    };
+    
+    this.scheduleNextRefresh();
+  }
+  
+  /**
+   * Stop the background refresh scheduler and cancel any pending refresh
+   */
+  stopRefreshScheduler() {
+    if (this.refreshScheduler) {
+      clearTimeout(this.refreshScheduler.timer);
+      this.refreshScheduler = null;
+    }
+  }
+  
+  /**
+   * Schedule the next background refresh
+   * @param {number} [delayMs] - Explicit delay (used for retries); defaults to expiry_date minus lead time
+   */
+  scheduleNextRefresh(delayMs) {
+    const scheduler = this.refreshScheduler;
+    if (!scheduler) {
+      return;
+    }
+    
+    clearTimeout(scheduler.timer);
+    scheduler.timer = null;
+    
+    if (delayMs === undefined) {
+      if (!this.credentials || !this.credentials.expiry_date) {
+        return;
+      }
+      delayMs = Math.max(0, this.credentials.expiry_date - scheduler.leadTimeMs - Date.now());
+    }
+    
+    // setTimeout overflows above ~24.8 days; a shorter wait just re-evaluates the schedule
+    const MAX_TIMER_DELAY = 2 ** 31 - 1;
+    const clampedDelay = Math.min(delayMs, MAX_TIMER_DELAY);
+    
+    scheduler.timer = setTimeout(() => this.runScheduledRefresh(), clampedDelay);
+    // Never keep the process alive just to refresh a token
+    scheduler.timer.unref?.();
+    
+    this.logger.debug('Scheduled background token refresh', {
+      provider: scheduler.name,
+      refreshAt: new Date(Date.now() + clampedDelay).toISOString(),
+      attempt: scheduler.attempt
+    });
+  }
+  
+  /**
+   * Run one scheduled refresh, retrying with exponential backoff on failure
+   * @returns {Promise<void>}
+   */
+  async runScheduledRefresh() {
+    const scheduler = this.refreshScheduler;
+    if (!scheduler) {
+      return;
+    }
+    
+    // Another caller may have refreshed already; only re-arm the timer in that case
+    if (this.credentials && this.credentials.expiry_date - scheduler.leadTimeMs > Date.now()) {
+      this.scheduleNextRefresh();
+      return;
+    }
+    
+    scheduler.attempt++;
+    const attempt = scheduler.attempt;
+    
+    try {
+      await this.refreshTokenShared();
+      
+      this.logger.logTokenRefresh(true, {
+        provider: scheduler.name,
+        trigger: 'scheduled',
+        attempt,
+        expiryDate: new Date(this.credentials.expiry_date).toISOString()
+      });
+    } catch (error) {
+      // The scheduler may have been stopped while the refresh was in flight
+      if (this.refreshScheduler !== scheduler) {
+        return;
+      }
+      
+      // Revoked or invalid credentials will not recover by retrying
+      const fatal = error.message.includes('FATAL:');
+      const retryInMs = fatal
+        ? null
+        : Math.min(scheduler.retryDelayMs * 2 ** (attempt - 1), scheduler.maxRetryDelayMs);
+      
+      this.logger.logTokenRefresh(false, {
+        provider: scheduler.name,
+        trigger: 'scheduled',
+        attempt,
+        error: error.message,
+        retryInMs
+      });
+      
+      if (!fatal) {
+        this.scheduleNextRefresh(retryInMs);
+      }
+    }
+  }
+  
   /**
    * Get a valid access token, refreshing if necessary
    * @returns {Promise<string|null>} Valid access token or null if unavailable
@@ -57,7 +446,16 @@ export class BaseAuthManager {
   async getValidAccessToken() {
     throw new Error('getValidAccessToken() must be implemented by subclass');
   }
-  
+
+  /**
+   * Headers that authenticate an upstream request with a token from getValidAccessToken()
+   * @param {string} accessToken - Access token
+   * @returns {Object} Header values keyed by name
+   */
+  getAuthHeaders(accessToken) {
+    return { 'Authorization': `Bearer ${accessToken}` };
+  }
+
   /**
    * Get the provider's API base URL from credentials
    * @returns {string} API base URL
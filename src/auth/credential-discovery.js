@@ -1,7 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import { spawn } from 'child_process';
 
 /**
  * CredentialDiscovery - Dynamically discovers OAuth client credentials from CLI tools
@@ -57,13 +56,13 @@ export class CredentialDiscovery {
       // Use environment variable if set, otherwise default to home directory
       const geminiCredentialsPath = process.env.PROVIDER_GEMINI_CREDENTIALS_PATH || 
                                    path.join(os.homedir(), '.gemini', 'oauth_creds.json');
-      const geminiConfigDir = path.dirname(geminiCredentialsPath);
       
-      // Check if Gemini credentials file exists
+      // A missing file is not fatal: `npm run auth -- gemini` can create it
       try {
         await fs.access(geminiCredentialsPath);
+        this.logger.info('Gemini credentials file found', { path: geminiCredentialsPath });
       } catch (error) {
-        throw new Error('Gemini credentials file not found. Please authenticate with the Gemini CLI first.');
+        this.logger.warn('Gemini credentials file not found', { path: geminiCredentialsPath });
       }
 
       // Try to extract client credentials from Gemini CLI configuration
@@ -100,78 +99,16 @@ export class CredentialDiscovery {
       this.logger.debug('Could not get Gemini credentials from CLI', { error: error.message });
     }
     
-    // Method 2: Try to get from gemini CLI info command (fallback)
-    try {
-      const cliCredentials = await this.getGeminiCredentialsFromCLI();
-      if (cliCredentials.clientId && cliCredentials.clientSecret) {
-        this.logger.info('Found Gemini credentials from CLI command');
-        return cliCredentials;
-      }
-    } catch (error) {
-      this.logger.debug('Could not get Gemini credentials from CLI command', { error: error.message });
-    }
-
-    // Method 3: Use known Google AI Studio credentials (if available)
+    // Method 2: Use known Google AI Studio credentials (if available)
     const knownCredentials = this.getKnownGeminiCredentials();
     if (knownCredentials) {
       this.logger.info('Using known Gemini credentials');
       return knownCredentials;
     }
 
-    throw new Error('Could not discover Gemini client credentials. Please ensure the Gemini CLI is properly configured.');
+    throw new Error('Could not discover Gemini client credentials. Set PROVIDER_GEMINI_CLIENT_ID and PROVIDER_GEMINI_CLIENT_SECRET, or install the Gemini CLI.');
   }
 
-  /**
-   * Attempt to get Gemini credentials from CLI commands
-   */
-  async getGeminiCredentialsFromCLI() {
-    return new Promise((resolve, reject) => {
-      // Try to run gemini config command to get client info
-      const geminiProcess = spawn('gemini', ['config', 'get'], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let output = '';
-      let errorOutput = '';
-
-      geminiProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      geminiProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      geminiProcess.on('close', (code) => {
-        if (code === 0) {
-          try {
-            // Parse output to extract client credentials
-            const credentials = this.parseGeminiConfigOutput(output);
-            resolve(credentials);
-          } catch (error) {
-            reject(new Error(`Failed to parse gemini config output: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`gemini config command failed: ${errorOutput}`));
-        }
-      });
-
-      geminiProcess.on('error', (error) => {
-        reject(new Error(`Failed to execute gemini config: ${error.message}`));
-      });
-    });
-  }
-
-  /**
-   * Parse gemini CLI config output to extract credentials
-   */
-  parseGeminiConfigOutput(output) {
-    // This would need to be implemented based on actual gemini CLI output format
-    // For now, return empty object
-    this.logger.debug('Gemini config output', { output });
-    return {};
-  }
-  
   /**
    * Extract Gemini client credentials from the installed CLI
    */
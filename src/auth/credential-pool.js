@@ -0,0 +1,459 @@
+import { CircuitBreaker, CIRCUIT_STATES } from '../circuit-breaker.js';
+
+/**
+ * CredentialPool - Spreads requests across several OAuth accounts of one provider
+ * Each account is a separate credentials file with its own auth manager. Accounts that
+ * hit a rate limit or run out of quota are taken out of rotation until their reset time.
+ * Each account also has a circuit breaker, so an account whose requests keep failing with
+ * server errors or timeouts is skipped until a trial request succeeds.
+ */
+
+const ROTATION_STRATEGIES = ['round-robin', 'least-used'];
+
+// Cool-down used for a 429 that carries no Retry-After information
+const DEFAULT_RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+
+// Cool-down used for an account whose refresh token was rejected, so it is not hammered
+const AUTH_FAILURE_COOLDOWN_MS = 60 * 1000;
+
+// Upstream messages that mean the account's daily quota is used up
+const QUOTA_ERROR_PATTERN = /quota|RESOURCE_EXHAUSTED/i;
+
+export class CredentialPool {
+  /**
+   * @param {string} providerName - Provider the accounts belong to (used in logs and errors)
+   * @param {Array<BaseAuthManager>} authManagers - One auth manager per credentials file
+   * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Pool options
+   * @param {string} [options.strategy='round-robin'] - 'round-robin' or 'least-used'
+   * @param {Object} [options.circuitBreaker] - Per-account circuit breaker settings, see CircuitBreaker
+   */
+  constructor(providerName, authManagers, logger, options = {}) {
+    if (!authManagers || authManagers.length === 0) {
+      throw new Error(`Credential pool for ${providerName} needs at least one account`);
+    }
+
+    const strategy = options.strategy || 'round-robin';
+    if (!ROTATION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid rotation strategy: ${strategy}. Must be one of: ${ROTATION_STRATEGIES.join(', ')}`);
+    }
+
+    this.providerName = providerName;
+    this.logger = logger;
+    this.strategy = strategy;
+    this.nextIndex = 0;
+    this.backgroundOptions = null; // Set by startBackgroundTasks() for accounts activated later
+    this.accounts = authManagers.map((authManager, index) => ({
+      id: `${providerName}-${index + 1}`,
+      authManager,
+      initialized: false,
+      requests: 0,
+      cooldownUntil: null,
+      cooldownReason: null,
+      lastError: null,
+      breaker: new CircuitBreaker(`${providerName}-${index + 1}`, options.circuitBreaker, logger)
+    }));
+  }
+
+  /**
+   * Initialize every account; accounts that fail stay out of rotation
+   * Throws only when no account could be initialized
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    let firstError = null;
+
+    for (const account of this.accounts) {
+      try {
+        await account.authManager.initialize();
+        account.initialized = true;
+      } catch (error) {
+        firstError = firstError || error;
+        account.lastError = error.message;
+        this.logger.error('Failed to initialize account', {
+          provider: this.providerName,
+          account: account.id,
+          credentialsPath: account.authManager.credentialsPath,
+          error: error.message
+        });
+      }
+    }
+
+    if (!this.accounts.some(account => account.initialized)) {
+      throw firstError;
+    }
+
+    this.logger.info('Credential pool initialized', {
+      provider: this.providerName,
+      accounts: this.accounts.length,
+      available: this.accounts.filter(account => account.initialized).length,
+      strategy: this.strategy
+    });
+  }
+
+  /**
+   * Start the background refresh scheduler and credentials watcher for every account
+   * @param {Object} [options] - Background task options
+   * @param {number} [options.leadTimeMs] - Refresh lead time, see BaseAuthManager.startRefreshScheduler()
+   * @param {number} [options.pollIntervalMs] - Watcher polling interval, see BaseAuthManager.startCredentialsWatcher()
+   */
+  startBackgroundTasks(options = {}) {
+    this.backgroundOptions = options;
+    for (const account of this.accounts) {
+      if (account.initialized) {
+        this.startAccountTasks(account);
+      }
+    }
+  }
+
+  /**
+   * Start the background refresh scheduler and credentials watcher for one account
+   * @param {Object} account - Pool account
+   */
+  startAccountTasks(account) {
+    account.authManager.startRefreshScheduler({
+      name: this.accounts.length > 1 ? account.id : this.providerName,
+      leadTimeMs: this.backgroundOptions.leadTimeMs
+    });
+    account.authManager.startCredentialsWatcher({
+      pollIntervalMs: this.backgroundOptions.pollIntervalMs
+    });
+  }
+
+  /**
+   * Bring an account into rotation after a login wrote its credentials file
+   * @param {string} credentialsPath - Credentials file the login wrote
+   * @returns {Promise<boolean>} True if the file belongs to an account of this pool
+   */
+  async activateAccount(credentialsPath) {
+    const account = this.accounts.find(candidate => candidate.authManager.credentialsPath === credentialsPath);
+    if (!account) {
+      return false;
+    }
+
+    if (account.initialized) {
+      await account.authManager.reloadCredentials();
+    } else {
+      await account.authManager.initialize();
+      account.initialized = true;
+      if (this.backgroundOptions) {
+        this.startAccountTasks(account);
+      }
+    }
+
+    // A fresh login clears a rejected-credentials cool-down, not a quota one
+    if (account.cooldownReason === 'authentication_failed') {
+      account.cooldownUntil = null;
+      account.cooldownReason = null;
+    }
+    account.lastError = null;
+
+    this.logger.info('Account activated after login', {
+      provider: this.providerName,
+      account: account.id
+    });
+    return true;
+  }
+
+  /**
+   * Stop background tasks for every account
+   */
+  shutdown() {
+    for (const account of this.accounts) {
+      account.authManager.stopRefreshScheduler();
+      account.authManager.stopCredentialsWatcher();
+    }
+  }
+
+  /**
+   * Check whether an account can take requests right now
+   * @param {Object} account - Pool account
+   * @returns {boolean} True if the account is in rotation
+   */
+  isAvailable(account) {
+    if (!account.initialized) {
+      return false;
+    }
+    if (account.cooldownUntil && account.cooldownUntil > Date.now()) {
+      return false;
+    }
+    // Read-only: the breaker is only claimed for the account acquire() picks
+    if (!account.breaker.canRequest()) {
+      return false;
+    }
+    if (account.cooldownUntil) {
+      // Cool-down is over; put the account back into rotation
+      this.logger.info('Account back in rotation', {
+        provider: this.providerName,
+        account: account.id
+      });
+      account.cooldownUntil = null;
+      account.cooldownReason = null;
+    }
+    return true;
+  }
+
+  /**
+   * Order the available accounts by the rotation strategy
+   * @param {Object} [exclude] - Account to leave out (e.g. one that just failed)
+   * @returns {Array<Object>} Candidate accounts, best first
+   */
+  getCandidates(exclude = null) {
+    const available = this.accounts.filter(account => account !== exclude && this.isAvailable(account));
+
+    if (this.strategy === 'least-used') {
+      return available.sort((a, b) => a.requests - b.requests);
+    }
+
+    // Round-robin: start after the last account handed out
+    const start = this.nextIndex % this.accounts.length;
+    return available.sort((a, b) => {
+      const indexA = (this.accounts.indexOf(a) - start + this.accounts.length) % this.accounts.length;
+      const indexB = (this.accounts.indexOf(b) - start + this.accounts.length) % this.accounts.length;
+      return indexA - indexB;
+    });
+  }
+
+  /**
+   * Pick an account and get a valid access token from it
+   * Accounts whose refresh fails are skipped in favour of the next one
+   * @param {Object} [exclude] - Account to leave out
+   * @returns {Promise<{account: Object, accessToken: string}|null>} Selected account, or null if no account has a usable token
+   */
+  async acquire(exclude = null) {
+    const candidates = this.getCandidates(exclude);
+
+    if (candidates.length === 0) {
+      const rateLimited = this.accounts.filter(account =>
+        account.initialized && account.cooldownUntil && account.cooldownReason !== 'authentication_failed'
+      );
+      if (rateLimited.length > 0) {
+        throw this.createExhaustedError(rateLimited);
+      }
+
+      const tripped = this.accounts.filter(account => account.initialized && !account.breaker.canRequest());
+      if (tripped.length > 0) {
+        // Report the account whose trial comes first
+        throw tripped.sort((a, b) => a.breaker.getRetryAfterMs() - b.breaker.getRetryAfterMs())[0].breaker.createOpenError();
+      }
+
+      // Only accounts with rejected credentials left: report it as an auth failure
+      return null;
+    }
+
+    let lastError = null;
+    let busy = null;
+    for (const account of candidates) {
+      // Claim the account's breaker; a half-open one may already have its trial in flight
+      if (!account.breaker.allowRequest()) {
+        busy = account;
+        continue;
+      }
+
+      let accessToken = null;
+      try {
+        accessToken = await account.authManager.getValidAccessToken();
+      } catch (error) {
+        account.breaker.releaseTrial();
+        lastError = error;
+        account.lastError = error.message;
+        this.logger.warn('Account failed to provide an access token', {
+          provider: this.providerName,
+          account: account.id,
+          error: error.message
+        });
+        continue;
+      }
+
+      if (!accessToken) {
+        account.breaker.releaseTrial();
+        this.startCooldown(account, Date.now() + AUTH_FAILURE_COOLDOWN_MS, 'authentication_failed');
+        continue;
+      }
+
+      this.nextIndex = this.accounts.indexOf(account) + 1;
+      account.requests++;
+      return { account, accessToken };
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    if (busy) {
+      throw busy.breaker.createOpenError();
+    }
+    return null;
+  }
+
+  /**
+   * Send a request with an account from acquire(), moving to the next account on rate-limit errors
+   * The account is passed in rather than looked up by token, since a background refresh may
+   * replace the account's token between acquire() and forward()
+   * @param {Object} selected - { account, accessToken } from acquire(); with no account the token is used once, without rotation
+   * @param {Function} send - async (accessToken, account) => response
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.stream] - The response is a stream that may still fail while it is read:
+   *   instead of counting a success now, response.trackStream(chunks) wraps the parsed stream and
+   *   records the serving account's outcome when it ends
+   * @param {AbortSignal} [options.signal] - Client abort signal; an aborted stream counts for nothing
+   * @returns {Promise<*>} Result of send()
+   */
+  async forward(selected, send, { stream = false, signal } = {}) {
+    let { account = null, accessToken: token } = selected;
+
+    while (true) {
+      try {
+        const response = await send(token, account);
+        if (stream && account) {
+          const { breaker } = account;
+          response.trackStream = chunks => breaker.trackStream(chunks, signal);
+        } else {
+          account?.breaker.recordSuccess();
+        }
+        return response;
+      } catch (error) {
+        account?.breaker.recordError(error);
+        if (!account || !this.isRateLimitError(error)) {
+          throw error;
+        }
+
+        this.markRateLimited(account, error);
+
+        const next = await this.acquire(account).catch(() => null);
+        if (!next) {
+          throw error;
+        }
+
+        this.logger.info('Retrying request with next account', {
+          provider: this.providerName,
+          from: account.id,
+          to: next.account.id
+        });
+        ({ account, accessToken: token } = next);
+      }
+    }
+  }
+
+  /**
+   * Check whether an upstream error means the account hit a rate limit or its quota
+   * @param {Error} error - Upstream error
+   * @returns {boolean} True for 429s and quota errors
+   */
+  isRateLimitError(error) {
+    return error.statusCode === 429 ||
+      (error.statusCode === 403 && QUOTA_ERROR_PATTERN.test(error.message));
+  }
+
+  /**
+   * Take an account out of rotation until its rate limit or quota resets
+   * Uses the upstream's Retry-After when given; daily quota errors wait for the next UTC day
+   * @param {Object} account - Pool account
+   * @param {Error} error - Upstream error
+   */
+  markRateLimited(account, error) {
+    let cooldownUntil;
+    let reason;
+
+    if (error.retryAfterMs) {
+      cooldownUntil = Date.now() + error.retryAfterMs;
+      reason = 'rate_limited';
+    } else if (QUOTA_ERROR_PATTERN.test(error.message)) {
+      const nextDay = new Date();
+      nextDay.setUTCHours(24, 0, 0, 0);
+      cooldownUntil = nextDay.getTime();
+      reason = 'quota_exhausted';
+    } else {
+      cooldownUntil = Date.now() + DEFAULT_RATE_LIMIT_COOLDOWN_MS;
+      reason = 'rate_limited';
+    }
+
+    account.lastError = error.message;
+    this.startCooldown(account, cooldownUntil, reason);
+  }
+
+  /**
+   * Put an account into cool-down
+   * @param {Object} account - Pool account
+   * @param {number} cooldownUntil - Epoch milliseconds when the account may be used again
+   * @param {string} reason - Why the account is cooling down
+   */
+  startCooldown(account, cooldownUntil, reason) {
+    account.cooldownUntil = cooldownUntil;
+    account.cooldownReason = reason;
+
+    this.logger.warn('Account taken out of rotation', {
+      provider: this.providerName,
+      account: account.id,
+      reason,
+      until: new Date(cooldownUntil).toISOString()
+    });
+  }
+
+  /**
+   * Error returned when every account is cooling down
+   * @param {Array<Object>} rateLimited - Accounts cooling down after a rate limit or quota error
+   * @returns {Error} 429 error with the earliest reset time
+   */
+  createExhaustedError(rateLimited) {
+    const earliestReset = Math.min(...rateLimited.map(account => account.cooldownUntil));
+
+    const error = new Error(`All ${this.providerName} accounts are rate limited or out of quota`);
+    error.statusCode = 429;
+    error.retryAfterMs = Math.max(0, earliestReset - Date.now());
+    error.retryAfter = `${Math.ceil(error.retryAfterMs / 1000)} seconds`;
+    return error;
+  }
+
+  /**
+   * Per-account status for /health
+   * The public view has only the account label, status, circuit state and counts; credentials
+   * paths, redacted tokens and upstream error messages are added for authenticated callers
+   * @param {Object} [options] - Health options
+   * @param {boolean} [options.detailed=false] - Include the detailed fields
+   * @returns {Array<Object>} Account status entries
+   */
+  getHealth({ detailed = false } = {}) {
+    return this.accounts.map(account => {
+      const credentials = account.authManager.credentials;
+
+      const coolingDown = account.cooldownUntil && account.cooldownUntil > Date.now();
+
+      let status = 'active';
+      if (!account.initialized) {
+        status = 'unavailable';
+      } else if (coolingDown) {
+        status = account.cooldownReason;
+      } else if (account.breaker.state === CIRCUIT_STATES.OPEN) {
+        status = 'circuit_open';
+      }
+
+      const health = {
+        id: account.id,
+        status,
+        requests: account.requests,
+        circuit: account.breaker.getHealth({ detailed })
+      };
+      if (!detailed) {
+        return health;
+      }
+
+      return {
+        ...health,
+        credentialsPath: account.authManager.credentialsPath,
+        cooldownUntil: coolingDown ? new Date(account.cooldownUntil).toISOString() : null,
+        tokenExpiry: credentials?.expiry_date ? new Date(credentials.expiry_date).toISOString() : null,
+        accessToken: credentials?.access_token ? redactToken(credentials.access_token) : null,
+        lastError: account.lastError
+      };
+    });
+  }
+}
+
+/**
+ * Redact a token, keeping only the last four characters to tell accounts apart
+ * @param {string} token - Secret token
+ * @returns {string} Redacted token
+ */
+function redactToken(token) {
+  return token.length > 8 ? `[REDACTED]...${token.slice(-4)}` : '[REDACTED]';
+}
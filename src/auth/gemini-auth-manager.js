@@ -8,7 +8,7 @@ import { BaseAuthManager } from './base-auth-manager.js';
  * Handles authentication for Google Gemini API using OAuth 2.0
  */
 export class GeminiAuthManager extends BaseAuthManager {
-  constructor(credentialsPath, clientId, clientSecret, logger) {
+  constructor(credentialsPath, clientId, clientSecret, logger, options = {}) {
     // Expand home path before calling super
     const expandedPath = credentialsPath.startsWith('~') 
       ? path.join(os.homedir(), credentialsPath.slice(1))
@@ -17,7 +17,7 @@ export class GeminiAuthManager extends BaseAuthManager {
     super(expandedPath, logger);
     
     // Gemini OAuth 2.0 constants from technical reference
-    this.TOKEN_URL = 'https://oauth2.googleapis.com/token';
+    this.TOKEN_URL = options.tokenUrl || 'https://oauth2.googleapis.com/token';
     this.CLIENT_ID = clientId || process.env.PROVIDER_GEMINI_CLIENT_ID;
     this.CLIENT_SECRET = clientSecret || process.env.PROVIDER_GEMINI_CLIENT_SECRET;
     this.SCOPE = [
@@ -43,7 +43,7 @@ export class GeminiAuthManager extends BaseAuthManager {
         error: error.message,
         credentialsPath: this.credentialsPath
       });
-      throw new Error(`Gemini authentication initialization failed: ${error.message}. Please ensure you have authenticated with the Gemini CLI first.`);
+      throw new Error(`Gemini authentication initialization failed: ${error.message}. Log in with 'npm run auth -- gemini' or the Gemini CLI first.`);
     }
   }
   
@@ -64,7 +64,7 @@ export class GeminiAuthManager extends BaseAuthManager {
       
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`Credentials file not found at ${this.credentialsPath}. Please authenticate with the Gemini CLI first.`);
+        throw new Error(`Credentials file not found at ${this.credentialsPath}. Log in with 'npm run auth -- gemini' or the Gemini CLI first.`);
       } else if (error instanceof SyntaxError) {
         throw new Error(`Invalid JSON in credentials file: ${error.message}`);
       }
@@ -74,12 +74,8 @@ export class GeminiAuthManager extends BaseAuthManager {
   
   async saveCredentials() {
     try {
-      // Atomically write updated credentials to file
-      const tempPath = `${this.credentialsPath}.tmp`;
-      const data = JSON.stringify(this.credentials, null, 2);
-      
-      await fs.writeFile(tempPath, data, { mode: 0o600 });
-      await fs.rename(tempPath, this.credentialsPath);
+      // Atomically write updated credentials under the shared credentials lock
+      await this.writeCredentialsFile();
       
       this.logger.info('Gemini credentials saved successfully');
       
@@ -130,7 +126,7 @@ export class GeminiAuthManager extends BaseAuthManager {
             error: errorData.error,
             description: errorData.error_description
           });
-          throw new Error(`FATAL: ${errorData.error}. Please re-authenticate with the Gemini CLI.`);
+          throw new Error(`FATAL: ${errorData.error}. Please re-authenticate by running: npm run auth -- gemini (or: gemini auth)`);
         }
         
         throw new Error(`Gemini token refresh failed: ${errorData.error || 'HTTP ' + response.status}`);
@@ -177,7 +173,7 @@ export class GeminiAuthManager extends BaseAuthManager {
       // Proactive token refresh - check expiration before each request
       if (this.isTokenExpired()) {
         this.logger.info('Gemini access token expired, refreshing...');
-        await this.refreshToken();
+        await this.refreshTokenShared();
       }
       
       // Return valid access token for Authorization header
@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import http from 'http';
+import { generatePKCEPair } from '../utils/pkce-utils.js';
+
+/**
+ * GeminiOAuthFlow - OAuth 2.0 authorization code flow with PKCE and a loopback redirect
+ * Mirrors the Gemini CLI login so the bridge can obtain oauth_creds.json on its own:
+ * listen on 127.0.0.1, send the user to Google's consent page, then exchange the returned code.
+ */
+
+const DEFAULT_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const DEFAULT_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const DEFAULT_SCOPE = [
+  'https://www.googleapis.com/auth/cloud-platform',
+  'https://www.googleapis.com/auth/userinfo.email',
+  'https://www.googleapis.com/auth/userinfo.profile'
+];
+const CALLBACK_PATH = '/oauth2callback';
+
+// How long the callback listener waits for the browser before giving up
+const DEFAULT_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+export class GeminiOAuthFlow {
+  /**
+   * @param {Object} options - Flow endpoints and client settings
+   * @param {string} options.clientId - Google OAuth client ID
+   * @param {string} options.clientSecret - Google OAuth client secret
+   * @param {string} [options.authUrl] - Authorization endpoint
+   * @param {string} [options.tokenUrl] - Token endpoint
+   * @param {Array<string>} [options.scope] - Requested scopes
+   * @param {number} [options.callbackPort=0] - Loopback port for the redirect (0 picks a free port)
+   * @param {number} [options.timeoutMs=300000] - How long to wait for the browser redirect
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(options, logger) {
+    if (!options.clientId || !options.clientSecret) {
+      throw new Error('PROVIDER_GEMINI_CLIENT_ID and PROVIDER_GEMINI_CLIENT_SECRET are required for the Gemini login.');
+    }
+
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.authUrl = options.authUrl || DEFAULT_AUTH_URL;
+    this.tokenUrl = options.tokenUrl || DEFAULT_TOKEN_URL;
+    this.scope = options.scope && options.scope.length > 0 ? options.scope : DEFAULT_SCOPE;
+    this.callbackPort = options.callbackPort || 0;
+    this.timeoutMs = options.timeoutMs || DEFAULT_LOGIN_TIMEOUT_MS;
+    this.logger = logger;
+  }
+
+  /**
+   * Start a login: open the loopback listener and build the consent URL
+   * The returned session holds the PKCE verifier and the listener and must stay server-side
+   * @returns {Promise<Object>} Session with authUrl, redirectUri, state and the pending callback
+   */
+  async start() {
+    const { codeVerifier, codeChallenge } = generatePKCEPair();
+    const state = crypto.randomBytes(16).toString('base64url');
+
+    let resolveCode;
+    let rejectCode;
+    const codePromise = new Promise((resolve, reject) => {
+      resolveCode = resolve;
+      rejectCode = reject;
+    });
+    // Rejections are consumed by waitForCredentials(); avoid unhandled rejection warnings before that
+    codePromise.catch(() => {});
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (url.pathname !== CALLBACK_PATH) {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const code = url.searchParams.get('code');
+
+      if (url.searchParams.get('state') !== state) {
+        this.sendCallbackPage(res, 400, 'Login failed: the response did not match this login attempt.');
+        rejectCode(this.createFlowError('state_mismatch', 'Gemini login failed: OAuth state mismatch. Start a new login.'));
+        return;
+      }
+
+      if (error || !code) {
+        this.sendCallbackPage(res, 400, `Login failed: ${error || 'no authorization code returned'}.`);
+        rejectCode(this.createFlowError(
+          error || 'login_failed',
+          `Gemini login failed: ${url.searchParams.get('error_description') || error || 'no authorization code returned'}`
+        ));
+        return;
+      }
+
+      this.sendCallbackPage(res, 200, 'Login complete. You can close this window and return to the terminal.');
+      resolveCode(code);
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.callbackPort, '127.0.0.1', resolve);
+    });
+
+    const redirectUri = `http://127.0.0.1:${server.address().port}${CALLBACK_PATH}`;
+
+    const params = new URLSearchParams();
+    params.append('client_id', this.clientId);
+    params.append('redirect_uri', redirectUri);
+    params.append('response_type', 'code');
+    params.append('scope', this.scope.join(' '));
+    params.append('code_challenge', codeChallenge);
+    params.append('code_challenge_method', 'S256');
+    params.append('state', state);
+    // Offline access with forced consent so Google always returns a refresh token
+    params.append('access_type', 'offline');
+    params.append('prompt', 'consent');
+
+    this.logger.info('Gemini OAuth login started', { redirectUri });
+
+    return {
+      authUrl: `${this.authUrl}?${params.toString()}`,
+      redirectUri,
+      state,
+      codeVerifier,
+      server,
+      codePromise
+    };
+  }
+
+  /**
+   * Wait for the browser redirect and exchange the authorization code for tokens
+   * The loopback listener is closed whether the login succeeds or not.
+   * @param {Object} session - Session returned by start()
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<Object>} Credentials in oauth_creds.json format
+   */
+  async waitForCredentials(session, signal) {
+    let timeoutId;
+    let onAbort;
+
+    try {
+      const code = await Promise.race([
+        session.codePromise,
+        new Promise((resolve, reject) => {
+          timeoutId = setTimeout(() => {
+            reject(this.createFlowError('timeout', 'Gemini login timed out waiting for the browser. Start a new login.'));
+          }, this.timeoutMs);
+
+          onAbort = () => reject(this.createFlowError('cancelled', 'Gemini login cancelled'));
+          if (signal?.aborted) {
+            onAbort();
+            return;
+          }
+          signal?.addEventListener('abort', onAbort, { once: true });
+        })
+      ]);
+
+      return await this.exchangeCode(session, code);
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      this.close(session);
+    }
+  }
+
+  /**
+   * Exchange an authorization code at the token endpoint
+   * @param {Object} session - Session returned by start()
+   * @param {string} code - Authorization code from the redirect
+   * @returns {Promise<Object>} Credentials in oauth_creds.json format
+   */
+  async exchangeCode(session, code) {
+    const params = new URLSearchParams();
+    params.append('grant_type', 'authorization_code');
+    params.append('code', code);
+    params.append('code_verifier', session.codeVerifier);
+    params.append('redirect_uri', session.redirectUri);
+    params.append('client_id', this.clientId);
+    params.append('client_secret', this.clientSecret);
+
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+        'User-Agent': 'gemini-code/1.0.0'
+      },
+      body: params.toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      this.logger.error('Gemini authorization code exchange failed', {
+        status: response.status,
+        error: data.error,
+        description: data.error_description
+      });
+      throw this.createFlowError(
+        data.error || 'login_failed',
+        `Gemini login failed: ${data.error_description || data.error || 'HTTP ' + response.status}`
+      );
+    }
+
+    if (!data.refresh_token) {
+      // Without a refresh token the bridge would stop working after the first hour
+      throw this.createFlowError(
+        'no_refresh_token',
+        'Gemini login failed: Google did not return a refresh token. Revoke the bridge at https://myaccount.google.com/permissions and log in again.'
+      );
+    }
+
+    this.logger.info('Gemini OAuth login completed');
+    return GeminiOAuthFlow.toCredentials(data);
+  }
+
+  /**
+   * Stop the loopback listener
+   * @param {Object} session - Session returned by start()
+   */
+  close(session) {
+    session.server.close();
+    session.server.closeAllConnections?.();
+  }
+
+  /**
+   * Answer the browser redirect with a short page
+   * @param {http.ServerResponse} res - Callback response
+   * @param {number} statusCode - HTTP status
+   * @param {string} message - Text shown to the user
+   */
+  sendCallbackPage(res, statusCode, message) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Connection', 'close');
+    res.end(`<!DOCTYPE html><html><head><title>Claude Bridge</title></head><body><p>${message}</p></body></html>`);
+  }
+
+  /**
+   * Error for a login that cannot complete
+   * @param {string} code - OAuth error code
+   * @param {string} message - Error message
+   * @returns {Error} Error with code set
+   */
+  createFlowError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Convert a token response into the oauth_creds.json format written by the Gemini CLI
+   * @param {Object} tokenData - Token endpoint response
+   * @returns {Object} Credentials
+   */
+  static toCredentials(tokenData) {
+    const credentials = {
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      scope: tokenData.scope,
+      token_type: tokenData.token_type || 'Bearer',
+      expiry_date: Date.now() + (tokenData.expires_in || 3600) * 1000
+    };
+
+    if (tokenData.id_token) {
+      credentials.id_token = tokenData.id_token;
+    }
+    return credentials;
+  }
+}
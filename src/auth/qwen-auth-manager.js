@@ -2,14 +2,13 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { BaseAuthManager } from './base-auth-manager.js';
-import { generatePKCEPair } from '../utils/pkce-utils.js';
 
 /**
  * QwenAuthManager - Qwen-specific OAuth manager
  * Handles authentication for Qwen-Code API using OAuth 2.0 Device Authorization Flow
  */
 export class QwenAuthManager extends BaseAuthManager {
-  constructor(credentialsPath, clientId, logger) {
+  constructor(credentialsPath, clientId, logger, options = {}) {
     // Expand home path before calling super
     // Handle both ~/ and /home/node/ paths correctly
     let expandedPath = credentialsPath;
@@ -37,22 +36,16 @@ export class QwenAuthManager extends BaseAuthManager {
     super(expandedPath, logger);
     
     // Qwen OAuth 2.0 constants
-    this.TOKEN_URL = 'https://chat.qwen.ai/api/v1/oauth2/token';
+    this.TOKEN_URL = options.tokenUrl || 'https://chat.qwen.ai/api/v1/oauth2/token';
     // Client ID is required
     if (!clientId) {
       throw new Error('QWEN_CLIENT_ID is required but not provided. Please run the setup script or set PROVIDER_QWEN_CLIENT_ID environment variable.');
     }
     this.CLIENT_ID = clientId;
-    
-    // Initialize PKCE support
-    this.pkcePair = null;
   }
   
   async initialize() {
     try {
-      // Generate PKCE pair for OAuth flow
-      this.pkcePair = generatePKCEPair();
-      
       // Load credentials from ~/.qwen/oauth_creds.json on startup
       await this.loadCredentials();
       this.logger.info('Qwen Auth Manager initialized successfully', {
@@ -63,7 +56,7 @@ export class QwenAuthManager extends BaseAuthManager {
         error: error.message,
         credentialsPath: this.credentialsPath
       });
-      throw new Error(`Authentication initialization failed: ${error.message}. Please ensure you have authenticated with the official qwen-code CLI first.`);
+      throw new Error(`Authentication initialization failed: ${error.message}. Log in with 'npm run auth -- qwen' or the official qwen-code CLI first.`);
     }
   }
   
@@ -84,7 +77,7 @@ export class QwenAuthManager extends BaseAuthManager {
       
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`Credentials file not found at ${this.credentialsPath}. Please authenticate with the official qwen-code CLI first.`);
+        throw new Error(`Credentials file not found at ${this.credentialsPath}. Please log in with 'npm run auth -- qwen' or the official qwen-code CLI first.`);
       } else if (error instanceof SyntaxError) {
         throw new Error(`Invalid JSON in credentials file: ${error.message}`);
       }
@@ -94,12 +87,8 @@ export class QwenAuthManager extends BaseAuthManager {
   
   async saveCredentials() {
     try {
-      // Atomically write updated credentials to file
-      const tempPath = `${this.credentialsPath}.tmp`;
-      const data = JSON.stringify(this.credentials, null, 2);
-      
-      await fs.writeFile(tempPath, data, { mode: 0o600 });
-      await fs.rename(tempPath, this.credentialsPath);
+      // Atomically write updated credentials under the shared credentials lock
+      await this.writeCredentialsFile();
       
       this.logger.info('Qwen credentials saved successfully');
       
@@ -164,7 +153,7 @@ export class QwenAuthManager extends BaseAuthManager {
             description: errorData.error_description
           });
           
-          throw new Error(`FATAL: ${errorData.error}. Please re-authenticate with the official qwen-code CLI by running: qwen auth`);
+          throw new Error(`FATAL: ${errorData.error}. Please re-authenticate by running: npm run auth -- qwen (or: qwen auth)`);
         }
         
         // For invalid_client, log the error but don't treat it as fatal
@@ -228,7 +217,7 @@ export class QwenAuthManager extends BaseAuthManager {
       // Proactive token refresh - check expiration before each request
       if (this.isTokenExpired()) {
         this.logger.info('Qwen access token expired, refreshing...');
-        await this.refreshToken();
+        await this.refreshTokenShared();
       }
       
       // Return valid access token for Authorization header
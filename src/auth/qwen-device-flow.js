@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import { generatePKCEPair } from '../utils/pkce-utils.js';
+
+/**
+ * QwenDeviceFlow - OAuth 2.0 Device Authorization Grant (RFC 8628) with PKCE for Qwen
+ * Mirrors the qwen-code CLI login so the bridge can obtain oauth_creds.json on its own:
+ * request a device code, have the user approve it in a browser, then poll the token endpoint.
+ */
+
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEFAULT_SCOPE = 'openid profile email model.completion';
+
+// Polling cadence used by qwen-code: 2s, growing 50% per slow_down up to 10s
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const MAX_POLL_INTERVAL_MS = 10000;
+
+// OAuth errors after which polling the same device code can never succeed
+const TERMINAL_ERROR_CODES = new Set(['expired_token', 'access_denied', 'invalid_grant']);
+
+export class QwenDeviceFlow {
+  /**
+   * @param {Object} options - Flow endpoints and client settings
+   * @param {string} options.clientId - Qwen OAuth client ID
+   * @param {string} [options.deviceCodeUrl] - Device authorization endpoint
+   * @param {string} [options.tokenUrl] - Token endpoint
+   * @param {string} [options.scope] - Requested scopes
+   * @param {number} [options.pollIntervalMs=2000] - Base polling interval
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(options, logger) {
+    if (!options.clientId) {
+      throw new Error('QWEN_CLIENT_ID is required for the device login. Set PROVIDER_QWEN_CLIENT_ID.');
+    }
+
+    this.clientId = options.clientId;
+    this.deviceCodeUrl = options.deviceCodeUrl || 'https://chat.qwen.ai/api/v1/oauth2/device/code';
+    this.tokenUrl = options.tokenUrl || 'https://chat.qwen.ai/api/v1/oauth2/token';
+    this.scope = options.scope || DEFAULT_SCOPE;
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.logger = logger;
+  }
+
+  /**
+   * Start a login: request a device code and user code
+   * The returned session holds the device code and PKCE verifier and must stay server-side
+   * @returns {Promise<Object>} Session with userCode, verificationUri(Complete), expiresAt and polling state
+   */
+  async requestDeviceCode() {
+    const { codeVerifier, codeChallenge } = generatePKCEPair();
+
+    const params = new URLSearchParams();
+    params.append('client_id', this.clientId);
+    params.append('scope', this.scope);
+    params.append('code_challenge', codeChallenge);
+    params.append('code_challenge_method', 'S256');
+
+    const response = await fetch(this.deviceCodeUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+        'User-Agent': 'qwen-code/1.0.0'
+      },
+      body: params.toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.device_code) {
+      this.logger.error('Qwen device authorization request failed', {
+        status: response.status,
+        error: data.error,
+        description: data.error_description
+      });
+      const error = new Error(`Qwen device authorization failed: ${data.error_description || data.error || 'HTTP ' + response.status}`);
+      error.statusCode = 502;
+      throw error;
+    }
+
+    this.logger.info('Qwen device authorization started', {
+      userCode: data.user_code,
+      expiresIn: data.expires_in
+    });
+
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      verificationUriComplete: data.verification_uri_complete || data.verification_uri,
+      expiresAt: Date.now() + (data.expires_in || 600) * 1000,
+      intervalMs: this.pollIntervalMs,
+      codeVerifier
+    };
+  }
+
+  /**
+   * Poll the token endpoint once
+   * @param {Object} session - Session returned by requestDeviceCode()
+   * @returns {Promise<Object>} { status: 'pending' } while waiting, or { status: 'complete', credentials }
+   * @throws {Error} With `code` set to the OAuth error (access_denied, expired_token, ...) when the login failed
+   */
+  async pollToken(session) {
+    if (Date.now() >= session.expiresAt) {
+      throw this.createFlowError('expired_token', 'The device code expired before the login was approved. Start a new login.');
+    }
+
+    const params = new URLSearchParams();
+    params.append('grant_type', DEVICE_CODE_GRANT_TYPE);
+    params.append('client_id', this.clientId);
+    params.append('device_code', session.deviceCode);
+    params.append('code_verifier', session.codeVerifier);
+
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+        'User-Agent': 'qwen-code/1.0.0'
+      },
+      body: params.toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.ok && data.access_token) {
+      this.logger.info('Qwen device login completed');
+      return { status: 'complete', credentials: QwenDeviceFlow.toCredentials(data) };
+    }
+
+    if (data.error === 'authorization_pending') {
+      session.intervalMs = this.pollIntervalMs;
+      return { status: 'pending' };
+    }
+
+    if (data.error === 'slow_down' || response.status === 429) {
+      session.intervalMs = Math.min(session.intervalMs * 1.5, MAX_POLL_INTERVAL_MS);
+      return { status: 'pending' };
+    }
+
+    this.logger.error('Qwen device login failed', {
+      status: response.status,
+      error: data.error,
+      description: data.error_description
+    });
+    throw this.createFlowError(
+      data.error || 'login_failed',
+      `Qwen device login failed: ${data.error_description || data.error || 'HTTP ' + response.status}`
+    );
+  }
+
+  /**
+   * Poll until the user approves the login, the code expires, or the signal aborts
+   * @param {Object} session - Session returned by requestDeviceCode()
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<Object>} Credentials in oauth_creds.json format
+   */
+  async waitForCredentials(session, signal) {
+    while (true) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timeoutId);
+          reject(this.createFlowError('cancelled', 'Qwen device login cancelled'));
+        };
+        const timeoutId = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, session.intervalMs);
+
+        if (signal?.aborted) {
+          onAbort();
+          return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+
+      const result = await this.pollToken(session);
+      if (result.status === 'complete') {
+        return result.credentials;
+      }
+    }
+  }
+
+  /**
+   * Error for a login that cannot complete
+   * @param {string} code - OAuth error code
+   * @param {string} message - Error message
+   * @returns {Error} Error with code set
+   */
+  createFlowError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Convert a token response into the oauth_creds.json format written by qwen-code
+   * @param {Object} tokenData - Token endpoint response
+   * @returns {Object} Credentials
+   */
+  static toCredentials(tokenData) {
+    const credentials = {
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      token_type: tokenData.token_type || 'Bearer',
+      expiry_date: Date.now() + (tokenData.expires_in || 3600) * 1000
+    };
+
+    if (tokenData.resource_url) {
+      credentials.resource_url = tokenData.resource_url;
+    }
+    return credentials;
+  }
+}
+
+/**
+ * QwenDeviceLoginSessions - Device logins started over HTTP and polled by the caller
+ * Device codes and PKCE verifiers stay server-side; callers only see an opaque session id.
+ */
+export class QwenDeviceLoginSessions {
+  /**
+   * @param {QwenDeviceFlow} flow - Device flow used for every login
+   * @param {Logger} logger - Logger instance
+   * @param {Function} onComplete - async (credentialsPath, credentials) => void, stores the new token set
+   */
+  constructor(flow, logger, onComplete) {
+    this.flow = flow;
+    this.logger = logger;
+    this.onComplete = onComplete;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Start a login that will write the given credentials file once approved
+   * @param {string} credentialsPath - Credentials file to write
+   * @returns {Promise<Object>} Public session info (session_id, user_code, verification URLs, expires_in, interval)
+   */
+  async start(credentialsPath) {
+    this.pruneExpired();
+
+    const session = await this.flow.requestDeviceCode();
+    const sessionId = crypto.randomUUID();
+
+    this.sessions.set(sessionId, {
+      ...session,
+      credentialsPath,
+      status: 'pending',
+      lastPollAt: 0
+    });
+
+    return {
+      session_id: sessionId,
+      user_code: session.userCode,
+      verification_uri: session.verificationUri,
+      verification_uri_complete: session.verificationUriComplete,
+      expires_in: Math.round((session.expiresAt - Date.now()) / 1000),
+      interval: session.intervalMs / 1000
+    };
+  }
+
+  /**
+   * Check on a login, polling the token endpoint at most once per polling interval
+   * @param {string} sessionId - Session id returned by start()
+   * @returns {Promise<Object|null>} { status: 'pending' | 'complete' | 'failed', ... }, or null for an unknown session
+   */
+  async poll(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.status === 'complete') {
+      return { status: 'complete' };
+    }
+
+    // Callers polling faster than the token endpoint allows get the last known state
+    if (Date.now() - session.lastPollAt < session.intervalMs) {
+      return { status: 'pending', interval: session.intervalMs / 1000 };
+    }
+    session.lastPollAt = Date.now();
+
+    let result;
+    try {
+      result = await this.flow.pollToken(session);
+    } catch (error) {
+      if (!TERMINAL_ERROR_CODES.has(error.code)) {
+        // Network errors and upstream hiccups: the device code is still good, so keep polling
+        this.logger.warn('Qwen device login poll failed, will retry', {
+          error: error.message
+        });
+        return { status: 'pending', interval: session.intervalMs / 1000 };
+      }
+
+      this.sessions.delete(sessionId);
+      return {
+        status: 'failed',
+        error: { code: error.code, message: error.message }
+      };
+    }
+
+    if (result.status === 'pending') {
+      return { status: 'pending', interval: session.intervalMs / 1000 };
+    }
+
+    await this.onComplete(session.credentialsPath, result.credentials);
+
+    // Keep only what a later poll needs to report success
+    session.status = 'complete';
+    delete session.deviceCode;
+    delete session.codeVerifier;
+
+    return { status: 'complete' };
+  }
+
+  /**
+   * Forget sessions whose device code has expired
+   */
+  pruneExpired() {
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt <= Date.now()) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * CircuitBreaker - Stops sending traffic to an upstream that keeps failing
+ * Outcomes from the last `windowMs` are kept. Once at least `minimumRequests` have been seen and
+ * the share of failures (server errors, network errors and timeouts) reaches `failureRateThreshold`, the circuit opens and
+ * requests are refused without calling the upstream. After `openDurationMs` it goes half-open:
+ * a single trial request is let through and its outcome decides whether it closes or opens again.
+ */
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  failureRateThreshold: 0.5,
+  minimumRequests: 5,
+  windowMs: 60 * 1000,
+  openDurationMs: 30 * 1000
+};
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Provider or account the circuit protects (used in logs)
+   * @param {Object} [options] - Breaker settings
+   * @param {boolean} [options.enabled=true] - A disabled breaker never opens
+   * @param {number} [options.failureRateThreshold=0.5] - Failure share (0-1) that opens the circuit
+   * @param {number} [options.minimumRequests=5] - Outcomes needed in the window before the rate counts
+   * @param {number} [options.windowMs=60000] - How long outcomes are remembered
+   * @param {number} [options.openDurationMs=30000] - How long the circuit stays open before a trial
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(name, options, logger) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = logger;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.outcomes = []; // { time, failed, timeout }
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialStartedAt = null; // Set while the half-open trial request is in flight
+  }
+
+  /**
+   * Whether allowRequest() would let a request through, without changing any state
+   * Use it to scan candidates; call allowRequest() only for the one that is picked
+   * @returns {boolean} False while the circuit is open or its half-open trial is in flight
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      // A trial that never reported back (e.g. a caller that crashed) is given up after openDurationMs
+      return this.trialStartedAt === null || Date.now() - this.trialStartedAt >= this.options.openDurationMs;
+    }
+    return Date.now() - this.openedAt >= this.options.openDurationMs;
+  }
+
+  /**
+   * Claim a request; moves an expired open circuit to half-open and takes its single trial slot
+   * Every allowed request must end in recordSuccess(), recordError() or releaseTrial()
+   * @returns {boolean} False while the circuit is open or its half-open trial is in flight
+   */
+  allowRequest() {
+    if (!this.canRequest()) {
+      return false;
+    }
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.trialStartedAt = Date.now();
+    }
+    return true;
+  }
+
+  /**
+   * Give back a half-open trial that ended without an outcome (client disconnect, rate limit,
+   * invalid request), so the next request can be the trial
+   */
+  releaseTrial() {
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial request through
+   * @returns {number} 0 unless the circuit is open
+   */
+  getRetryAfterMs() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.options.openDurationMs - Date.now());
+  }
+
+  /**
+   * Error for a request refused because the circuit is open
+   * Uses code 'circuit_open' and status 503 so fallback chains move on to the next provider
+   * @returns {Error} Error with retryAfterMs set to the time until the next trial
+   */
+  createOpenError() {
+    const error = new Error(`${this.name} is temporarily unavailable after repeated upstream failures (circuit open)`);
+    error.statusCode = 503;
+    error.code = 'circuit_open';
+    error.retryAfterMs = this.getRetryAfterMs();
+    error.retryAfter = `${Math.ceil(error.retryAfterMs / 1000)} seconds`;
+    return error;
+  }
+
+  /**
+   * Whether an error says something is wrong with the upstream itself
+   * Rate limits, auth failures and invalid requests get an answer from a working upstream, and
+   * client disconnects say nothing about it, so none of those count
+   * @param {Error} error - Error from an upstream request
+   * @returns {boolean} True for server errors, timeouts and network errors
+   */
+  static isFailure(error) {
+    if (error.clientAborted || error.code === 'circuit_open') {
+      return false;
+    }
+    if (error.statusCode) {
+      return error.statusCode >= 500 || error.statusCode === 408;
+    }
+    // Errors without a status come from the connection itself (refused, reset, aborted body reads)
+    return error.name === 'TypeError' || error.name === 'AbortError';
+  }
+
+  /**
+   * Record a request that ended in an error, if the error counts against the circuit
+   * @param {Error} error - Error from an upstream request, see isFailure()
+   */
+  recordError(error) {
+    if (CircuitBreaker.isFailure(error)) {
+      this.recordFailure(error);
+    } else {
+      this.releaseTrial();
+    }
+  }
+
+  /**
+   * Pass a stream through, recording its outcome once it ends or fails
+   * A stream that stops because the client went away records nothing
+   * @param {AsyncIterable<Object>} stream - Chunks from the upstream
+   * @param {AbortSignal} [signal] - Client's abort signal
+   * @returns {AsyncGenerator<Object>} The same chunks
+   */
+  async *trackStream(stream, signal) {
+    let settled = false;
+    try {
+      yield* stream;
+      settled = true;
+      this.recordSuccess();
+    } catch (error) {
+      if (!signal?.aborted) {
+        settled = true;
+        this.recordError(error);
+      }
+      throw error;
+    } finally {
+      if (!settled) {
+        this.releaseTrial();
+      }
+    }
+  }
+
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.outcomes = [];
+      this.transition(CIRCUIT_STATES.CLOSED);
+      return;
+    }
+    this.addOutcome(false, false);
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - Upstream error; 504s and timeout messages are counted as timeouts
+   */
+  recordFailure(error) {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    const timeout = error.statusCode === 504 || error.statusCode === 408 || /timeout/i.test(error.message);
+    this.lastFailure = error.message;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.open();
+      return;
+    }
+
+    this.addOutcome(true, timeout);
+    const { total, failures } = this.getCounts();
+    if (this.state === CIRCUIT_STATES.CLOSED &&
+        total >= this.options.minimumRequests &&
+        failures / total >= this.options.failureRateThreshold) {
+      this.open();
+    }
+  }
+
+  addOutcome(failed, timeout) {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    const now = Date.now();
+    this.outcomes.push({ time: now, failed, timeout });
+    this.pruneOutcomes(now);
+  }
+
+  // Forget outcomes that have left the window
+  pruneOutcomes(now) {
+    const cutoff = now - this.options.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].time < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  getCounts() {
+    this.pruneOutcomes(Date.now());
+    return {
+      total: this.outcomes.length,
+      failures: this.outcomes.filter(outcome => outcome.failed).length,
+      timeouts: this.outcomes.filter(outcome => outcome.timeout).length
+    };
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.transition(CIRCUIT_STATES.OPEN);
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.trialStartedAt = null;
+
+    const log = state === CIRCUIT_STATES.OPEN ? 'warn' : 'info';
+    this.logger[log]('Circuit breaker state changed', {
+      circuit: this.name,
+      from: previous,
+      to: state,
+      lastFailure: state === CIRCUIT_STATES.OPEN ? this.lastFailure : undefined
+    });
+  }
+
+  /**
+   * Breaker status for /health
+   * @param {Object} [options] - Health options
+   * @param {boolean} [options.detailed=false] - Include the last upstream error message
+   * @returns {Object} State, recent counts and when an open circuit will retry
+   */
+  getHealth({ detailed = false } = {}) {
+    const { total, failures, timeouts } = this.getCounts();
+    const retryAfterMs = this.getRetryAfterMs();
+
+    const health = {
+      state: this.options.enabled ? this.state : 'disabled',
+      recentRequests: total,
+      recentFailures: failures,
+      recentTimeouts: timeouts,
+      failureRate: total > 0 ? Math.round((failures / total) * 100) / 100 : 0,
+      retryAt: retryAfterMs > 0 ? new Date(Date.now() + retryAfterMs).toISOString() : null
+    };
+    return detailed ? { ...health, lastFailure: this.lastFailure } : health;
+  }
+}
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line tasks for the bridge
+ *
+ * Usage:
+ *   npm run auth -- qwen [--account <n>] [--credentials-path <path>]
+ *   npm run auth -- gemini [--account <n>] [--credentials-path <path>] [--port <n>]
+ *   npm run auth -- key [--label <name>]
+ *
+ * `auth qwen` runs the Qwen OAuth device login and `auth gemini` the Google OAuth loopback
+ * login. Both write oauth_creds.json in the same format as the official CLIs, so the bridge
+ * works without installing qwen-code or the Gemini CLI. `auth key` creates a bridge API key
+ * and prints the hashed entry to add to BRIDGE_API_KEYS.
+ */
+
+import { pathToFileURL } from 'url';
+import { Logger } from './logger.js';
+import { ConfigManager } from './config-manager.js';
+import { QwenAuthManager } from './auth/qwen-auth-manager.js';
+import { QwenDeviceFlow } from './auth/qwen-device-flow.js';
+import { GeminiAuthManager } from './auth/gemini-auth-manager.js';
+import { GeminiOAuthFlow } from './auth/gemini-oauth-flow.js';
+import { ApiKeyAuthenticator } from './auth/api-key-auth.js';
+
+const USAGE = `Usage:
+  npm run auth -- qwen [--account <n>] [--credentials-path <path>]
+  npm run auth -- gemini [--account <n>] [--credentials-path <path>] [--port <n>]
+  npm run auth -- key [--label <name>]
+
+Options:
+  --account <n>              Log in the n-th account of PROVIDER_<QWEN|GEMINI>_CREDENTIALS_PATHS (default 1)
+  --credentials-path <path>  Write the credentials to this file instead
+  --port <n>                 Gemini only: loopback port for the OAuth redirect (default: a free port)
+  --label <name>             Key only: label shown in logs for requests made with the key`;
+
+/**
+ * Run the Qwen device login and store the resulting credentials
+ * @param {Object} options - Login options
+ * @param {string} options.clientId - Qwen OAuth client ID
+ * @param {string} options.credentialsPath - Credentials file to write
+ * @param {string} [options.deviceCodeUrl] - Device authorization endpoint
+ * @param {string} [options.tokenUrl] - Token endpoint
+ * @param {AbortSignal} [options.signal] - Cancels the login
+ * @param {Logger} logger - Logger instance
+ * @param {Object} [output=console] - Where user-facing instructions are printed
+ * @returns {Promise<string>} Path of the written credentials file
+ */
+export async function loginQwen(options, logger, output = console) {
+  const flow = new QwenDeviceFlow(options, logger);
+  const session = await flow.requestDeviceCode();
+
+  output.log('\nTo log in to Qwen, open this URL in a browser:');
+  output.log(`\n  ${session.verificationUriComplete}\n`);
+  output.log(`and confirm the code: ${session.userCode}`);
+  output.log('\nWaiting for approval...');
+
+  const credentials = await flow.waitForCredentials(session, options.signal);
+
+  const authManager = new QwenAuthManager(options.credentialsPath, options.clientId, logger, {
+    tokenUrl: options.tokenUrl
+  });
+  await authManager.storeCredentials(credentials);
+
+  output.log(`\nLogged in. Credentials saved to ${authManager.credentialsPath}`);
+  return authManager.credentialsPath;
+}
+
+/**
+ * Run the Google OAuth loopback login for Gemini and store the resulting credentials
+ * @param {Object} options - Login options
+ * @param {string} options.clientId - Google OAuth client ID
+ * @param {string} options.clientSecret - Google OAuth client secret
+ * @param {string} options.credentialsPath - Credentials file to write
+ * @param {string} [options.authUrl] - Authorization endpoint
+ * @param {string} [options.tokenUrl] - Token endpoint
+ * @param {Array<string>} [options.scope] - Requested scopes
+ * @param {number} [options.callbackPort] - Loopback port for the redirect
+ * @param {AbortSignal} [options.signal] - Cancels the login
+ * @param {Logger} logger - Logger instance
+ * @param {Object} [output=console] - Where user-facing instructions are printed
+ * @returns {Promise<string>} Path of the written credentials file
+ */
+export async function loginGemini(options, logger, output = console) {
+  const flow = new GeminiOAuthFlow(options, logger);
+  const session = await flow.start();
+
+  output.log('\nTo log in to Gemini, open this URL in a browser on this machine:');
+  output.log(`\n  ${session.authUrl}\n`);
+  output.log(`Google will redirect back to ${session.redirectUri}`);
+  output.log('\nWaiting for approval...');
+
+  const credentials = await flow.waitForCredentials(session, options.signal);
+
+  const authManager = new GeminiAuthManager(options.credentialsPath, options.clientId, options.clientSecret, logger, {
+    tokenUrl: options.tokenUrl
+  });
+  await authManager.storeCredentials(credentials);
+
+  output.log(`\nLogged in. Credentials saved to ${authManager.credentialsPath}`);
+  return authManager.credentialsPath;
+}
+
+/**
+ * Create a bridge API key and print it with its BRIDGE_API_KEYS entry
+ * @param {Object} options - Key options
+ * @param {string} [options.label] - Label for the key
+ * @param {Object} [output=console] - Where the key is printed
+ * @returns {Object} { key, entry }
+ */
+export function createApiKey(options, output = console) {
+  if (options.label !== undefined && !/^[\w.-]+$/.test(options.label)) {
+    throw new Error('--label may only contain letters, digits, ".", "_" and "-"');
+  }
+
+  const key = ApiKeyAuthenticator.generateKey();
+  const hash = ApiKeyAuthenticator.hashKey(key);
+  const entry = options.label ? `${options.label}:${hash}` : hash;
+
+  output.log('\nNew bridge API key (shown once, store it in your client):');
+  output.log(`\n  ${key}\n`);
+  output.log('Add this entry to BRIDGE_API_KEYS (comma-separated) in .env:');
+  output.log(`\n  ${entry}\n`);
+
+  return { key, entry };
+}
+
+/**
+ * Parse `--name value` flags
+ * @param {Array<string>} args - Arguments after the subcommand
+ * @returns {Object} Flag values keyed by name
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    }
+    flags[match[1]] = match[2] !== undefined ? match[2] : args[++i];
+  }
+  return flags;
+}
+
+/**
+ * Pick the credentials file to log in from --credentials-path or --account
+ * @param {Object} flags - Parsed command-line flags
+ * @param {Object} config - Provider configuration
+ * @returns {string} Credentials file path
+ */
+function resolveCredentialsPath(flags, config) {
+  if (flags['credentials-path']) {
+    return flags['credentials-path'];
+  }
+
+  const credentialsPaths = config.credentialsPaths.length > 0 ? config.credentialsPaths : [config.credentialsPath];
+  const account = flags.account === undefined ? 1 : Number(flags.account);
+  if (!Number.isInteger(account) || account < 1 || account > credentialsPaths.length) {
+    throw new Error(`--account must be an integer between 1 and ${credentialsPaths.length}`);
+  }
+  return credentialsPaths[account - 1];
+}
+
+/**
+ * Resolve the Qwen login settings from .env, environment and command-line flags
+ * @param {Object} flags - Parsed command-line flags
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Options for loginQwen()
+ */
+async function resolveQwenLoginOptions(flags, logger) {
+  const configManager = new ConfigManager(logger);
+  await configManager.loadDotEnv();
+
+  // Only Qwen discovery: Gemini discovery would complain about unrelated missing files
+  const qwenCredentials = await configManager.credentialDiscovery.discoverQwenCredentials();
+  const config = (await configManager.buildProviderConfigs({ qwen: qwenCredentials })).qwen;
+
+  return {
+    clientId: config.clientId,
+    deviceCodeUrl: config.deviceCodeUrl,
+    tokenUrl: config.tokenUrl,
+    credentialsPath: resolveCredentialsPath(flags, config)
+  };
+}
+
+/**
+ * Resolve the Gemini login settings from .env, environment and command-line flags
+ * @param {Object} flags - Parsed command-line flags
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Options for loginGemini()
+ */
+async function resolveGeminiLoginOptions(flags, logger) {
+  const configManager = new ConfigManager(logger);
+  await configManager.loadDotEnv();
+
+  // Client credentials of an installed Gemini CLI, otherwise PROVIDER_GEMINI_CLIENT_ID/SECRET
+  const clientCredentials = await configManager.credentialDiscovery.extractGeminiClientCredentials().catch(() => ({}));
+  const config = (await configManager.buildProviderConfigs({ gemini: clientCredentials })).gemini;
+
+  const callbackPort = flags.port === undefined ? config.oauthCallbackPort : Number(flags.port);
+  if (!Number.isInteger(callbackPort) || callbackPort < 0 || callbackPort > 65535) {
+    throw new Error('--port must be an integer between 0 and 65535');
+  }
+
+  return {
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    authUrl: config.authUrl,
+    tokenUrl: config.tokenUrl,
+    scope: config.scope,
+    callbackPort,
+    credentialsPath: resolveCredentialsPath(flags, config)
+  };
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv) {
+  const [command, target, ...rest] = argv;
+  // Keep the terminal for the login instructions; a missing credentials file is expected here
+  const logger = new Logger('error');
+
+  if (command !== 'auth' || !['qwen', 'gemini', 'key'].includes(target)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  try {
+    const flags = parseFlags(rest);
+    if (target === 'key') {
+      createApiKey({ label: flags.label });
+    } else if (target === 'qwen') {
+      await loginQwen(await resolveQwenLoginOptions(flags, logger), logger);
+    } else {
+      await loginGemini(await resolveGeminiLoginOptions(flags, logger), logger);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`\n${target === 'key' ? 'Key creation' : 'Login'} failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// Run when invoked directly (not when imported by tests)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
@@ -9,6 +9,8 @@ export class ConfigManager {
     this.logger = logger;
     this.config = {};
     this.providerConfigs = {};
+    // Plugin config keys marked `secret` in their schema, by provider name
+    this.pluginSecretKeys = {};
     this.configLoaded = false;
     this.credentialDiscovery = new CredentialDiscovery(logger);
   }
@@ -68,6 +70,28 @@ export class ConfigManager {
       LOG_FORMAT: 'console', // 'console' or 'json'
       // Default timeout for API requests in milliseconds
       REQUEST_TIMEOUT: 30000, // 30 seconds
+      // Comma-separated SHA-256 hashes of accepted bridge API keys; empty leaves the bridge open
+      BRIDGE_API_KEYS: '',
+      // Per-key limits (0 = unlimited); BRIDGE_KEY_LIMITS overrides them for individual keys
+      BRIDGE_RATE_LIMIT_RPM: 0,
+      BRIDGE_RATE_LIMIT_BURST: 0,
+      BRIDGE_DAILY_REQUEST_LIMIT: 0,
+      BRIDGE_DAILY_TOKEN_LIMIT: 0,
+      BRIDGE_KEY_LIMITS: '',
+      // Provider plugins: a directory of plugin modules and/or comma-separated package names
+      PROVIDER_PLUGINS_DIR: '',
+      PROVIDER_PLUGINS: '',
+      // Model aliases (sonnet=qwen/qwen3-coder-plus) and routing rules (tokens>60000:gemini/gemini-2.5-pro)
+      MODEL_ALIASES: '',
+      MODEL_ROUTING_RULES: '',
+      // Fallback chains tried when a provider fails (qwen/qwen3-coder-plus->gemini/gemini-2.5-pro)
+      MODEL_FALLBACKS: '',
+      // Circuit breakers per provider and account: open at this failure percentage over the window
+      CIRCUIT_BREAKER_ENABLED: 'true',
+      CIRCUIT_BREAKER_FAILURE_RATE: 50,
+      CIRCUIT_BREAKER_MIN_REQUESTS: 5,
+      CIRCUIT_BREAKER_WINDOW: 60000,
+      CIRCUIT_BREAKER_OPEN_DURATION: 30000,
       // Provider-specific defaults will be handled in provider configs
     };
     
@@ -81,6 +105,21 @@ export class ConfigManager {
     // Type conversions
     finalConfig.PORT = parseInt(finalConfig.PORT);
     finalConfig.REQUEST_TIMEOUT = parseInt(finalConfig.REQUEST_TIMEOUT);
+    finalConfig.BRIDGE_API_KEYS = this.parseListValue(finalConfig.BRIDGE_API_KEYS);
+    finalConfig.BRIDGE_RATE_LIMIT_RPM = parseInt(finalConfig.BRIDGE_RATE_LIMIT_RPM);
+    finalConfig.BRIDGE_RATE_LIMIT_BURST = parseInt(finalConfig.BRIDGE_RATE_LIMIT_BURST);
+    finalConfig.BRIDGE_DAILY_REQUEST_LIMIT = parseInt(finalConfig.BRIDGE_DAILY_REQUEST_LIMIT);
+    finalConfig.BRIDGE_DAILY_TOKEN_LIMIT = parseInt(finalConfig.BRIDGE_DAILY_TOKEN_LIMIT);
+    finalConfig.BRIDGE_KEY_LIMITS = this.parseListValue(finalConfig.BRIDGE_KEY_LIMITS);
+    finalConfig.PROVIDER_PLUGINS = this.parseListValue(finalConfig.PROVIDER_PLUGINS);
+    finalConfig.MODEL_ALIASES = this.parseListValue(finalConfig.MODEL_ALIASES);
+    finalConfig.MODEL_ROUTING_RULES = this.parseListValue(finalConfig.MODEL_ROUTING_RULES);
+    finalConfig.MODEL_FALLBACKS = this.parseListValue(finalConfig.MODEL_FALLBACKS);
+    finalConfig.CIRCUIT_BREAKER_ENABLED = String(finalConfig.CIRCUIT_BREAKER_ENABLED).toLowerCase() === 'true';
+    finalConfig.CIRCUIT_BREAKER_FAILURE_RATE = parseInt(finalConfig.CIRCUIT_BREAKER_FAILURE_RATE);
+    finalConfig.CIRCUIT_BREAKER_MIN_REQUESTS = parseInt(finalConfig.CIRCUIT_BREAKER_MIN_REQUESTS);
+    finalConfig.CIRCUIT_BREAKER_WINDOW = parseInt(finalConfig.CIRCUIT_BREAKER_WINDOW);
+    finalConfig.CIRCUIT_BREAKER_OPEN_DURATION = parseInt(finalConfig.CIRCUIT_BREAKER_OPEN_DURATION);
     
     // Validation
     this.validateConfig(finalConfig);
@@ -99,28 +138,68 @@ export class ConfigManager {
     
     providerConfigs.qwen = {
       name: 'qwen',
+      type: 'qwen',
       enabled: this.getConfigValue('PROVIDER_QWEN_ENABLED', 'true').toLowerCase() === 'true',
       credentialsPath: qwenCredentialsPath,
+      // Extra accounts: several credentials files, rotated by rotationStrategy
+      credentialsPaths: this.parseListValue(this.getConfigValue('PROVIDER_QWEN_CREDENTIALS_PATHS', '')),
+      rotationStrategy: this.getConfigValue('PROVIDER_QWEN_ROTATION_STRATEGY', 'round-robin'),
       defaultModel: this.getConfigValue('PROVIDER_QWEN_DEFAULT_MODEL', 'qwen3-coder-plus'),
-      tokenUrl: qwenCredentials.tokenUrl || this.getConfigValue('PROVIDER_QWEN_TOKEN_URL', 'https://chat.qwen.ai/api/v1/oauth2/token'),
+      models: this.parseListValue(this.getConfigValue('PROVIDER_QWEN_MODELS', 'qwen3-coder-flash')),
+      tokenUrl: this.getConfigValue('PROVIDER_QWEN_TOKEN_URL') || qwenCredentials.tokenUrl || 'https://chat.qwen.ai/api/v1/oauth2/token',
       clientId: qwenCredentials.clientId || this.getConfigValue('PROVIDER_QWEN_CLIENT_ID', 'f0304373b74a44d2b584a3fb70ca9e56'),
+      deviceCodeUrl: this.getConfigValue('PROVIDER_QWEN_DEVICE_CODE_URL', 'https://chat.qwen.ai/api/v1/oauth2/device/code'),
       apiBaseUrl: this.getConfigValue('PROVIDER_QWEN_API_BASE_URL', null),
-      requestTimeout: parseInt(this.getConfigValue('PROVIDER_QWEN_REQUEST_TIMEOUT', '30000'))
+      // DashScope API key; replaces the OAuth credentials file and defaults apiBaseUrl to compatible-mode
+      apiKey: this.getConfigValue('PROVIDER_QWEN_API_KEY', null),
+      requestTimeout: parseInt(this.getConfigValue('PROVIDER_QWEN_REQUEST_TIMEOUT', '30000')),
+      // Refresh OAuth tokens in the background this long before they expire
+      refreshLeadTime: parseInt(this.getConfigValue('PROVIDER_QWEN_REFRESH_LEAD_TIME', '600000')),
+      // Polling interval used when the credentials file cannot be watched
+      credentialsPollInterval: parseInt(this.getConfigValue('PROVIDER_QWEN_CREDENTIALS_POLL_INTERVAL', '5000')),
+      // Image requests; the vision model defaults to vision-model (OAuth) or qwen3-vl-plus (API key)
+      vision: {
+        model: this.getConfigValue('PROVIDER_QWEN_VISION_MODEL', null),
+        models: this.parseListValue(this.getConfigValue('PROVIDER_QWEN_VISION_MODELS', '')),
+        autoUpgrade: this.getConfigValue('PROVIDER_QWEN_VISION_AUTO_UPGRADE', 'true').toLowerCase() === 'true'
+      },
+      // Remote images are sent as data URLs; turn fetching off for upstreams that download URLs themselves
+      media: {
+        fetchRemote: this.getConfigValue('PROVIDER_QWEN_FETCH_REMOTE_MEDIA', 'true').toLowerCase() === 'true',
+        fetchTimeoutMs: parseInt(this.getConfigValue('PROVIDER_QWEN_MEDIA_FETCH_TIMEOUT', '10000')),
+        maxBytes: parseInt(this.getConfigValue('PROVIDER_QWEN_MAX_IMAGE_BYTES', '10485760')) // 10MB
+      }
     };
     
     // Build Gemini configuration with discovered credentials
     const geminiCredentials = discoveredCredentials.gemini || {};
     providerConfigs.gemini = {
       name: 'gemini',
+      type: 'gemini',
       enabled: this.getConfigValue('PROVIDER_GEMINI_ENABLED', 'true').toLowerCase() === 'true',
       credentialsPath: geminiCredentials.credentialsPath || this.getConfigValue('PROVIDER_GEMINI_CREDENTIALS_PATH', '~/.gemini/oauth_creds.json'),
+      credentialsPaths: this.parseListValue(this.getConfigValue('PROVIDER_GEMINI_CREDENTIALS_PATHS', '')),
+      rotationStrategy: this.getConfigValue('PROVIDER_GEMINI_ROTATION_STRATEGY', 'round-robin'),
       defaultModel: this.getConfigValue('PROVIDER_GEMINI_DEFAULT_MODEL', 'gemini-pro'),
-      tokenUrl: geminiCredentials.tokenUrl || this.getConfigValue('PROVIDER_GEMINI_TOKEN_URL', 'https://oauth2.googleapis.com/token'),
+      models: this.parseListValue(this.getConfigValue('PROVIDER_GEMINI_MODELS', '')),
+      tokenUrl: this.getConfigValue('PROVIDER_GEMINI_TOKEN_URL') || geminiCredentials.tokenUrl || 'https://oauth2.googleapis.com/token',
+      authUrl: this.getConfigValue('PROVIDER_GEMINI_AUTH_URL', 'https://accounts.google.com/o/oauth2/v2/auth'),
+      // Loopback port for `npm run auth -- gemini` (0 picks a free port)
+      oauthCallbackPort: parseInt(this.getConfigValue('PROVIDER_GEMINI_OAUTH_CALLBACK_PORT', '0')),
       clientId: geminiCredentials.clientId || this.getConfigValue('PROVIDER_GEMINI_CLIENT_ID', null),
       clientSecret: geminiCredentials.clientSecret || this.getConfigValue('PROVIDER_GEMINI_CLIENT_SECRET', null),
       scope: geminiCredentials.scope,
       apiBaseUrl: this.getConfigValue('PROVIDER_GEMINI_API_BASE_URL', 'https://generativelanguage.googleapis.com/v1beta'),
+      // Gemini API key (sent as x-goog-api-key); replaces the OAuth credentials file
+      apiKey: this.getConfigValue('PROVIDER_GEMINI_API_KEY', null),
+      // 'generative-language' (generativelanguage.googleapis.com) or 'code-assist' (cloudcode-pa, as gemini-cli uses)
+      transport: this.getConfigValue('PROVIDER_GEMINI_TRANSPORT', 'generative-language'),
+      codeAssistEndpoint: this.getConfigValue('PROVIDER_GEMINI_CODE_ASSIST_ENDPOINT', 'https://cloudcode-pa.googleapis.com/v1internal'),
+      // Google Cloud project for Code Assist tiers that need one (the free tier does not)
+      projectId: this.getConfigValue('PROVIDER_GEMINI_PROJECT_ID') || this.getConfigValue('GOOGLE_CLOUD_PROJECT', null),
       requestTimeout: parseInt(this.getConfigValue('PROVIDER_GEMINI_REQUEST_TIMEOUT', '60000')),
+      refreshLeadTime: parseInt(this.getConfigValue('PROVIDER_GEMINI_REFRESH_LEAD_TIME', '600000')),
+      credentialsPollInterval: parseInt(this.getConfigValue('PROVIDER_GEMINI_CREDENTIALS_POLL_INTERVAL', '5000')),
       // Chunking configuration options
       chunking: {
         enabled: this.getConfigValue('PROVIDER_GEMINI_CHUNKING_ENABLED', 'true').toLowerCase() === 'true',
@@ -130,13 +209,39 @@ export class ConfigManager {
         batchSize: parseInt(this.getConfigValue('PROVIDER_GEMINI_CHUNKING_BATCH_SIZE', '1')),
         overlapLines: parseInt(this.getConfigValue('PROVIDER_GEMINI_CHUNKING_OVERLAP_LINES', '50')),
         strategy: this.getConfigValue('PROVIDER_GEMINI_CHUNKING_STRATEGY', 'line-based')
+      },
+      // Images, audio and files in user messages
+      media: {
+        fetchRemote: this.getConfigValue('PROVIDER_GEMINI_FETCH_REMOTE_MEDIA', 'true').toLowerCase() === 'true',
+        fetchTimeoutMs: parseInt(this.getConfigValue('PROVIDER_GEMINI_MEDIA_FETCH_TIMEOUT', '10000')),
+        maxBytes: parseInt(this.getConfigValue('PROVIDER_GEMINI_MAX_MEDIA_BYTES', '20971520')) // 20MB
       }
     };
     
+    // Build Anthropic configuration (paid, so off unless enabled)
+    providerConfigs.anthropic = {
+      name: 'anthropic',
+      type: 'anthropic',
+      enabled: this.getConfigValue('PROVIDER_ANTHROPIC_ENABLED', 'false').toLowerCase() === 'true',
+      apiKey: this.getConfigValue('PROVIDER_ANTHROPIC_API_KEY', null),
+      apiBaseUrl: this.getConfigValue('PROVIDER_ANTHROPIC_API_BASE_URL', 'https://api.anthropic.com/v1'),
+      anthropicVersion: this.getConfigValue('PROVIDER_ANTHROPIC_VERSION', '2023-06-01'),
+      defaultModel: this.getConfigValue('PROVIDER_ANTHROPIC_DEFAULT_MODEL', 'claude-sonnet-4-5'),
+      models: this.parseListValue(this.getConfigValue('PROVIDER_ANTHROPIC_MODELS', 'claude-opus-4-1,claude-haiku-4-5')),
+      // The Messages API requires max_tokens; used when the client sends none
+      defaultMaxTokens: parseInt(this.getConfigValue('PROVIDER_ANTHROPIC_DEFAULT_MAX_TOKENS', '4096')),
+      requestTimeout: parseInt(this.getConfigValue('PROVIDER_ANTHROPIC_REQUEST_TIMEOUT', '120000'))
+    };
+    
+    Object.assign(providerConfigs, this.buildOpenAICompatibleConfigs(providerConfigs));
+    
     this.logger.info('Built provider configurations with discovered credentials', {
       qwenEnabled: providerConfigs.qwen.enabled,
       qwenClientId: providerConfigs.qwen.clientId ? 'found' : 'missing',
+      qwenAuth: providerConfigs.qwen.apiKey ? 'api-key' : 'oauth',
       geminiEnabled: providerConfigs.gemini.enabled,
+      geminiAuth: providerConfigs.gemini.apiKey ? 'api-key' : 'oauth',
+      anthropicEnabled: providerConfigs.anthropic.enabled,
       geminiClientId: providerConfigs.gemini.clientId ? 'found' : 'missing',
       geminiClientSecret: providerConfigs.gemini.clientSecret ? 'found' : 'missing'
     });
@@ -144,11 +249,140 @@ export class ConfigManager {
     return providerConfigs;
   }
   
+  /**
+   * Configurations for the OpenAI-compatible upstreams named in OPENAI_COMPATIBLE_PROVIDERS
+   * Each name becomes a model prefix and reads its settings from PROVIDER_<NAME>_*
+   * @param {Object} builtInConfigs - Built-in provider configurations, whose names are taken
+   * @returns {Object} Provider configurations keyed by name
+   */
+  buildOpenAICompatibleConfigs(builtInConfigs) {
+    const providerConfigs = {};
+    
+    for (const name of this.parseListValue(this.getConfigValue('OPENAI_COMPATIBLE_PROVIDERS', ''))) {
+      if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+        throw new Error(`Invalid OPENAI_COMPATIBLE_PROVIDERS entry "${name}": use lowercase letters, digits, '-' and '_'`);
+      }
+      if (builtInConfigs[name] || providerConfigs[name]) {
+        throw new Error(`Invalid OPENAI_COMPATIBLE_PROVIDERS entry "${name}": the name is already in use`);
+      }
+      
+      const prefix = `PROVIDER_${name.toUpperCase().replace(/-/g, '_')}_`;
+      providerConfigs[name] = {
+        name,
+        type: 'openai-compatible',
+        enabled: this.getConfigValue(`${prefix}ENABLED`, 'true').toLowerCase() === 'true',
+        // Base URL up to and including /v1, e.g. http://localhost:8080/v1
+        apiBaseUrl: this.getConfigValue(`${prefix}API_BASE_URL`, null),
+        apiKey: this.getConfigValue(`${prefix}API_KEY`, null),
+        defaultModel: this.getConfigValue(`${prefix}DEFAULT_MODEL`, null),
+        models: this.parseListValue(this.getConfigValue(`${prefix}MODELS`, '')),
+        headers: this.parseHeaderList(this.getConfigValue(`${prefix}HEADERS`, ''), `${prefix}HEADERS`),
+        // Local models can take a while to load and answer
+        requestTimeout: parseInt(this.getConfigValue(`${prefix}REQUEST_TIMEOUT`, '120000'))
+      };
+    }
+    
+    return providerConfigs;
+  }
+  
+  /**
+   * Configuration for a provider plugin, read from PROVIDER_<NAME>_* using its config schema
+   * Schema keys are camelCase and map to upper snake case: apiBaseUrl reads PROVIDER_<NAME>_API_BASE_URL.
+   * enabled, defaultModel and models are always read so the plugin shows up like a built-in provider.
+   * @param {Object} plugin - Plugin loaded by ProviderPluginLoader
+   * @returns {Object} Provider configuration
+   */
+  buildPluginConfig(plugin) {
+    const prefix = `PROVIDER_${plugin.name.toUpperCase().replace(/-/g, '_')}_`;
+    const schema = {
+      enabled: { type: 'boolean', default: true },
+      defaultModel: { type: 'string', default: null },
+      models: { type: 'list', default: [] },
+      ...plugin.configSchema
+    };
+    
+    const providerConfig = { name: plugin.name, type: plugin.name };
+    for (const [key, field] of Object.entries(schema)) {
+      const envKey = `${prefix}${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+      const rawValue = this.getConfigValue(envKey, null);
+      
+      if (rawValue === null) {
+        if (field.required) {
+          throw new Error(`Provider plugin ${plugin.name} requires ${envKey}${field.description ? ` (${field.description})` : ''}`);
+        }
+        providerConfig[key] = field.default === undefined ? null : field.default;
+        continue;
+      }
+      
+      providerConfig[key] = this.parseSchemaValue(rawValue, field.type, envKey);
+    }
+    
+    return providerConfig;
+  }
+  
+  /**
+   * Add a provider plugin's configuration alongside the built-in providers
+   * @param {Object} plugin - Plugin loaded by ProviderPluginLoader
+   */
+  addPluginProvider(plugin) {
+    if (this.providerConfigs[plugin.name]) {
+      throw new Error(`Provider plugin "${plugin.name}" from ${plugin.source}: the name is already in use`);
+    }
+    
+    this.providerConfigs[plugin.name] = this.buildPluginConfig(plugin);
+    this.pluginSecretKeys[plugin.name] = Object.entries(plugin.configSchema)
+      .filter(([, field]) => field.secret)
+      .map(([key]) => key);
+  }
+  
+  // Convert a raw environment value to a plugin config schema type
+  parseSchemaValue(value, type, key) {
+    switch (type) {
+      case 'number': {
+        const number = Number(value);
+        if (isNaN(number)) {
+          throw new Error(`Invalid ${key} value: ${value}. Must be a number.`);
+        }
+        return number;
+      }
+      case 'boolean':
+        return value.toLowerCase() === 'true';
+      case 'list':
+        return this.parseListValue(value);
+      default:
+        return value;
+    }
+  }
+  
+  // Parse comma-separated "Name: value" pairs into a header object
+  parseHeaderList(value, key) {
+    const headers = {};
+    for (const entry of this.parseListValue(value)) {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error(`Invalid ${key} entry "${entry}": expected "Header-Name: value"`);
+      }
+      headers[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+    return headers;
+  }
+  
   getConfigValue(key, defaultValue) {
     // Precedence: Environment variable > default value
     return process.env[key] || defaultValue;
   }
   
+  // Parse a comma-separated config value into a trimmed, non-empty list
+  parseListValue(value) {
+    if (!value) {
+      return [];
+    }
+    return String(value)
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  }
+  
   validateConfig(config) {
     // Validate port
     if (isNaN(config.PORT) || config.PORT < 1 || config.PORT > 65535) {
@@ -176,6 +410,24 @@ export class ConfigManager {
     if (isNaN(config.REQUEST_TIMEOUT) || config.REQUEST_TIMEOUT < 1000) {
       throw new Error(`Invalid REQUEST_TIMEOUT value: ${config.REQUEST_TIMEOUT}. Must be a number >= 1000 milliseconds.`);
     }
+    
+    // Validate usage limits (optional; unset means unlimited)
+    for (const key of ['BRIDGE_RATE_LIMIT_RPM', 'BRIDGE_RATE_LIMIT_BURST', 'BRIDGE_DAILY_REQUEST_LIMIT', 'BRIDGE_DAILY_TOKEN_LIMIT']) {
+      if (config[key] !== undefined && (isNaN(config[key]) || config[key] < 0)) {
+        throw new Error(`Invalid ${key} value: ${config[key]}. Must be a number >= 0 (0 disables the limit).`);
+      }
+    }
+    
+    // Validate circuit breaker settings (optional)
+    if (config.CIRCUIT_BREAKER_FAILURE_RATE !== undefined &&
+        (isNaN(config.CIRCUIT_BREAKER_FAILURE_RATE) || config.CIRCUIT_BREAKER_FAILURE_RATE < 1 || config.CIRCUIT_BREAKER_FAILURE_RATE > 100)) {
+      throw new Error(`Invalid CIRCUIT_BREAKER_FAILURE_RATE value: ${config.CIRCUIT_BREAKER_FAILURE_RATE}. Must be a percentage between 1 and 100.`);
+    }
+    for (const key of ['CIRCUIT_BREAKER_MIN_REQUESTS', 'CIRCUIT_BREAKER_WINDOW', 'CIRCUIT_BREAKER_OPEN_DURATION']) {
+      if (config[key] !== undefined && (isNaN(config[key]) || config[key] < 1)) {
+        throw new Error(`Invalid ${key} value: ${config[key]}. Must be a number >= 1.`);
+      }
+    }
   }
   
   get(key) {
@@ -249,10 +501,53 @@ export class ConfigManager {
     return this.get('REQUEST_TIMEOUT');
   }
   
+  getApiKeys() {
+    return this.get('BRIDGE_API_KEYS');
+  }
+  
+  getUsageLimits() {
+    return {
+      requestsPerMinute: this.get('BRIDGE_RATE_LIMIT_RPM'),
+      burst: this.get('BRIDGE_RATE_LIMIT_BURST'),
+      dailyRequests: this.get('BRIDGE_DAILY_REQUEST_LIMIT'),
+      dailyTokens: this.get('BRIDGE_DAILY_TOKEN_LIMIT')
+    };
+  }
+  
+  getKeyLimitOverrides() {
+    return this.get('BRIDGE_KEY_LIMITS');
+  }
+  
+  getCircuitBreakerOptions() {
+    return {
+      enabled: this.get('CIRCUIT_BREAKER_ENABLED'),
+      failureRateThreshold: this.get('CIRCUIT_BREAKER_FAILURE_RATE') / 100,
+      minimumRequests: this.get('CIRCUIT_BREAKER_MIN_REQUESTS'),
+      windowMs: this.get('CIRCUIT_BREAKER_WINDOW'),
+      openDurationMs: this.get('CIRCUIT_BREAKER_OPEN_DURATION')
+    };
+  }
+  
+  getModelRouting() {
+    return {
+      aliases: this.get('MODEL_ALIASES'),
+      rules: this.get('MODEL_ROUTING_RULES'),
+      fallbacks: this.get('MODEL_FALLBACKS')
+    };
+  }
+  
+  getProviderPlugins() {
+    return {
+      directory: this.get('PROVIDER_PLUGINS_DIR') ? this.expandHomePath(this.get('PROVIDER_PLUGINS_DIR')) : null,
+      packages: this.get('PROVIDER_PLUGINS')
+    };
+  }
+  
   // Development helper to dump config (excluding sensitive data)
   dumpConfig() {
     const config = this.getAll();
     const sanitized = { ...config };
+    sanitized.BRIDGE_API_KEYS = `${config.BRIDGE_API_KEYS.length} configured`;
     
     // Don't expose sensitive paths in logs
     const sanitizedProviderConfigs = {};
@@ -262,6 +557,18 @@ export class ConfigManager {
         sanitizedProviderConfigs[providerName].credentialsPath = 
           sanitizedProviderConfigs[providerName].credentialsPath.replace(os.homedir(), '~');
       }
+      if (sanitizedProviderConfigs[providerName].apiKey) {
+        sanitizedProviderConfigs[providerName].apiKey = '[REDACTED]';
+      }
+      // Header overrides often carry tokens too
+      if (sanitizedProviderConfigs[providerName].headers) {
+        sanitizedProviderConfigs[providerName].headers = Object.keys(sanitizedProviderConfigs[providerName].headers);
+      }
+      for (const key of this.pluginSecretKeys[providerName] || []) {
+        if (sanitizedProviderConfigs[providerName][key]) {
+          sanitizedProviderConfigs[providerName][key] = '[REDACTED]';
+        }
+      }
     }
     
     return {
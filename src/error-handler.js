@@ -1,3 +1,22 @@
+// Error codes raised by UsageLimiter for per-key limits
+const USAGE_LIMIT_CODES = new Set(['rate_limit_exceeded', 'daily_request_budget_exceeded', 'daily_token_budget_exceeded']);
+
+// Error codes raised by ApiKeyAuthenticator
+const API_KEY_CODES = new Set(['missing_api_key', 'invalid_api_key', 'remote_login_not_allowed']);
+
+// Routes that speak the Anthropic Messages API and so expect its error envelope
+const ANTHROPIC_PATHS = new Set(['/v1/messages']);
+
+// Anthropic error types by HTTP status; anything else is api_error
+const ANTHROPIC_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error'
+};
+
 export class ErrorHandler {
   constructor(logger) {
     this.logger = logger;
@@ -67,6 +86,40 @@ export class ErrorHandler {
     });
   }
 
+  // Missing or unknown bridge API key, in the OpenAI error format clients already understand
+  handleApiKeyError(error, res) {
+    return res.status(error.statusCode || 401).json({
+      error: {
+        message: error.message,
+        type: 'invalid_request_error',
+        param: null,
+        code: error.code
+      }
+    });
+  }
+
+  // Request refused by the bridge's own per-key limits, not by the upstream API
+  handleUsageLimitError(error, res) {
+    this.logger.warn('Usage limit reached', {
+      error: error.message,
+      code: error.code
+    });
+
+    if (error.headers) {
+      res.set(error.headers);
+    }
+
+    return res.status(429).json({
+      error: {
+        message: error.message,
+        type: 'rate_limit_exceeded',
+        param: null,
+        code: error.code,
+        retryAfter: error.retryAfter
+      }
+    });
+  }
+
   handleApiError(error, res) {
     const statusCode = error.statusCode || 500;
 
@@ -198,8 +251,80 @@ export class ErrorHandler {
     });
   }
 
+  // Provider skipped because its circuit breaker is open after repeated upstream failures
+  handleCircuitOpenError(error, res) {
+    this.logger.warn('Request refused by open circuit', {
+      error: error.message
+    });
+
+    if (error.retryAfterMs !== undefined) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+
+    return res.status(503).json({
+      error: {
+        message: error.message,
+        type: 'provider_unavailable',
+        code: error.code,
+        retryAfter: error.retryAfter
+      }
+    });
+  }
+
+  /**
+   * Whether another provider might serve a request that failed with this error
+   * Rate limits, quota and credential failures and upstream outages are specific to one provider;
+   * invalid requests, bridge limits and client disconnects would fail the same way everywhere.
+   * @param {Error} error - Error from resolving, authenticating or forwarding the request
+   * @returns {boolean} True if the request may be retried on a fallback provider
+   */
+  isRetryableElsewhere(error) {
+    if (error.clientAborted || this.isUsageLimitError(error)) {
+      return false;
+    }
+    if (error.message.includes('FATAL:')) {
+      return true;
+    }
+    return [401, 403, 408, 429].includes(error.statusCode) || error.statusCode >= 500;
+  }
+
+  /**
+   * Whether the bridge refused the request under its per-key rate limit or daily budgets
+   * @param {Error} error - Error to check
+   * @returns {boolean} True for bridge usage-limit errors
+   */
+  isUsageLimitError(error) {
+    return USAGE_LIMIT_CODES.has(error.code);
+  }
+
   // Helper method to determine error type and route to appropriate handler
   handleError(error, res) {
+    // Client disconnected - there is nobody left to send an error body to
+    if (error.clientAborted) {
+      this.logger.info('Request cancelled by client', {
+        error: error.message
+      });
+      if (!res.headersSent) {
+        res.status(499).end();
+      }
+      return;
+    }
+
+    // Bridge API key errors (inbound auth, not the upstream OAuth token)
+    if (API_KEY_CODES.has(error.code)) {
+      return this.handleApiKeyError(error, res);
+    }
+
+    // Bridge usage limits (per API key)
+    if (USAGE_LIMIT_CODES.has(error.code)) {
+      return this.handleUsageLimitError(error, res);
+    }
+
+    // Provider or account skipped by its circuit breaker
+    if (error.code === 'circuit_open') {
+      return this.handleCircuitOpenError(error, res);
+    }
+
     // Authentication errors
     if (error.message.includes('FATAL:') || 
         error.message.includes('invalid_grant') || 
@@ -226,11 +351,53 @@ export class ErrorHandler {
     return this.handleUnknownError(error, res);
   }
 
+  /**
+   * Handle an error in the response format of the route that raised it
+   * @param {Error} error - Error to report
+   * @param {Object} req - Express request, used to pick the format
+   * @param {Object} res - Express response
+   */
+  handleRequestError(error, req, res) {
+    if (ANTHROPIC_PATHS.has(req?.path)) {
+      return this.handleAnthropicError(error, res);
+    }
+    return this.handleError(error, res);
+  }
+
+  /**
+   * Handle an error as an Anthropic `{ type: 'error', error: { type, message } }` body
+   * The status code and message come from handleError; only the envelope changes
+   * @param {Error} error - Error to report
+   * @param {Object} res - Express response
+   */
+  handleAnthropicError(error, res) {
+    const json = res.json.bind(res);
+    res.json = body => json(this.toAnthropicError(res.statusCode, body));
+    return this.handleError(error, res);
+  }
+
+  /**
+   * Convert an OpenAI-style error body to the Anthropic error shape
+   * @param {number} statusCode - HTTP status of the response
+   * @param {Object} body - `{ error: { message, type, details } }` from handleError
+   * @returns {Object} Anthropic error body
+   */
+  toAnthropicError(statusCode, body) {
+    const { message, details } = body?.error || {};
+    return {
+      type: 'error',
+      error: {
+        type: ANTHROPIC_ERROR_TYPES[statusCode] || 'api_error',
+        message: typeof details === 'string' ? `${message} ${details}` : message
+      }
+    };
+  }
+
   // Middleware to wrap async route handlers with error handling
   asyncHandler(fn) {
     return (req, res, next) => {
       Promise.resolve(fn(req, res, next)).catch(error => {
-        this.handleError(error, res);
+        this.handleRequestError(error, req, res);
       });
     };
   }
@@ -238,7 +405,7 @@ export class ErrorHandler {
   // Express error handling middleware
   errorMiddleware() {
     return (error, req, res, next) => {
-      this.handleError(error, res);
+      this.handleRequestError(error, req, res);
     };
   }
 }
\ No newline at end of file
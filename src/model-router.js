@@ -0,0 +1,247 @@
+import { estimateTokens, extractTextFromMessage } from './utils/chunking-utils.js';
+import { hasImageParts } from './utils/media-utils.js';
+
+/**
+ * ModelRouter - Resolves client model names to `provider/model` targets
+ * Requests that already name a configured provider (`gemini/gemini-2.5-pro`) are left alone.
+ * Other names go through the routing rules, then the alias table; the first match wins.
+ * Rules look at request traits so the bridge can pick a backend itself, e.g. send long
+ * contexts to Gemini or image requests to a vision model.
+ *
+ * Fallback chains name the models to try next when the chosen provider fails.
+ *
+ * MODEL_ALIASES entries:       `sonnet=qwen/qwen3-coder-plus`, `claude-*-haiku*=qwen/qwen3-coder-flash`
+ * MODEL_ROUTING_RULES entries: `tokens>60000:gemini/gemini-2.5-pro`, `images&!tools:qwen/qwen-vl-max`
+ * MODEL_FALLBACKS entries:     `qwen/qwen3-coder-plus->gemini/gemini-2.5-pro->anthropic/claude-sonnet-4-5`
+ */
+
+// Conditions a rule can combine with '&'; boolean traits can be negated with '!'
+const BOOLEAN_TRAITS = ['tools', 'images', 'stream'];
+
+export class ModelRouter {
+  /**
+   * @param {Array<string>} aliasEntries - `pattern=provider/model` entries from MODEL_ALIASES
+   * @param {Array<string>} ruleEntries - `conditions:provider/model` entries from MODEL_ROUTING_RULES
+   * @param {Array<string>} fallbackEntries - `pattern->provider/model->...` entries from MODEL_FALLBACKS
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(aliasEntries, ruleEntries, fallbackEntries, logger) {
+    this.logger = logger;
+    this.aliases = aliasEntries.map(entry => ModelRouter.parseAlias(entry));
+    this.rules = ruleEntries.map(entry => ModelRouter.parseRule(entry));
+    this.fallbacks = fallbackEntries.map(entry => ModelRouter.parseFallback(entry));
+  }
+
+  /**
+   * Parse one MODEL_ALIASES entry
+   * @param {string} entry - `pattern=provider/model`; `*` in the pattern matches any characters
+   * @returns {Object} { pattern, matcher, target }
+   */
+  static parseAlias(entry) {
+    const separator = entry.indexOf('=');
+    const pattern = entry.slice(0, separator).trim();
+    const target = entry.slice(separator + 1).trim();
+
+    if (separator <= 0 || !pattern) {
+      throw new Error(`Invalid MODEL_ALIASES entry "${entry}": expected "alias=provider/model"`);
+    }
+    ModelRouter.checkTarget(target, 'MODEL_ALIASES', entry);
+
+    return { pattern, matcher: ModelRouter.compilePattern(pattern), target };
+  }
+
+  /**
+   * Parse one MODEL_ROUTING_RULES entry
+   * @param {string} entry - `conditions:provider/model`, conditions joined with '&'
+   * @returns {Object} { rule, conditions, target }
+   */
+  static parseRule(entry) {
+    const separator = entry.indexOf(':');
+    const rule = entry.slice(0, separator).trim();
+    const target = entry.slice(separator + 1).trim();
+
+    if (separator <= 0 || !rule) {
+      throw new Error(`Invalid MODEL_ROUTING_RULES entry "${entry}": expected "condition&condition:provider/model"`);
+    }
+    ModelRouter.checkTarget(target, 'MODEL_ROUTING_RULES', entry);
+
+    const conditions = rule.split('&').map(condition => ModelRouter.parseCondition(condition.trim(), entry));
+    return { rule, conditions, target };
+  }
+
+  /**
+   * Parse one MODEL_FALLBACKS entry
+   * @param {string} entry - `pattern->provider/model->provider/model`; the pattern may be a model or an alias
+   * @returns {Object} { pattern, matcher, targets }
+   */
+  static parseFallback(entry) {
+    const [pattern, ...targets] = entry.split('->').map(part => part.trim());
+
+    if (!pattern || targets.length === 0) {
+      throw new Error(`Invalid MODEL_FALLBACKS entry "${entry}": expected "model->provider/model"`);
+    }
+    for (const target of targets) {
+      ModelRouter.checkTarget(target, 'MODEL_FALLBACKS', entry);
+    }
+
+    return { pattern, matcher: ModelRouter.compilePattern(pattern), targets };
+  }
+
+  /**
+   * Parse a single rule condition into a predicate over request traits
+   * @param {string} condition - `tokens>N`, `tokens<N`, `model=pattern`, or a boolean trait with optional '!'
+   * @param {string} entry - Whole rule, for error messages
+   * @returns {Function} (traits) => boolean
+   */
+  static parseCondition(condition, entry) {
+    const tokenMatch = condition.match(/^tokens\s*([<>])\s*(\d+)$/);
+    if (tokenMatch) {
+      const limit = Number(tokenMatch[2]);
+      return tokenMatch[1] === '>'
+        ? traits => traits.tokens > limit
+        : traits => traits.tokens < limit;
+    }
+
+    if (condition.startsWith('model=')) {
+      const matcher = ModelRouter.compilePattern(condition.slice('model='.length).trim());
+      return traits => matcher.test(traits.model);
+    }
+
+    const negated = condition.startsWith('!');
+    const trait = negated ? condition.slice(1) : condition;
+    if (BOOLEAN_TRAITS.includes(trait)) {
+      return traits => traits[trait] !== negated;
+    }
+
+    throw new Error(
+      `Invalid MODEL_ROUTING_RULES condition "${condition}" in "${entry}": ` +
+      `use tokens>N, tokens<N, model=<pattern> or ${BOOLEAN_TRAITS.join(', ')} (optionally negated with '!')`
+    );
+  }
+
+  // Targets must name their provider so routing never loops back through the router
+  static checkTarget(target, key, entry) {
+    if (!/^[^/\s]+\/\S+$/.test(target)) {
+      throw new Error(`Invalid ${key} entry "${entry}": target must be "provider/model"`);
+    }
+  }
+
+  // Case-insensitive whole-name match where '*' matches any run of characters
+  static compilePattern(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Request traits the routing rules test
+   * @param {Object} openAIRequest - OpenAI-compatible request
+   * @returns {Object} { model, tokens, tools, images, stream }
+   */
+  static getRequestTraits(openAIRequest) {
+    const messages = Array.isArray(openAIRequest.messages) ? openAIRequest.messages : [];
+
+    let text = '';
+    for (const message of messages) {
+      text += extractTextFromMessage(message);
+      for (const toolCall of message.tool_calls || []) {
+        text += toolCall.function?.arguments || '';
+      }
+    }
+
+    const tools = Array.isArray(openAIRequest.tools) && openAIRequest.tools.length > 0;
+    if (tools) {
+      text += JSON.stringify(openAIRequest.tools);
+    }
+
+    return {
+      model: openAIRequest.model,
+      tokens: estimateTokens(text),
+      tools,
+      images: hasImageParts(messages),
+      stream: Boolean(openAIRequest.stream)
+    };
+  }
+
+  /**
+   * Resolve an alias to its target
+   * @param {string} modelName - Requested model name
+   * @returns {string|null} `provider/model` target, or null when no alias matches
+   */
+  resolveAlias(modelName) {
+    const alias = this.aliases.find(({ matcher }) => matcher.test(modelName));
+    return alias ? alias.target : null;
+  }
+
+  /**
+   * Pick the model for a request
+   * @param {Object} openAIRequest - OpenAI-compatible request
+   * @param {Function} isProviderName - Whether a prefix names a configured provider
+   * @param {Function} [isProviderHealthy] - Whether a provider can take requests now (e.g. its circuit is not open);
+   *   matching rules that point at an unhealthy provider are passed over for the next match
+   * @returns {Object} { model, reason } where reason is 'explicit', 'rule', 'alias' or 'default'
+   */
+  route(openAIRequest, isProviderName, isProviderHealthy = () => true) {
+    const requested = openAIRequest.model;
+    if (typeof requested !== 'string') {
+      return { model: requested, reason: 'default' };
+    }
+
+    const separator = requested.indexOf('/');
+    if (separator > 0 && isProviderName(requested.slice(0, separator).toLowerCase())) {
+      return { model: requested, reason: 'explicit' };
+    }
+
+    if (this.rules.length > 0) {
+      const traits = ModelRouter.getRequestTraits(openAIRequest);
+      const rule = this.rules.find(candidate => {
+        if (!candidate.conditions.every(condition => condition(traits))) {
+          return false;
+        }
+        if (!isProviderHealthy(candidate.target.slice(0, candidate.target.indexOf('/')).toLowerCase())) {
+          this.logger.debug('Skipping routing rule for unhealthy provider', { model: requested, rule: candidate.rule, target: candidate.target });
+          return false;
+        }
+        return true;
+      });
+      if (rule) {
+        this.logger.debug('Routing rule matched', { model: requested, rule: rule.rule, target: rule.target, tokens: traits.tokens });
+        return { model: rule.target, reason: 'rule' };
+      }
+    }
+
+    const aliasTarget = this.resolveAlias(requested);
+    if (aliasTarget) {
+      return { model: aliasTarget, reason: 'alias' };
+    }
+
+    return { model: requested, reason: 'default' };
+  }
+
+  /**
+   * Fallback chain for a request
+   * @param {Array<string>} modelNames - Names to match in order, e.g. the routed `provider/model` then the requested name
+   * @returns {Array<string>} `provider/model` targets to try after the first choice fails
+   */
+  getFallbacks(modelNames) {
+    for (const modelName of modelNames) {
+      const fallback = this.fallbacks.find(({ matcher }) => matcher.test(modelName));
+      if (fallback) {
+        return fallback.targets.filter(target => !modelNames.includes(target));
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Targets whose provider is not configured, for a startup warning
+   * @param {Function} isProviderName - Whether a prefix names a configured provider
+   * @returns {Array<string>} Unreachable targets
+   */
+  findUnknownTargets(isProviderName) {
+    const targets = [
+      ...[...this.aliases, ...this.rules].map(({ target }) => target),
+      ...this.fallbacks.flatMap(({ targets: fallbackTargets }) => fallbackTargets)
+    ];
+    return [...new Set(targets)].filter(target => !isProviderName(target.slice(0, target.indexOf('/')).toLowerCase()));
+  }
+}
@@ -0,0 +1,119 @@
+import { BaseProvider } from './base-provider.js';
+import { ApiKeyAuthManager } from '../auth/api-key-auth-manager.js';
+import { CredentialPool } from '../auth/credential-pool.js';
+import { AnthropicTranslator } from '../translators/anthropic-translator.js';
+import { parseSSEStream } from '../utils/sse-parser.js';
+
+/**
+ * AnthropicProvider - Claude through the Anthropic Messages API
+ * Takes the same OpenAI-format requests as the other providers, so paid Claude models can be
+ * mixed with Qwen and Gemini by model prefix (anthropic/claude-sonnet-4-5).
+ */
+export class AnthropicProvider extends BaseProvider {
+  constructor(config, logger) {
+    super(config, logger);
+
+    // A local stand-in may run without a key; api.anthropic.com always needs one
+    if (config.apiKey) {
+      this.authManager = new ApiKeyAuthManager(config.apiKey, logger, {
+        name: 'anthropic',
+        scheme: 'x-api-key',
+        apiBaseUrl: config.apiBaseUrl
+      });
+      this.credentialPool = new CredentialPool('anthropic', [this.authManager], logger, {
+        circuitBreaker: config.circuitBreaker
+      });
+    }
+
+    this.translator = new AnthropicTranslator(logger, config.apiBaseUrl, config.requestTimeout, {
+      anthropicVersion: config.anthropicVersion,
+      defaultMaxTokens: config.defaultMaxTokens,
+      defaultModel: config.defaultModel
+    });
+
+    if (this.authManager) {
+      this.translator.setTokenManager(this.authManager);
+    }
+  }
+
+  async initialize() {
+    if (this.credentialPool) {
+      await this.initializeCredentialPool();
+    } else {
+      this.logger.warn('Anthropic provider has no API key; only keyless Anthropic-compatible servers will accept its requests', {
+        apiBaseUrl: this.translator.apiBaseUrl
+      });
+    }
+
+    this.logger.info('Anthropic Provider initialized successfully');
+  }
+
+  async getValidAccessToken() {
+    if (!this.credentialPool) {
+      return null;
+    }
+    return (await this.acquireCredentials()).accessToken;
+  }
+
+  requiresAccessToken() {
+    return Boolean(this.credentialPool);
+  }
+
+  translateRequest(openAIRequest) {
+    return this.translator.translateOpenAIToProvider(openAIRequest);
+  }
+
+  translateResponse(providerResponse) {
+    return this.translator.translateProviderToOpenAI(providerResponse);
+  }
+
+  async forwardRequest(translatedRequest, accessToken, options = {}) {
+    if (!this.credentialPool) {
+      return await this.translator.forwardToProviderAPI(translatedRequest, null, options);
+    }
+    const send = token => this.translator.forwardToProviderAPI(translatedRequest, token, options);
+    return await this.credentialPool.forward({ account: options.account, accessToken }, send, options);
+  }
+
+  /**
+   * Stream Messages API events as OpenAI chat.completion.chunk objects
+   * Events refer to content blocks by index, so each stream keeps its own translation state
+   * @param {Object} providerResponse - Streaming fetch Response returned by forwardRequest()
+   * @returns {AsyncGenerator<Object>} OpenAI-compatible streaming chunks
+   */
+  async *streamResponse(providerResponse) {
+    const state = this.translator.createStreamState();
+
+    try {
+      for await (const event of parseSSEStream(providerResponse.body)) {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (error) {
+          this.logger.warn('Skipping unparseable streaming event', {
+            provider: this.getName(),
+            event: event.event,
+            error: error.message,
+            data: event.data.substring(0, 200)
+          });
+          continue;
+        }
+
+        const chunk = this.translator.translateStreamingChunk(data, state);
+        if (chunk) {
+          yield chunk;
+        }
+      }
+    } finally {
+      providerResponse.releaseRequest?.();
+    }
+  }
+
+  getApiBaseUrl() {
+    return this.translator.apiBaseUrl;
+  }
+
+  getName() {
+    return 'anthropic';
+  }
+}
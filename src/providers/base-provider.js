@@ -1,3 +1,6 @@
+import { getModelMetadata } from './model-catalog.js';
+import { parseSSEStream } from '../utils/sse-parser.js';
+
 /**
  * BaseProvider - Abstract base class defining the provider interface
  * All provider implementations must extend this class
@@ -17,6 +20,55 @@ export class BaseProvider {
     throw new Error('initialize() must be implemented by subclass');
   }
   
+  /**
+   * Release background resources (token refresh schedulers, credentials file watchers)
+   */
+  shutdown() {
+    if (this.credentialPool) {
+      this.credentialPool.shutdown();
+    } else if (this.authManager) {
+      this.authManager.stopRefreshScheduler();
+      this.authManager.stopCredentialsWatcher();
+    }
+  }
+  
+  /**
+   * Credentials files to pool: `credentialsPaths` when configured, else the single `credentialsPath`
+   * @param {string} defaultPath - Path used when neither is configured
+   * @returns {Array<string>} Credentials file paths, one per account
+   */
+  getCredentialsPaths(defaultPath) {
+    if (this.config.credentialsPaths && this.config.credentialsPaths.length > 0) {
+      return this.config.credentialsPaths;
+    }
+    return [this.config.credentialsPath || defaultPath];
+  }
+  
+  /**
+   * Initialize every pooled account and start its background token maintenance
+   * @returns {Promise<void>}
+   */
+  async initializeCredentialPool() {
+    await this.credentialPool.initialize();
+    
+    // Refresh tokens ahead of expiry and pick up tokens rotated by the official CLIs
+    this.credentialPool.startBackgroundTasks({
+      leadTimeMs: this.config.refreshLeadTime,
+      pollIntervalMs: this.config.credentialsPollInterval
+    });
+  }
+  
+  /**
+   * Provider status for /health
+   * @param {Object} [options] - Health options, see CredentialPool.getHealth()
+   * @returns {Object} Status including per-account state
+   */
+  getHealth(options = {}) {
+    return {
+      accounts: this.credentialPool ? this.credentialPool.getHealth(options) : []
+    };
+  }
+  
   /**
    * Get a valid access token for the provider
    * @returns {Promise<string|null>} Valid access token or null if unavailable
@@ -25,6 +77,49 @@ export class BaseProvider {
     throw new Error('getValidAccessToken() must be implemented by subclass');
   }
   
+  /**
+   * Pick the credentials for one request
+   * Pooled providers also return the account the token belongs to; pass it to forwardRequest()
+   * as options.account so rotation and circuit breaking apply to that account
+   * @returns {Promise<{accessToken: string|null, account: Object|null}>} Token and pool account
+   */
+  async acquireCredentials() {
+    if (!this.credentialPool) {
+      return { accessToken: await this.getValidAccessToken(), account: null };
+    }
+    const selected = await this.credentialPool.acquire();
+    return selected || { accessToken: null, account: null };
+  }
+  
+  /**
+   * Whether requests need a token from getValidAccessToken()
+   * Providers that can run without credentials (e.g. a local server) return false
+   * @returns {boolean} True if a missing token is fatal
+   */
+  requiresAccessToken() {
+    return true;
+  }
+  
+  /**
+   * Validate an OpenAI-compatible request before any quota or token is spent
+   * Uses the provider's translator when it has one; throws 'Invalid request: ...' errors
+   * @param {Object} openAIRequest - OpenAI-compatible request
+   */
+  validateRequest(openAIRequest) {
+    if (this.translator) {
+      this.translator.validateOpenAIRequest(openAIRequest);
+    }
+  }
+  
+  /**
+   * Asynchronous work a request needs before the (synchronous) translation, such as downloading remote media
+   * @param {Object} openAIRequest - Validated OpenAI-compatible request
+   * @returns {Promise<Object>} Request to translate; the same object when nothing changes
+   */
+  async prepareRequest(openAIRequest) {
+    return openAIRequest;
+  }
+  
   /**
    * Translate OpenAI request to provider-specific format
    * @param {Object} openAIRequest - OpenAI-compatible request
@@ -47,12 +142,54 @@ export class BaseProvider {
    * Forward request to the provider's API
    * @param {Object} translatedRequest - Provider-specific request
    * @param {string} [accessToken] - Valid access token (optional for some providers)
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. on client disconnect)
+   * @param {Object} [options.account] - Pool account from acquireCredentials()
+   * @param {boolean} [options.stream] - The response is streamed; pooled providers then set
+   *   `response.trackStream` (see CredentialPool.forward) and the account's outcome waits for the stream's end
    * @returns {Promise<Object>} Provider response
    */
-  async forwardRequest(translatedRequest, accessToken) {
+  async forwardRequest(translatedRequest, accessToken, options = {}) {
     throw new Error('forwardRequest() must be implemented by subclass');
   }
   
+  /**
+   * Stream a provider SSE response as OpenAI chat.completion.chunk objects
+   * Providers with a non-SSE wire format can override this method
+   * @param {Object} providerResponse - Streaming fetch Response returned by forwardRequest()
+   * @returns {AsyncGenerator<Object>} OpenAI-compatible streaming chunks
+   */
+  async *streamResponse(providerResponse) {
+    try {
+      for await (const event of parseSSEStream(providerResponse.body)) {
+        if (event.data === '[DONE]') {
+          return;
+        }
+        
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (error) {
+          this.logger.warn('Skipping unparseable streaming event', {
+            provider: this.getName(),
+            event: event.event,
+            error: error.message,
+            data: event.data.substring(0, 200)
+          });
+          continue;
+        }
+        
+        const chunk = this.translator.translateStreamingChunk(data);
+        if (chunk) {
+          yield chunk;
+        }
+      }
+    } finally {
+      // Unlink the caller's abort signal now the body is read (see BaseTranslator.releaseAfterBody)
+      providerResponse.releaseRequest?.();
+    }
+  }
+  
   /**
    * Get the provider's API base URL
    * @returns {string} API base URL
@@ -61,6 +198,19 @@ export class BaseProvider {
     throw new Error('getApiBaseUrl() must be implemented by subclass');
   }
   
+  /**
+   * List the models served by this provider (default model first, then extra configured models)
+   * @returns {Array<Object>} Model descriptors with id (without provider prefix) and metadata
+   */
+  listModels() {
+    const modelIds = [this.config.defaultModel, ...(this.config.models || [])].filter(Boolean);
+    
+    return [...new Set(modelIds)].map(modelId => ({
+      id: modelId,
+      ...getModelMetadata(this.getName(), modelId)
+    }));
+  }
+  
   /**
    * Get the provider's name
    * @returns {string} Provider name
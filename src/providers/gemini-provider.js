@@ -1,6 +1,10 @@
 import { BaseProvider } from './base-provider.js';
 import { GeminiAuthManager } from '../auth/gemini-auth-manager.js';
+import { ApiKeyAuthManager } from '../auth/api-key-auth-manager.js';
 import { GeminiTranslator } from '../translators/gemini-translator.js';
+import { CodeAssistTranslator } from '../translators/code-assist-translator.js';
+import { CredentialPool } from '../auth/credential-pool.js';
+import { RemoteMediaFetcher } from '../utils/media-utils.js';
 
 /**
  * GeminiProvider - Gemini-specific provider implementation
@@ -10,15 +14,61 @@ export class GeminiProvider extends BaseProvider {
   constructor(config, logger) {
     super(config, logger);
     
-    // Initialize Gemini-specific components
-    this.authManager = new GeminiAuthManager(
-      config.credentialsPath || '~/.gemini/oauth_creds.json',
-      config.clientId,
-      config.clientSecret,
-      logger
-    );
+    // Initialize Gemini-specific components: a Gemini API key, or one OAuth auth manager per pooled account
+    const authManagers = config.apiKey
+      ? [new ApiKeyAuthManager(config.apiKey, logger, {
+        name: 'gemini',
+        scheme: 'x-goog-api-key',
+        apiBaseUrl: config.apiBaseUrl
+      })]
+      : this.getCredentialsPaths('~/.gemini/oauth_creds.json').map(credentialsPath =>
+        new GeminiAuthManager(
+          credentialsPath,
+          config.clientId,
+          config.clientSecret,
+          logger,
+          { tokenUrl: config.tokenUrl }
+        )
+      );
+    this.credentialPool = new CredentialPool('gemini', authManagers, logger, {
+      strategy: config.rotationStrategy,
+      circuitBreaker: config.circuitBreaker
+    });
+    this.authManager = authManagers[0];
+    
+    this.translator = this.createTranslator(config, logger);
+    this.translator.setTokenManager(this.authManager);
+    this.translator.setMediaOptions(config.media);
+    this.mediaFetcher = new RemoteMediaFetcher(config.media, logger);
+  }
+  
+  /**
+   * Translator for the configured transport
+   * @param {Object} config - Provider configuration
+   * @param {Logger} logger - Logger instance
+   * @returns {GeminiTranslator} Translator
+   */
+  createTranslator(config, logger) {
+    const transport = config.transport || 'generative-language';
+    
+    if (transport === 'code-assist') {
+      // Code Assist only accepts the OAuth tokens gemini-cli logs in with
+      if (config.apiKey) {
+        throw new Error('PROVIDER_GEMINI_API_KEY cannot be used with the code-assist transport. Use the generative-language transport or remove the key.');
+      }
+      return new CodeAssistTranslator(
+        logger,
+        { endpoint: config.codeAssistEndpoint, projectId: config.projectId },
+        config.requestTimeout,
+        config.chunking
+      );
+    }
+    
+    if (transport !== 'generative-language') {
+      throw new Error(`Invalid Gemini transport: ${transport}. Use 'generative-language' or 'code-assist'.`);
+    }
     
-    this.translator = new GeminiTranslator(
+    return new GeminiTranslator(
       logger,
       config.apiBaseUrl,
       config.requestTimeout,
@@ -28,8 +78,8 @@ export class GeminiProvider extends BaseProvider {
   
   async initialize() {
     try {
-      // Initialize authentication manager
-      await this.authManager.initialize();
+      // Initialize authentication for every pooled account
+      await this.initializeCredentialPool();
       
       this.logger.info('Gemini Provider initialized successfully');
       
@@ -42,7 +92,12 @@ export class GeminiProvider extends BaseProvider {
   }
   
   async getValidAccessToken() {
-    return await this.authManager.getValidAccessToken();
+    return (await this.acquireCredentials()).accessToken;
+  }
+  
+  // Remote images are downloaded first; Gemini only reads inline data and file URIs reliably
+  async prepareRequest(openAIRequest) {
+    return await this.mediaFetcher.inlineRemoteImages(openAIRequest);
   }
   
   translateRequest(openAIRequest) {
@@ -53,8 +108,9 @@ export class GeminiProvider extends BaseProvider {
     return this.translator.translateProviderToOpenAI(providerResponse);
   }
   
-  async forwardRequest(translatedRequest, accessToken) {
-    return await this.translator.forwardToProviderAPI(translatedRequest, accessToken);
+  async forwardRequest(translatedRequest, accessToken, options = {}) {
+    const send = token => this.translator.forwardToProviderAPI(translatedRequest, token, options);
+    return await this.credentialPool.forward({ account: options.account, accessToken }, send, options);
   }
   
   getApiBaseUrl() {
@@ -0,0 +1,55 @@
+/**
+ * Model Catalog - Known metadata for models served through the bridge
+ * Used by the /v1/models endpoints to report context windows and capabilities.
+ * Models that are not listed here are still served, they just report unknown limits.
+ */
+
+const DEFAULT_CAPABILITIES = {
+  streaming: true,
+  tools: true,
+  vision: false,
+  reasoning: false
+};
+
+export const MODEL_CATALOG = {
+  qwen: {
+    'qwen3-coder-plus': { contextWindow: 1048576, maxOutputTokens: 65536 },
+    'qwen3-coder-flash': { contextWindow: 1048576, maxOutputTokens: 65536 },
+    'qwen-vl-max-latest': { contextWindow: 131072, maxOutputTokens: 8192, capabilities: { vision: true } },
+    'qwen-vl-plus': { contextWindow: 131072, maxOutputTokens: 8192, capabilities: { vision: true } },
+    'qwen3-vl-plus': { contextWindow: 262144, maxOutputTokens: 32768, capabilities: { vision: true } },
+    'vision-model': { capabilities: { vision: true } }
+  },
+  gemini: {
+    'gemini-pro': { contextWindow: 32760, maxOutputTokens: 8192 },
+    'gemini-1.5-pro': { contextWindow: 2097152, maxOutputTokens: 8192, capabilities: { vision: true } },
+    'gemini-1.5-flash': { contextWindow: 1048576, maxOutputTokens: 8192, capabilities: { vision: true } },
+    'gemini-2.0-flash': { contextWindow: 1048576, maxOutputTokens: 8192, capabilities: { vision: true } },
+    'gemini-2.5-pro': { contextWindow: 1048576, maxOutputTokens: 65536, capabilities: { vision: true, reasoning: true } },
+    'gemini-2.5-flash': { contextWindow: 1048576, maxOutputTokens: 65536, capabilities: { vision: true, reasoning: true } }
+  },
+  anthropic: {
+    'claude-sonnet-4-5': { contextWindow: 200000, maxOutputTokens: 64000, capabilities: { vision: true, reasoning: true } },
+    'claude-opus-4-1': { contextWindow: 200000, maxOutputTokens: 32000, capabilities: { vision: true, reasoning: true } },
+    'claude-haiku-4-5': { contextWindow: 200000, maxOutputTokens: 64000, capabilities: { vision: true, reasoning: true } }
+  }
+};
+
+/**
+ * Look up metadata for a provider model
+ * @param {string} providerName - Provider name (e.g. 'qwen')
+ * @param {string} modelId - Model name without provider prefix
+ * @returns {Object} Metadata with contextWindow, maxOutputTokens and capabilities
+ */
+export function getModelMetadata(providerName, modelId) {
+  const known = (MODEL_CATALOG[providerName] || {})[modelId] || {};
+
+  return {
+    contextWindow: known.contextWindow || null,
+    maxOutputTokens: known.maxOutputTokens || null,
+    capabilities: {
+      ...DEFAULT_CAPABILITIES,
+      ...(known.capabilities || {})
+    }
+  };
+}
@@ -0,0 +1,84 @@
+import { BaseProvider } from './base-provider.js';
+import { ApiKeyAuthManager } from '../auth/api-key-auth-manager.js';
+import { CredentialPool } from '../auth/credential-pool.js';
+import { OpenAICompatibleTranslator } from '../translators/openai-compatible-translator.js';
+
+/**
+ * OpenAICompatibleProvider - Any upstream that serves OpenAI's /chat/completions
+ * Configured per instance (e.g. `local`, `openrouter`) with a base URL, an optional API key,
+ * a model list and header overrides. Requests arrive as `<name>/<model>`.
+ */
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config, logger) {
+    super(config, logger);
+
+    if (!config.apiBaseUrl) {
+      throw new Error(`Provider ${config.name} needs a base URL. Set PROVIDER_${config.name.toUpperCase().replace(/-/g, '_')}_API_BASE_URL.`);
+    }
+
+    // Keyless upstreams (local servers) have no account to pool
+    if (config.apiKey) {
+      this.authManager = new ApiKeyAuthManager(config.apiKey, logger, {
+        name: config.name,
+        scheme: 'bearer',
+        apiBaseUrl: config.apiBaseUrl
+      });
+      this.credentialPool = new CredentialPool(config.name, [this.authManager], logger, {
+        circuitBreaker: config.circuitBreaker
+      });
+    }
+
+    this.translator = new OpenAICompatibleTranslator(logger, {
+      name: config.name,
+      apiBaseUrl: config.apiBaseUrl,
+      defaultModel: config.defaultModel,
+      headers: config.headers
+    }, config.requestTimeout);
+
+    if (this.authManager) {
+      this.translator.setTokenManager(this.authManager);
+    }
+  }
+
+  async initialize() {
+    if (this.credentialPool) {
+      await this.initializeCredentialPool();
+    }
+
+    this.logger.info(`${this.getName()} provider initialized successfully`, {
+      apiBaseUrl: this.config.apiBaseUrl,
+      auth: this.credentialPool ? 'api-key' : 'none'
+    });
+  }
+
+  async getValidAccessToken() {
+    if (!this.credentialPool) {
+      return null;
+    }
+    return (await this.acquireCredentials()).accessToken;
+  }
+
+  requiresAccessToken() {
+    return Boolean(this.credentialPool);
+  }
+
+  translateRequest(openAIRequest) {
+    return this.translator.translateOpenAIToProvider(openAIRequest);
+  }
+
+  translateResponse(providerResponse) {
+    return this.translator.translateProviderToOpenAI(providerResponse);
+  }
+
+  async forwardRequest(translatedRequest, accessToken, options = {}) {
+    if (!this.credentialPool) {
+      return await this.translator.forwardToProviderAPI(translatedRequest, null, options);
+    }
+    const send = token => this.translator.forwardToProviderAPI(translatedRequest, token, options);
+    return await this.credentialPool.forward({ account: options.account, accessToken }, send, options);
+  }
+
+  getApiBaseUrl() {
+    return this.config.apiBaseUrl;
+  }
+}
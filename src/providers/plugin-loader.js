@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * ProviderPluginLoader - Discovers provider plugins at startup
+ *
+ * A plugin is an ES module whose default export (or the module namespace itself) has:
+ *   - name: provider name, used as model prefix and as PROVIDER_<NAME>_* namespace
+ *   - Provider: a BaseProvider subclass, constructed as `new Provider(config, logger)`
+ *   - configSchema: optional map of config keys to { type, default, required, secret, description }
+ *
+ * Plugins come from the `.js`/`.mjs` files (or directories with an index.js) in
+ * PROVIDER_PLUGINS_DIR and from the package names listed in PROVIDER_PLUGINS.
+ */
+
+const PLUGIN_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const SCHEMA_TYPES = ['string', 'number', 'boolean', 'list'];
+
+// Methods every provider must implement; BaseProvider's versions only throw
+const ABSTRACT_METHODS = ['initialize', 'getValidAccessToken', 'translateRequest', 'translateResponse', 'forwardRequest'];
+
+// Everything the server calls on a provider; BaseProvider supplies working defaults for the rest
+const SERVER_METHODS = [
+  ...ABSTRACT_METHODS,
+  'acquireCredentials',
+  'requiresAccessToken',
+  'validateRequest',
+  'prepareRequest',
+  'streamResponse',
+  'listModels',
+  'getHealth',
+  'getName'
+];
+
+export class ProviderPluginLoader {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Load every configured plugin
+   * @param {Object} options - Plugin sources
+   * @param {string} [options.directory] - Directory scanned for plugin modules
+   * @param {Array<string>} [options.packages] - Package names or paths to import
+   * @returns {Promise<Array<Object>>} Validated plugins ({ name, Provider, configSchema, source })
+   */
+  async load({ directory, packages = [] } = {}) {
+    const sources = [];
+
+    if (directory) {
+      sources.push(...await this.listDirectoryModules(directory));
+    }
+    for (const specifier of packages) {
+      sources.push({ specifier, source: specifier });
+    }
+
+    const plugins = [];
+    for (const { specifier, source } of sources) {
+      const plugin = await this.loadPlugin(specifier, source);
+
+      if (plugins.some(loaded => loaded.name === plugin.name)) {
+        throw new Error(`Provider plugin "${plugin.name}" from ${source} is already loaded`);
+      }
+
+      plugins.push(plugin);
+      this.logger.info('Loaded provider plugin', { name: plugin.name, source });
+    }
+
+    return plugins;
+  }
+
+  /**
+   * Plugin module URLs in a directory, in name order so loading is deterministic
+   * @param {string} directory - Plugins directory
+   * @returns {Promise<Array<Object>>} Import specifiers with their source paths
+   */
+  async listDirectoryModules(directory) {
+    const resolved = path.resolve(directory);
+
+    let entries;
+    try {
+      entries = await fs.readdir(resolved, { withFileTypes: true });
+    } catch (error) {
+      throw new Error(`Cannot read PROVIDER_PLUGINS_DIR ${resolved}: ${error.message}`);
+    }
+
+    const modules = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(resolved, entry.name);
+
+      if (entry.isFile() && /\.m?js$/.test(entry.name)) {
+        modules.push(entryPath);
+      } else if (entry.isDirectory()) {
+        const indexPath = path.join(entryPath, 'index.js');
+        try {
+          await fs.access(indexPath);
+          modules.push(indexPath);
+        } catch (error) {
+          this.logger.debug('Skipping plugins directory entry without index.js', { path: entryPath });
+        }
+      }
+    }
+
+    return modules.map(modulePath => ({ specifier: pathToFileURL(modulePath).href, source: modulePath }));
+  }
+
+  /**
+   * Import and validate a single plugin
+   * @param {string} specifier - Import specifier (file URL or package name)
+   * @param {string} source - Where the plugin came from, for error messages
+   * @returns {Promise<Object>} Validated plugin
+   */
+  async loadPlugin(specifier, source) {
+    let module;
+    try {
+      module = await import(specifier);
+    } catch (error) {
+      throw new Error(`Failed to load provider plugin ${source}: ${error.message}`);
+    }
+
+    return this.validatePlugin(module.default || module, source);
+  }
+
+  /**
+   * Check a plugin against the plugin contract
+   * @param {Object} plugin - Plugin export
+   * @param {string} source - Where the plugin came from, for error messages
+   * @returns {Object} Plugin with a normalized config schema
+   */
+  validatePlugin(plugin, source) {
+    const { name, Provider, configSchema = {} } = plugin || {};
+
+    if (typeof name !== 'string' || !PLUGIN_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid provider plugin ${source}: name must use lowercase letters, digits, '-' and '_'`);
+    }
+
+    // BaseProvider itself fails this check, so it cannot be registered as a plugin
+    if (typeof Provider !== 'function' || !(Provider.prototype instanceof BaseProvider)) {
+      throw new Error(`Invalid provider plugin ${source}: Provider must be a BaseProvider subclass`);
+    }
+
+    const missing = SERVER_METHODS.filter(method => typeof Provider.prototype[method] !== 'function');
+    const notImplemented = ABSTRACT_METHODS.filter(method => Provider.prototype[method] === BaseProvider.prototype[method]);
+    if (missing.length > 0 || notImplemented.length > 0) {
+      throw new Error(`Invalid provider plugin ${source}: Provider must implement ${[...missing, ...notImplemented].join(', ')}`);
+    }
+
+    if (typeof configSchema !== 'object' || Array.isArray(configSchema)) {
+      throw new Error(`Invalid provider plugin ${source}: configSchema must be an object`);
+    }
+    for (const [key, field] of Object.entries(configSchema)) {
+      if (!SCHEMA_TYPES.includes(field?.type)) {
+        throw new Error(`Invalid provider plugin ${source}: configSchema.${key}.type must be one of: ${SCHEMA_TYPES.join(', ')}`);
+      }
+    }
+
+    return { name, Provider, configSchema, source };
+  }
+}
@@ -1,27 +1,62 @@
 import { QwenProvider } from './qwen-provider.js';
 import { GeminiProvider } from './gemini-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { AnthropicProvider } from './anthropic-provider.js';
+
+// Provider constructors by type; plugins add theirs with registerPlugin()
+const providerTypes = new Map([
+  ['qwen', (providerName, config, logger) => new QwenProvider(config, logger, config.requestTimeout)],
+  ['gemini', (providerName, config, logger) => new GeminiProvider(config, logger)],
+  ['anthropic', (providerName, config, logger) => new AnthropicProvider(config, logger)],
+  ['openai-compatible', (providerName, config, logger) =>
+    new OpenAICompatibleProvider({ ...config, name: config.name || providerName }, logger)]
+]);
+const BUILT_IN_TYPES = Array.from(providerTypes.keys());
 
 /**
  * ProviderFactory - Factory for creating provider instances
+ * Providers are created by type; the built-in qwen, gemini and anthropic providers use their name as type.
  */
 export class ProviderFactory {
   static createProvider(providerName, config, logger) {
-    switch (providerName.toLowerCase()) {
-      case 'qwen':
-        return new QwenProvider(config, logger, config.requestTimeout);
-      case 'gemini':
-        return new GeminiProvider(config, logger);
-      default:
-        throw new Error();
+    const type = (config?.type || providerName).toLowerCase();
+    const create = providerTypes.get(type);
+    
+    if (!create) {
+      throw new Error(`Unsupported provider type '${type}' for provider ${providerName}. Supported types: ${this.getSupportedProviders().join(', ')}`);
+    }
+    
+    return create(providerName, config, logger);
+  }
+  
+  /**
+   * Register a provider plugin's class under the plugin name
+   * @param {Object} plugin - Plugin loaded by ProviderPluginLoader
+   */
+  static registerPlugin(plugin) {
+    if (providerTypes.has(plugin.name)) {
+      throw new Error(`Provider plugin "${plugin.name}" from ${plugin.source} clashes with an existing provider type`);
+    }
+    
+    providerTypes.set(plugin.name, (providerName, config, logger) =>
+      new plugin.Provider({ ...config, name: config.name || providerName }, logger));
+  }
+  
+  /**
+   * Remove a registered plugin type (built-in types cannot be removed)
+   * @param {string} type - Plugin name
+   */
+  static unregisterPlugin(type) {
+    if (!BUILT_IN_TYPES.includes(type)) {
+      providerTypes.delete(type);
     }
   }
   
   static getSupportedProviders() {
-    return ['qwen', 'gemini'];
+    return Array.from(providerTypes.keys());
   }
   
   static isProviderSupported(providerName) {
     return this.getSupportedProviders().includes(providerName.toLowerCase());
   }
 }
-
@@ -1,6 +1,22 @@
 import { BaseProvider } from './base-provider.js';
 import { QwenAuthManager } from '../auth/qwen-auth-manager.js';
+import { ApiKeyAuthManager } from '../auth/api-key-auth-manager.js';
 import { QwenTranslator } from '../translators/qwen-translator.js';
+import { CredentialPool } from '../auth/credential-pool.js';
+import { getModelMetadata } from './model-catalog.js';
+import { RemoteMediaFetcher, createMediaError, hasImageParts } from '../utils/media-utils.js';
+
+// DashScope's OpenAI-compatible endpoint, used with PROVIDER_QWEN_API_KEY
+const DASHSCOPE_API_BASE_URL = 'https://dashscope.aliyuncs.com/compatible-mode/v1';
+
+// Vision model used when none is configured; Qwen OAuth accounts and DashScope keys name it differently
+const DEFAULT_VISION_MODELS = {
+  oauth: 'vision-model',
+  apiKey: 'qwen3-vl-plus'
+};
+
+// Qwen model names that take images: qwen-vl-max, qwen2.5-vl-72b-instruct, vision-model, qwen-omni-turbo, qvq-max
+const VISION_MODEL_PATTERN = /(^|[-_.])(vl|vision|omni|qvq)([-_.]|$)/i;
 
 /**
  * QwenProvider - Qwen-specific provider implementation
@@ -10,12 +26,27 @@ export class QwenProvider extends BaseProvider {
   constructor(config, logger, requestTimeout) {
     super(config, logger);
     
-    // Initialize Qwen-specific components
-    this.authManager = new QwenAuthManager(
-      config.credentialsPath || '~/.qwen/oauth_creds.json',
-      config.clientId, // Pass clientId from config (falls back to hardcoded if not provided)
-      logger
-    );
+    // Initialize Qwen-specific components: a DashScope API key, or one OAuth auth manager per pooled account
+    const authManagers = config.apiKey
+      ? [new ApiKeyAuthManager(config.apiKey, logger, {
+        name: 'qwen',
+        scheme: 'bearer',
+        apiBaseUrl: config.apiBaseUrl || DASHSCOPE_API_BASE_URL
+      })]
+      : this.getCredentialsPaths('~/.qwen/oauth_creds.json').map(credentialsPath =>
+        new QwenAuthManager(
+          credentialsPath,
+          config.clientId, // Pass clientId from config (falls back to hardcoded if not provided)
+          logger,
+          { tokenUrl: config.tokenUrl }
+        )
+      );
+    this.credentialPool = new CredentialPool('qwen', authManagers, logger, {
+      strategy: config.rotationStrategy,
+      circuitBreaker: config.circuitBreaker
+    });
+    // First account resolves the API base URL when no pooled account is known
+    this.authManager = authManagers[0];
     
     this.translator = new QwenTranslator(
       logger,
@@ -25,12 +56,72 @@ export class QwenProvider extends BaseProvider {
     
     // Connect translator to auth manager for API URL resolution
     this.translator.setTokenManager(this.authManager);
+    this.translator.setMediaOptions(config.media);
+    this.mediaFetcher = new RemoteMediaFetcher(config.media, logger);
+    
+    const vision = config.vision || {};
+    this.vision = {
+      model: vision.model || (config.apiKey ? DEFAULT_VISION_MODELS.apiKey : DEFAULT_VISION_MODELS.oauth),
+      models: vision.models || [],
+      autoUpgrade: vision.autoUpgrade !== false
+    };
+  }
+  
+  /**
+   * Whether a Qwen model accepts images
+   * @param {string} model - Upstream model name, without the provider prefix
+   * @returns {boolean} True for the vision model, PROVIDER_QWEN_VISION_MODELS, catalog vision models and VL/vision/omni/QVQ names
+   */
+  isVisionModel(model) {
+    return model === this.vision.model ||
+      this.vision.models.includes(model) ||
+      getModelMetadata('qwen', model).capabilities.vision ||
+      VISION_MODEL_PATTERN.test(model);
+  }
+  
+  // Model name the upstream will see, as the translator derives it
+  getUpstreamModel(model) {
+    const name = model || this.config.defaultModel || this.translator.defaultModel;
+    return name.includes('/') ? name.slice(name.indexOf('/') + 1) : name;
+  }
+  
+  validateRequest(openAIRequest) {
+    super.validateRequest(openAIRequest);
+    
+    // Without the upgrade, a text-only model would fail upstream with an unhelpful error
+    const model = this.getUpstreamModel(openAIRequest.model);
+    if (!this.vision.autoUpgrade && hasImageParts(openAIRequest.messages) && !this.isVisionModel(model)) {
+      throw createMediaError(
+        `${model} cannot read images. Use a vision model such as qwen/${this.vision.model}, ` +
+        'set PROVIDER_QWEN_VISION_AUTO_UPGRADE=true to switch automatically, or remove the images'
+      );
+    }
+  }
+  
+  /**
+   * Switch image requests to the vision model and inline remote images
+   * @param {Object} openAIRequest - Validated OpenAI-compatible request
+   * @returns {Promise<Object>} Request to translate
+   */
+  async prepareRequest(openAIRequest) {
+    if (!hasImageParts(openAIRequest.messages)) {
+      return openAIRequest;
+    }
+    
+    let request = openAIRequest;
+    const model = this.getUpstreamModel(request.model);
+    if (!this.isVisionModel(model)) {
+      this.logger.info('Switching image request to the Qwen vision model', { model, visionModel: this.vision.model });
+      request = { ...request, model: this.vision.model };
+    }
+    
+    return await this.mediaFetcher.inlineRemoteImages(request);
   }
   
   async initialize() {
     try {
-      // Initialize authentication manager
-      await this.authManager.initialize();
+      // Initialize authentication for every pooled account
+      await this.initializeCredentialPool();
       
       this.logger.info('Qwen Provider initialized successfully');
       
@@ -43,7 +134,7 @@ export class QwenProvider extends BaseProvider {
   }
   
   async getValidAccessToken() {
-    return await this.authManager.getValidAccessToken();
+    return (await this.acquireCredentials()).accessToken;
   }
   
   translateRequest(openAIRequest) {
@@ -54,8 +145,13 @@ export class QwenProvider extends BaseProvider {
     return this.translator.translateProviderToOpenAI(providerResponse);
   }
   
-  async forwardRequest(translatedRequest, accessToken) {
-    return await this.translator.forwardToProviderAPI(translatedRequest, accessToken);
+  async forwardRequest(translatedRequest, accessToken, options = {}) {
+    // Each Qwen account may be served from its own resource_url
+    const send = (token, account) => this.translator.forwardToProviderAPI(translatedRequest, token, {
+      ...options,
+      apiBaseUrl: account?.authManager.getApiBaseUrl()
+    });
+    return await this.credentialPool.forward({ account: options.account, accessToken }, send, options);
   }
   
   getApiBaseUrl() {
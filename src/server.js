@@ -1,8 +1,17 @@
 import express from 'express';
+import { pathToFileURL } from 'url';
 import { Logger } from './logger.js';
 import { ConfigManager } from './config-manager.js';
 import { ErrorHandler } from './error-handler.js';
 import { ProviderFactory } from './providers/provider-factory.js';
+import { ProviderPluginLoader } from './providers/plugin-loader.js';
+import { AnthropicMessagesAdapter } from './translators/anthropic-messages-adapter.js';
+import { QwenAuthManager } from './auth/qwen-auth-manager.js';
+import { QwenDeviceFlow, QwenDeviceLoginSessions } from './auth/qwen-device-flow.js';
+import { ApiKeyAuthenticator } from './auth/api-key-auth.js';
+import { UsageLimiter } from './usage-limiter.js';
+import { ModelRouter } from './model-router.js';
+import { CircuitBreaker } from './circuit-breaker.js';
 
 class ClaudeBridge {
   constructor() {
@@ -11,6 +20,8 @@ class ClaudeBridge {
     this.logger = new Logger();
     this.configManager = new ConfigManager(this.logger);
     this.providers = new Map(); // Map of initialized providers
+    this.circuitBreakers = new Map(); // Provider name -> CircuitBreaker
+    this.startTime = Date.now();
   }
 
   async initialize() {
@@ -27,12 +38,31 @@ class ClaudeBridge {
       // Initialize error handler
       this.errorHandler = new ErrorHandler(this.logger);
       
+      // Inbound API keys; throws on malformed BRIDGE_API_KEYS entries
+      this.apiKeyAuthenticator = new ApiKeyAuthenticator(this.configManager.getApiKeys(), this.logger);
+      
+      // Per-key rate limits and daily budgets; throws on malformed BRIDGE_KEY_LIMITS entries
+      this.usageLimiter = new UsageLimiter(
+        this.configManager.getUsageLimits(),
+        this.configManager.getKeyLimitOverrides(),
+        this.logger
+      );
+      
+      // Initialize Anthropic Messages API adapter
+      this.anthropicAdapter = new AnthropicMessagesAdapter(this.logger);
+      
+      // Plugins register their provider types and configs before any provider is created
+      await this.loadProviderPlugins();
+      
       // Initialize all enabled providers
       await this.initializeProviders();
       
+      // Aliases and routing rules; throws on malformed MODEL_ALIASES / MODEL_ROUTING_RULES entries
+      this.initializeModelRouter();
+      
       this.logger.info('Initialized providers', {
         providerList: Array.from(this.providers.keys()),
-        providerConfigs: this.configManager.getAllProviderConfigs()
+        providerConfigs: this.configManager.dumpConfig().providerConfigs
       });
       
       // Setup Express middleware and routes
@@ -53,6 +83,25 @@ class ClaudeBridge {
     }
   }
 
+  async loadProviderPlugins() {
+    const plugins = await new ProviderPluginLoader(this.logger).load(this.configManager.getProviderPlugins());
+    
+    for (const plugin of plugins) {
+      this.configManager.addPluginProvider(plugin);
+      ProviderFactory.registerPlugin(plugin);
+    }
+  }
+  
+  initializeModelRouter() {
+    const { aliases, rules, fallbacks } = this.configManager.getModelRouting();
+    this.modelRouter = new ModelRouter(aliases, rules, fallbacks, this.logger);
+    
+    const unknownTargets = this.modelRouter.findUnknownTargets(name => this.providers.has(name));
+    if (unknownTargets.length > 0) {
+      this.logger.warn('Model aliases or routing rules point at providers that are not initialized', { targets: unknownTargets });
+    }
+  }
+  
   async initializeProviders() {
     const providerConfigs = this.configManager.getAllProviderConfigs();
     const enabledProviders = this.configManager.getEnabledProviders();
@@ -65,12 +114,7 @@ class ClaudeBridge {
     // Initialize each enabled provider
     for (const providerName of enabledProviders) {
       try {
-        const config = providerConfigs[providerName];
-        const provider = ProviderFactory.createProvider(providerName, config, this.logger);
-        await provider.initialize();
-        this.providers.set(providerName, provider);
-        
-        this.logger.info(`${providerName} provider initialized successfully`);
+        await this.initializeProvider(providerName, providerConfigs[providerName]);
       } catch (error) {
         this.logger.error(`Failed to initialize ${providerName} provider`, {
           error: error.message
@@ -88,13 +132,29 @@ class ClaudeBridge {
     }
   }
 
+  async initializeProvider(providerName, config) {
+    // Pools give each account a breaker with the same settings as the provider's
+    const circuitBreaker = this.configManager.getCircuitBreakerOptions();
+    const provider = ProviderFactory.createProvider(providerName, { ...config, circuitBreaker }, this.logger);
+    await provider.initialize();
+    
+    this.circuitBreakers.set(providerName, new CircuitBreaker(providerName, circuitBreaker, this.logger));
+    this.providers.set(providerName, provider);
+    
+    this.logger.info(`${providerName} provider initialized successfully`);
+    return provider;
+  }
+
   setupMiddleware() {
+    // Reject requests without a valid bridge API key before reading their bodies
+    this.app.use(this.apiKeyAuthenticator.middleware(this.errorHandler));
+    
     this.app.use(express.json({ limit: '10mb' }));
     
     // Basic request logging
     this.app.use((req, res, next) => {
       if (req.path !== '/health') {
-        this.logger.debug(`${req.method} ${req.path}`);
+        this.logger.debug(`${req.method} ${req.path}`, req.apiKey ? { apiKey: req.apiKey.label } : {});
       }
       next();
     });
@@ -106,13 +166,62 @@ class ClaudeBridge {
       await this.handleChatCompletions(req, res);
     }));
 
+    // Anthropic Messages API endpoint for Claude-native clients
+    this.app.post('/v1/messages', this.errorHandler.asyncHandler(async (req, res) => {
+      await this.handleMessages(req, res);
+    }));
+
+    // Model discovery endpoints (OpenAI-compatible)
+    this.app.get('/v1/models', (req, res) => {
+      res.json({
+        object: 'list',
+        data: this.listModels().map(({ id, object, created, owned_by }) => ({ id, object, created, owned_by }))
+      });
+    });
+
+    this.app.get('/v1/models/*', (req, res) => {
+      const model = this.findModel(req.params[0]);
+      if (!model) {
+        return res.status(404).json({
+          error: {
+            message: `The model '${req.params[0]}' does not exist`,
+            type: 'invalid_request_error',
+            param: 'model',
+            code: 'model_not_found'
+          }
+        });
+      }
+      res.json(model);
+    });
+
+    // Qwen device-authorization login: start, then poll until approved
+    this.app.post('/auth/qwen/device', this.errorHandler.asyncHandler(async (req, res) => {
+      await this.handleQwenDeviceStart(req, res);
+    }));
+
+    this.app.get('/auth/qwen/device/:sessionId', this.errorHandler.asyncHandler(async (req, res) => {
+      await this.handleQwenDevicePoll(req, res);
+    }));
+
     // Health check endpoint (Phase 2)
     this.app.get('/health', (req, res) => {
+      // Per-account pool status for each provider; paths, redacted tokens and
+      // upstream error messages only for requests with a valid bridge API key
+      const detailed = Boolean(req.apiKey);
+      const accounts = {};
+      const circuits = {};
+      for (const [name, provider] of this.providers) {
+        accounts[name] = provider.getHealth({ detailed }).accounts;
+        circuits[name] = this.circuitBreakers.get(name).getHealth({ detailed });
+      }
+      
       res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: '1.0.0',
-        providers: Array.from(this.providers.keys())
+        providers: Array.from(this.providers.keys()),
+        circuits,
+        accounts
       });
     });
 
@@ -124,6 +233,11 @@ class ClaudeBridge {
           type: 'not_found',
           available_endpoints: [
             'POST /v1/chat/completions',
+            'POST /v1/messages',
+            'GET /v1/models',
+            'GET /v1/models/{model}',
+            'POST /auth/qwen/device',
+            'GET /auth/qwen/device/{session_id}',
             'GET /health'
           ]
         }
@@ -134,6 +248,41 @@ class ClaudeBridge {
     this.app.use(this.errorHandler.errorMiddleware());
   }
 
+  // Build the OpenAI-style model list across all initialized providers
+  listModels() {
+    const created = Math.floor(this.startTime / 1000);
+    const models = [];
+    
+    for (const [providerName, provider] of this.providers) {
+      for (const model of provider.listModels()) {
+        models.push({
+          id: `${providerName}/${model.id}`,
+          object: 'model',
+          created,
+          owned_by: providerName,
+          context_window: model.contextWindow,
+          max_output_tokens: model.maxOutputTokens,
+          capabilities: model.capabilities
+        });
+      }
+    }
+    
+    return models;
+  }
+
+  findModel(requestedName) {
+    const modelName = this.modelRouter.resolveAlias(requestedName) || requestedName;
+    const providerName = this.getProviderFromModel(modelName);
+    if (!providerName) {
+      return null;
+    }
+    
+    // Unprefixed names resolve to the default provider, like chat requests do
+    const modelId = modelName.includes('/') ? modelName.slice(modelName.indexOf('/') + 1) : modelName;
+    const qualifiedName = `${providerName}/${modelId}`;
+    return this.listModels().find(model => model.id === qualifiedName) || null;
+  }
+
   getProviderFromModel(modelName) {
     // Extract provider from model name (e.g., "gemini/gemini-pro" → "gemini")
     if (!modelName || typeof modelName !== 'string') {
@@ -152,137 +301,224 @@ class ClaudeBridge {
     return this.providers.has(providerName) ? providerName : null;
   }
 
-  async handleChatCompletions(req, res) {
+  // Abort upstream work when the client disconnects before the response is complete
+  createClientAbortSignal(req, res) {
+    const controller = new AbortController();
+    
+    // req 'close' also fires once the body has been read, so only an incomplete upload counts
+    req.on('close', () => {
+      if (!req.complete) {
+        controller.abort();
+      }
+    });
+    
+    // res 'close' without a finished response means the client went away mid-response
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+    
+    return controller.signal;
+  }
+
+  // Resolve the provider for an OpenAI-format request, then translate and forward it,
+  // moving down the model's fallback chain when a provider fails in a way another might not
+  async forwardChatRequest(openAIRequest, options = {}) {
     // Validate request format
-    if (!req.body || !req.body.model) {
+    if (!openAIRequest || !openAIRequest.model) {
       throw new Error('Invalid request: model is required');
     }
     
-    // Determine provider based on model name prefix
-    const providerName = this.getProviderFromModel(req.body.model);
+    // Aliases and routing rules may pick another model; explicit provider prefixes are kept.
+    // Rules pointing at a provider whose circuit is open give way to the next matching rule
+    const requestedModel = openAIRequest.model;
+    const route = this.modelRouter.route(
+      openAIRequest,
+      name => this.providers.has(name),
+      name => this.circuitBreakers.get(name)?.canRequest() ?? true
+    );
+    if (route.model !== requestedModel) {
+      this.logger.info('Routed model', { requested: requestedModel, model: route.model, reason: route.reason });
+    }
     
+    // Determine provider based on model name prefix
+    const providerName = this.getProviderFromModel(route.model);
     if (!providerName) {
-      throw new Error(`No provider available for model: ${req.body.model}`);
+      throw new Error(`No provider available for model: ${route.model}`);
     }
     
-    const provider = this.providers.get(providerName);
-    if (!provider) {
-      throw new Error(`Provider not initialized: ${providerName}`);
-    }
+    const qualifiedModel = route.model.includes('/') ? route.model : `${providerName}/${route.model}`;
+    const candidates = [route.model, ...this.modelRouter.getFallbacks([qualifiedModel, requestedModel])];
     
-    // Validate request format using provider's translator
-    provider.translator.validateOpenAIRequest(req.body);
+    let rateLimitHeaders;
+    let firstError = null;
+    for (const [index, model] of candidates.entries()) {
+      const request = { ...openAIRequest, model };
+      const candidateName = this.getProviderFromModel(model);
+      const provider = this.providers.get(candidateName);
+      
+      try {
+        if (!provider) {
+          throw new Error(`No provider available for model: ${model}`);
+        }
+        
+        // Validate request format for the provider
+        provider.validateRequest(request);
+        
+        // Skip a provider whose recent requests keep failing
+        const breaker = this.circuitBreakers.get(candidateName);
+        if (!breaker.canRequest()) {
+          throw breaker.createOpenError();
+        }
+        
+        // Per-key limits come before the token so a refused request never touches the provider;
+        // a fallback is part of the same request and is not counted again
+        if (!rateLimitHeaders) {
+          rateLimitHeaders = this.usageLimiter.consume(options.apiKey?.label);
+        }
+        
+        // Claim the breaker only now that the request will be sent; half-open lets one trial through
+        if (!breaker.allowRequest()) {
+          throw breaker.createOpenError();
+        }
+        
+        let result;
+        try {
+          result = await this.sendChatRequest(provider, candidateName, request, options);
+        } catch (error) {
+          // Only server errors, timeouts and network errors count; a 429 or 401 is answered by a working upstream
+          breaker.recordError(error);
+          throw error;
+        }
+        if (result.stream) {
+          // A stream that started can still fail; it counts once it has been read to the end
+          result.stream = breaker.trackStream(result.stream, options.signal);
+        } else {
+          breaker.recordSuccess();
+        }
+        if (index > 0) {
+          this.logger.info('Request served by fallback provider', { requested: requestedModel, model, provider: candidateName });
+        }
+        
+        return {
+          provider,
+          providerName: candidateName,
+          ...result,
+          // Record which provider actually served the request
+          rateLimitHeaders: { ...rateLimitHeaders, 'X-Bridge-Provider': candidateName }
+        };
+      } catch (error) {
+        // Bridge limits apply to the caller, not the provider, so they end the request at any point in the chain
+        const primary = index === 0;
+        if (error.clientAborted || options.signal?.aborted || this.errorHandler.isUsageLimitError(error) ||
+            (primary && !this.errorHandler.isRetryableElsewhere(error))) {
+          throw error;
+        }
+        
+        firstError = firstError || error;
+        if (index < candidates.length - 1) {
+          this.logger.warn('Provider failed, trying fallback', {
+            model,
+            provider: candidateName,
+            statusCode: error.statusCode,
+            error: error.message,
+            next: candidates[index + 1]
+          });
+        }
+      }
+    }
     
-    // Get valid access token from the provider
-    const validToken = await provider.getValidAccessToken();
-    if (!validToken) {
+    // Report the first choice's failure; the fallbacks are logged above
+    throw firstError;
+  }
+  
+  // Send one request to one provider; streams are started so their first chunk is already in hand
+  async sendChatRequest(provider, providerName, openAIRequest, options) {
+    // Translate request to provider format
+    const preparedRequest = await provider.prepareRequest(openAIRequest);
+    const providerRequest = provider.translateRequest(preparedRequest);
+
+    // Get a valid access token, and for pooled providers the account it belongs to; this comes last
+    // so the account claimed from the pool is always settled by forwardRequest
+    const { accessToken: validToken, account } = await provider.acquireCredentials();
+    if (!validToken && provider.requiresAccessToken()) {
       const error = new Error(`FATAL: Unable to obtain valid access token for ${providerName}`);
       throw error;
     }
 
-    // Translate request to provider format
-    const providerRequest = provider.translateRequest(req.body);
-    const providerResponse = await provider.forwardRequest(providerRequest, validToken);
+    const providerResponse = await provider.forwardRequest(providerRequest, validToken, {
+      signal: options.signal,
+      account,
+      stream: Boolean(openAIRequest.stream)
+    });
+    
+    const stream = openAIRequest.stream ? await this.startStream(provider, providerResponse) : null;
+    return { providerRequest, providerResponse, stream };
+  }
+  
+  // Pull the first chunk before anything is sent to the client, so a stream that fails at once can still fall back
+  async startStream(provider, providerResponse) {
+    // Pooled providers record the serving account's outcome when the stream ends, as the provider breaker does
+    const chunks = provider.streamResponse(providerResponse);
+    const iterator = (providerResponse.trackStream ? providerResponse.trackStream(chunks) : chunks)[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    
+    return (async function* () {
+      if (!first.done) {
+        yield first.value;
+        yield* { [Symbol.asyncIterator]: () => iterator };
+      }
+    })();
+  }
+
+  async handleChatCompletions(req, res) {
+    const signal = this.createClientAbortSignal(req, res);
+    const { provider, providerName, providerRequest, providerResponse, stream, rateLimitHeaders } = await this.forwardChatRequest(req.body, {
+      signal,
+      apiKey: req.apiKey
+    });
+    res.set(rateLimitHeaders);
     
     // Handle streaming vs non-streaming responses
     if (req.body.stream) {
-      // For streaming responses, we need to process each chunk to translate tool calls
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
       
-      if (providerName === 'qwen') {
-        // Qwen uses fetch response streaming
-        const reader = providerResponse.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            
-            const chunk = decoder.decode(value, { stream: true });
-            buffer += chunk;
-            
-            // Process complete lines from buffer
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
-            
-            for (const line of lines) {
-              if (line.trim()) {
-                // Process each SSE chunk and translate tool calls if needed
-                const processedLine = provider.translator.processStreamingChunk(line);
-                res.write(processedLine + '\n');
-              } else {
-                res.write(line + '\n');
-              }
-            }
-          }
-          
-          // Process any remaining buffer content
-          if (buffer.trim()) {
-            const processedLine = provider.translator.processStreamingChunk(buffer);
-            res.write(processedLine);
+      // Upstream usage is always requested for token budgets; the usage-only
+      // final chunk goes only to clients that asked for it
+      const includeUsage = Boolean(req.body.stream_options?.include_usage);
+      let usage = null;
+      try {
+        // Each provider parses its own upstream stream into OpenAI chunks
+        for await (const chunk of stream) {
+          usage = chunk.usage || usage;
+          if (!includeUsage && chunk.usage && chunk.choices.length === 0) {
+            continue;
           }
-          
-          res.end();
-        } catch (error) {
-          this.logger.error('Error streaming response', { 
-            provider: providerName,
-            error: error.message 
-          });
-          res.end();
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
         }
-      } else if (providerName === 'gemini') {
-        // Gemini uses direct response streaming with proper buffering
-        const reader = providerResponse.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            
-            const chunk = decoder.decode(value, { stream: true });
-            buffer += chunk;
-            
-            // Process complete lines from buffer
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
-            
-            for (const line of lines) {
-              if (line.trim()) {
-                // Process each SSE chunk and translate to OpenAI format
-                const processedLine = provider.translator.processStreamingChunk(line);
-                res.write(processedLine + '\n');
-              } else {
-                res.write(line + '\n');
-              }
-            }
-          }
-          
-          // Process any remaining buffer content
-          if (buffer.trim()) {
-            const processedLine = provider.translator.processStreamingChunk(buffer);
-            res.write(processedLine);
-          }
-          
-          res.end();
-        } catch (error) {
+        res.write('data: [DONE]\n\n');
+      } catch (error) {
+        if (signal.aborted) {
+          this.logger.info('Client disconnected, cancelled upstream stream', { provider: providerName });
+        } else {
           this.logger.error('Error streaming response', { 
             provider: providerName,
             error: error.message 
           });
-          res.end();
+          // Headers are already sent, so the failure is reported in-stream; without [DONE] the client knows it is incomplete
+          res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'api_error' } })}\n\n`);
         }
       }
       
-      // Started streaming response
+      this.usageLimiter.recordUsage(req.apiKey?.label, usage);
+      res.end();
     } else {
       // Transform response back to OpenAI-compatible format
       const openAIResponse = provider.translateResponse(providerResponse);
+      this.usageLimiter.recordUsage(req.apiKey?.label, openAIResponse.usage);
       
       this.logger.info('Successfully proxied chat completion request', {
         provider: providerName,
@@ -295,6 +531,157 @@ class ClaudeBridge {
     }
   }
 
+  async handleMessages(req, res) {
+    // Translate the Anthropic request into the OpenAI format all providers accept
+    this.anthropicAdapter.validateAnthropicRequest(req.body);
+    const openAIRequest = this.anthropicAdapter.translateAnthropicToOpenAI(req.body);
+    
+    const signal = this.createClientAbortSignal(req, res);
+    const { provider, providerName, providerRequest, providerResponse, stream, rateLimitHeaders } = await this.forwardChatRequest(openAIRequest, {
+      signal,
+      apiKey: req.apiKey
+    });
+    res.set(rateLimitHeaders);
+    
+    if (openAIRequest.stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      
+      const converter = this.anthropicAdapter.createStreamConverter(req.body.model);
+      let usage = null;
+      
+      try {
+        for await (const chunk of stream) {
+          usage = chunk.usage || usage;
+          for (const event of converter.processChunk(chunk)) {
+            res.write(this.anthropicAdapter.formatSSEEvent(event));
+          }
+        }
+        
+        for (const event of converter.finish()) {
+          res.write(this.anthropicAdapter.formatSSEEvent(event));
+        }
+      } catch (error) {
+        if (signal.aborted) {
+          this.logger.info('Client disconnected, cancelled upstream stream', { provider: providerName });
+          this.usageLimiter.recordUsage(req.apiKey?.label, usage);
+          res.end();
+          return;
+        }
+        
+        this.logger.error('Error streaming Anthropic response', {
+          provider: providerName,
+          error: error.message
+        });
+        res.write(this.anthropicAdapter.formatSSEEvent({
+          type: 'error',
+          error: { type: 'api_error', message: error.message }
+        }));
+      }
+      
+      this.usageLimiter.recordUsage(req.apiKey?.label, usage);
+      res.end();
+    } else {
+      const openAIResponse = provider.translateResponse(providerResponse);
+      this.usageLimiter.recordUsage(req.apiKey?.label, openAIResponse.usage);
+      const anthropicResponse = this.anthropicAdapter.translateOpenAIToAnthropic(openAIResponse, req.body.model);
+      
+      this.logger.info('Successfully proxied Anthropic messages request', {
+        provider: providerName,
+        model: providerRequest.model,
+        messageCount: req.body.messages.length,
+        messageId: anthropicResponse.id
+      });
+      
+      res.json(anthropicResponse);
+    }
+  }
+
+  // Device login sessions, created on first use so a disabled Qwen provider costs nothing
+  getQwenDeviceLogins() {
+    const config = this.configManager.getProviderConfig('qwen');
+    if (!config || !config.enabled) {
+      throw new Error('Invalid request: the qwen provider is disabled');
+    }
+    if (config.apiKey) {
+      throw new Error('Invalid request: the qwen provider uses PROVIDER_QWEN_API_KEY; device login is not needed');
+    }
+    
+    if (!this.qwenDeviceLogins) {
+      const flow = new QwenDeviceFlow({
+        clientId: config.clientId,
+        deviceCodeUrl: config.deviceCodeUrl,
+        tokenUrl: config.tokenUrl
+      }, this.logger);
+      
+      this.qwenDeviceLogins = new QwenDeviceLoginSessions(flow, this.logger, (credentialsPath, credentials) =>
+        this.completeQwenLogin(config, credentialsPath, credentials)
+      );
+    }
+    return this.qwenDeviceLogins;
+  }
+
+  async handleQwenDeviceStart(req, res) {
+    const deviceLogins = this.getQwenDeviceLogins();
+    const config = this.configManager.getProviderConfig('qwen');
+    
+    // Pooled setups pick which account the login is for (1-based, default first)
+    const credentialsPaths = config.credentialsPaths && config.credentialsPaths.length > 0
+      ? config.credentialsPaths
+      : [config.credentialsPath];
+    const account = req.body?.account ?? 1;
+    
+    if (!Number.isInteger(account) || account < 1 || account > credentialsPaths.length) {
+      throw new Error(`Invalid request: account must be an integer between 1 and ${credentialsPaths.length}`);
+    }
+    
+    const credentialsPath = this.configManager.expandHomePath(credentialsPaths[account - 1]);
+    const session = await deviceLogins.start(credentialsPath);
+    
+    res.json(session);
+  }
+
+  async handleQwenDevicePoll(req, res) {
+    const result = await this.getQwenDeviceLogins().poll(req.params.sessionId);
+    
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: `Login session '${req.params.sessionId}' does not exist or has expired`,
+          type: 'invalid_request_error',
+          code: 'session_not_found'
+        }
+      });
+    }
+    
+    res.json(result);
+  }
+
+  // Store a token set from the device login and put the account into rotation
+  async completeQwenLogin(config, credentialsPath, credentials) {
+    const provider = this.providers.get('qwen');
+    const account = provider?.credentialPool.accounts.find(candidate =>
+      candidate.authManager.credentialsPath === credentialsPath
+    );
+    
+    if (account) {
+      await account.authManager.storeCredentials(credentials);
+      await provider.credentialPool.activateAccount(credentialsPath);
+      return;
+    }
+    
+    const authManager = new QwenAuthManager(credentialsPath, config.clientId, this.logger, {
+      tokenUrl: config.tokenUrl
+    });
+    await authManager.storeCredentials(credentials);
+    
+    // Qwen could not start without credentials; bring it up now that it has some
+    if (!provider) {
+      await this.initializeProvider('qwen', config);
+    }
+  }
+
   async start() {
     try {
       // Initialize all components
@@ -312,6 +699,12 @@ class ClaudeBridge {
           environment: process.env.NODE_ENV || 'development',
           providers: Array.from(this.providers.keys())
         });
+        
+        if (!this.apiKeyAuthenticator.isEnabled() && !['localhost', '127.0.0.1', '::1'].includes(host)) {
+          this.logger.warn('No BRIDGE_API_KEYS configured: anyone who can reach this address can use your provider quota', {
+            host
+          });
+        }
       });
       
     } catch (error) {
@@ -324,9 +717,13 @@ class ClaudeBridge {
   }
 }
 
-// Start the server
-const bridge = new ClaudeBridge();
-bridge.start().catch(error => {
-  console.error('Fatal error starting Claude Bridge:', error);
-  process.exit(1);
-});
\ No newline at end of file
+export { ClaudeBridge };
+
+// Start the server when run directly; tests import ClaudeBridge and listen on their own port
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const bridge = new ClaudeBridge();
+  bridge.start().catch(error => {
+    console.error('Fatal error starting Claude Bridge:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,482 @@
+import { JSONParser } from '../utils/json-parser.js';
+
+/**
+ * AnthropicMessagesAdapter - Adapts the Anthropic Messages API to the bridge
+ * Converts inbound Anthropic requests to OpenAI chat requests (which every
+ * provider already understands) and converts OpenAI responses and streaming
+ * chunks back into Anthropic messages and SSE events
+ */
+
+// OpenAI finish_reason -> Anthropic stop_reason
+const STOP_REASON_MAP = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+export class AnthropicMessagesAdapter {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Validate an inbound Anthropic Messages request
+   * @param {Object} request - Anthropic request body
+   * @returns {boolean} True if valid
+   */
+  validateAnthropicRequest(request) {
+    if (!request || !request.model) {
+      throw new Error('Invalid request: model is required');
+    }
+
+    if (!Array.isArray(request.messages)) {
+      throw new Error('Invalid request: messages must be an array');
+    }
+
+    if (request.messages.length === 0) {
+      throw new Error('Invalid request: messages array cannot be empty');
+    }
+
+    for (const message of request.messages) {
+      if (!['user', 'assistant'].includes(message.role)) {
+        throw new Error(`Invalid request: unsupported message role: ${message.role}`);
+      }
+
+      if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+        throw new Error('Invalid request: message content must be a string or an array of content blocks');
+      }
+    }
+
+    if (request.system !== undefined && typeof request.system !== 'string' && !Array.isArray(request.system)) {
+      throw new Error('Invalid request: system must be a string or an array of text blocks');
+    }
+
+    return true;
+  }
+
+  /**
+   * Translate an Anthropic Messages request to an OpenAI chat completion request
+   * @param {Object} anthropicRequest - Anthropic request body
+   * @returns {Object} OpenAI-compatible request
+   */
+  translateAnthropicToOpenAI(anthropicRequest) {
+    const messages = [];
+
+    const systemText = this.extractText(anthropicRequest.system);
+    if (systemText) {
+      messages.push({ role: 'system', content: systemText });
+    }
+
+    for (const message of anthropicRequest.messages) {
+      messages.push(...this.transformMessageToOpenAI(message));
+    }
+
+    const openAIRequest = {
+      model: anthropicRequest.model,
+      messages,
+      max_tokens: anthropicRequest.max_tokens,
+      temperature: anthropicRequest.temperature,
+      top_p: anthropicRequest.top_p,
+      top_k: anthropicRequest.top_k,
+      stop: anthropicRequest.stop_sequences,
+      stream: anthropicRequest.stream || false,
+      user: anthropicRequest.metadata?.user_id,
+      tools: this.transformToolsToOpenAI(anthropicRequest.tools),
+      tool_choice: this.transformToolChoiceToOpenAI(anthropicRequest.tool_choice),
+      // Providers that support it map the budget to their own setting (Gemini thinkingConfig)
+      thinking: anthropicRequest.thinking
+    };
+
+    // Remove undefined fields to keep request clean
+    Object.keys(openAIRequest).forEach(key => {
+      if (openAIRequest[key] === undefined) {
+        delete openAIRequest[key];
+      }
+    });
+
+    this.logger.debug('Translated Anthropic request to OpenAI format', {
+      model: openAIRequest.model,
+      messageCount: openAIRequest.messages.length,
+      stream: openAIRequest.stream,
+      toolCount: openAIRequest.tools ? openAIRequest.tools.length : 0
+    });
+
+    return openAIRequest;
+  }
+
+  // Transform one Anthropic message into one or more OpenAI messages
+  transformMessageToOpenAI(message) {
+    if (typeof message.content === 'string') {
+      return [{ role: message.role, content: message.content }];
+    }
+
+    if (message.role === 'assistant') {
+      let text = '';
+      const toolCalls = [];
+
+      for (const block of message.content) {
+        if (block.type === 'text') {
+          text += block.text || '';
+        } else if (block.type === 'tool_use') {
+          toolCalls.push({
+            id: block.id,
+            type: 'function',
+            function: {
+              name: block.name,
+              arguments: JSON.stringify(block.input || {})
+            }
+          });
+        }
+        // thinking and redacted_thinking blocks are not replayed upstream
+      }
+
+      const assistantMessage = { role: 'assistant', content: text || null };
+      if (toolCalls.length > 0) {
+        assistantMessage.tool_calls = toolCalls;
+      }
+      return [assistantMessage];
+    }
+
+    // User messages: tool results become OpenAI tool messages, which must
+    // directly follow the assistant tool_calls they answer
+    const toolMessages = [];
+    const parts = [];
+
+    for (const block of message.content) {
+      if (block.type === 'tool_result') {
+        const resultText = this.extractText(block.content);
+        toolMessages.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: block.is_error ? `Error: ${resultText}` : resultText
+        });
+      } else if (block.type === 'text') {
+        parts.push({ type: 'text', text: block.text || '' });
+      } else if (block.type === 'image' && block.source) {
+        parts.push({
+          type: 'image_url',
+          image_url: {
+            url: block.source.type === 'base64'
+              ? `data:${block.source.media_type};base64,${block.source.data}`
+              : block.source.url
+          }
+        });
+      }
+    }
+
+    const result = [...toolMessages];
+    if (parts.length > 0) {
+      const hasImages = parts.some(part => part.type === 'image_url');
+      result.push({
+        role: 'user',
+        content: hasImages ? parts : parts.map(part => part.text).join('')
+      });
+    }
+
+    return result;
+  }
+
+  transformToolsToOpenAI(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) {
+      return undefined;
+    }
+
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  transformToolChoiceToOpenAI(toolChoice) {
+    if (!toolChoice) {
+      return undefined;
+    }
+
+    switch (toolChoice.type) {
+      case 'auto':
+        return 'auto';
+      case 'any':
+        return 'required';
+      case 'none':
+        return 'none';
+      case 'tool':
+        return { type: 'function', function: { name: toolChoice.name } };
+      default:
+        return undefined;
+    }
+  }
+
+  // Extract plain text from a string or an array of Anthropic content blocks
+  extractText(content) {
+    if (!content) {
+      return '';
+    }
+
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    if (Array.isArray(content)) {
+      return content
+        .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+        .map(block => block.text)
+        .join('\n');
+    }
+
+    return String(content);
+  }
+
+  /**
+   * Translate an OpenAI chat completion into an Anthropic message
+   * @param {Object} openAIResponse - OpenAI-compatible response
+   * @param {string} requestedModel - Model name the client asked for
+   * @returns {Object} Anthropic message
+   */
+  translateOpenAIToAnthropic(openAIResponse, requestedModel) {
+    const choice = (openAIResponse.choices && openAIResponse.choices[0]) || {};
+    const message = choice.message || {};
+    const content = [];
+
+    // Reasoning from non-Anthropic providers carries no signature
+    if (message.reasoning_content) {
+      content.push({ type: 'thinking', thinking: message.reasoning_content, signature: '' });
+    }
+
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+
+    if (Array.isArray(message.tool_calls)) {
+      for (const toolCall of message.tool_calls) {
+        content.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function?.name,
+          input: JSONParser.parseToolArguments(
+            toolCall.function?.arguments || '{}',
+            { toolCallId: toolCall.id, functionName: toolCall.function?.name, translator: 'anthropic' },
+            this.logger
+          )
+        });
+      }
+    }
+
+    return {
+      id: this.toMessageId(openAIResponse.id),
+      type: 'message',
+      role: 'assistant',
+      model: requestedModel || openAIResponse.model,
+      content,
+      stop_reason: this.mapStopReason(choice.finish_reason),
+      stop_sequence: null,
+      usage: {
+        input_tokens: openAIResponse.usage?.prompt_tokens || 0,
+        output_tokens: openAIResponse.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Create a converter that turns OpenAI streaming chunks into Anthropic events
+   * @param {string} requestedModel - Model name the client asked for
+   * @returns {AnthropicStreamConverter} Stream converter
+   */
+  createStreamConverter(requestedModel) {
+    return new AnthropicStreamConverter(this, requestedModel);
+  }
+
+  /**
+   * Format an Anthropic streaming event as an SSE frame
+   * @param {Object} event - Event payload with a type field
+   * @returns {string} SSE frame
+   */
+  formatSSEEvent(event) {
+    return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+  }
+
+  mapStopReason(finishReason) {
+    if (!finishReason) {
+      return null;
+    }
+    return STOP_REASON_MAP[finishReason] || 'end_turn';
+  }
+
+  toMessageId(completionId) {
+    if (completionId) {
+      // Ids from the Anthropic provider already are message ids
+      return `msg_${String(completionId).replace(/^(chatcmpl-|msg_)/, '')}`;
+    }
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 8);
+    return `msg_${timestamp}${random}`;
+  }
+}
+
+/**
+ * AnthropicStreamConverter - Stateful OpenAI chunk -> Anthropic event converter
+ * Emits message_start, content_block_start/delta/stop, message_delta and message_stop
+ */
+export class AnthropicStreamConverter {
+  constructor(adapter, requestedModel) {
+    this.adapter = adapter;
+    this.model = requestedModel;
+    this.started = false;
+    this.finished = false;
+    this.blockIndex = -1;
+    this.openBlock = null; // { type: 'thinking' }, { type: 'text' } or { type: 'tool_use', toolIndex }
+    this.stopReason = null;
+    this.usage = { input_tokens: 0, output_tokens: 0 };
+  }
+
+  /**
+   * Convert one OpenAI streaming chunk into zero or more Anthropic events
+   * @param {Object} chunk - OpenAI chat.completion.chunk
+   * @returns {Array<Object>} Anthropic events
+   */
+  processChunk(chunk) {
+    const events = [];
+
+    if (!this.started) {
+      events.push(...this.start(chunk.id));
+    }
+
+    if (chunk.usage) {
+      this.usage.input_tokens = chunk.usage.prompt_tokens || this.usage.input_tokens;
+      this.usage.output_tokens = chunk.usage.completion_tokens || this.usage.output_tokens;
+    }
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) {
+      return events;
+    }
+
+    const delta = choice.delta || {};
+
+    if (typeof delta.reasoning_content === 'string' && delta.reasoning_content.length > 0) {
+      if (!this.openBlock || this.openBlock.type !== 'thinking') {
+        events.push(...this.startBlock({ type: 'thinking', thinking: '' }, { type: 'thinking' }));
+      }
+      events.push({
+        type: 'content_block_delta',
+        index: this.blockIndex,
+        delta: { type: 'thinking_delta', thinking: delta.reasoning_content }
+      });
+    }
+
+    if (typeof delta.content === 'string' && delta.content.length > 0) {
+      if (!this.openBlock || this.openBlock.type !== 'text') {
+        events.push(...this.startBlock({ type: 'text', text: '' }, { type: 'text' }));
+      }
+      events.push({
+        type: 'content_block_delta',
+        index: this.blockIndex,
+        delta: { type: 'text_delta', text: delta.content }
+      });
+    }
+
+    if (Array.isArray(delta.tool_calls)) {
+      for (const toolCall of delta.tool_calls) {
+        const toolIndex = toolCall.index !== undefined ? toolCall.index : toolCall.id;
+        const isNewTool = !this.openBlock ||
+                          this.openBlock.type !== 'tool_use' ||
+                          (toolCall.id && toolCall.id !== this.openBlock.id) ||
+                          this.openBlock.toolIndex !== toolIndex;
+
+        if (isNewTool) {
+          events.push(...this.startBlock(
+            { type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input: {} },
+            { type: 'tool_use', id: toolCall.id, toolIndex }
+          ));
+        }
+
+        const partialJson = toolCall.function?.arguments;
+        if (partialJson) {
+          events.push({
+            type: 'content_block_delta',
+            index: this.blockIndex,
+            delta: { type: 'input_json_delta', partial_json: partialJson }
+          });
+        }
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.stopReason = this.adapter.mapStopReason(choice.finish_reason);
+    }
+
+    return events;
+  }
+
+  /**
+   * Close any open block and emit the closing message events
+   * @returns {Array<Object>} Anthropic events
+   */
+  finish() {
+    if (this.finished) {
+      return [];
+    }
+
+    const events = [];
+    if (!this.started) {
+      events.push(...this.start());
+    }
+
+    events.push(...this.closeBlock());
+    // message_start goes out before upstream usage arrives, so the final counts are reported here
+    events.push({
+      type: 'message_delta',
+      delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+      usage: { ...this.usage }
+    });
+    events.push({ type: 'message_stop' });
+
+    this.finished = true;
+    return events;
+  }
+
+  start(completionId) {
+    this.started = true;
+    return [
+      {
+        type: 'message_start',
+        message: {
+          id: this.adapter.toMessageId(completionId),
+          type: 'message',
+          role: 'assistant',
+          model: this.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { ...this.usage }
+        }
+      },
+      { type: 'ping' }
+    ];
+  }
+
+  startBlock(contentBlock, blockState) {
+    const events = this.closeBlock();
+    this.blockIndex++;
+    this.openBlock = blockState;
+    events.push({
+      type: 'content_block_start',
+      index: this.blockIndex,
+      content_block: contentBlock
+    });
+    return events;
+  }
+
+  closeBlock() {
+    if (!this.openBlock) {
+      return [];
+    }
+    this.openBlock = null;
+    return [{ type: 'content_block_stop', index: this.blockIndex }];
+  }
+}
@@ -0,0 +1,491 @@
+import { BaseTranslator } from './base-translator.js';
+import { JSONParser } from '../utils/json-parser.js';
+
+/**
+ * AnthropicTranslator - OpenAI chat completions to and from the Anthropic Messages API
+ * The reverse of AnthropicMessagesAdapter: that one accepts Anthropic requests from clients,
+ * this one sends OpenAI requests to an Anthropic (or Anthropic-compatible) upstream.
+ */
+
+// Anthropic stop_reason -> OpenAI finish_reason
+const FINISH_REASON_MAP = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter'
+};
+
+export class AnthropicTranslator extends BaseTranslator {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {string} [apiBaseUrl] - Base URL up to and including /v1
+   * @param {number} [requestTimeout=120000] - Request timeout in milliseconds
+   * @param {Object} [options] - Messages API settings
+   * @param {string} [options.anthropicVersion='2023-06-01'] - anthropic-version header
+   * @param {number} [options.defaultMaxTokens=4096] - max_tokens for requests that set none (the API requires it)
+   * @param {string} [options.defaultModel] - Model used when the request names none
+   */
+  constructor(logger, apiBaseUrl = null, requestTimeout = 120000, options = {}) {
+    super(logger, apiBaseUrl || 'https://api.anthropic.com/v1', requestTimeout);
+    this.anthropicVersion = options.anthropicVersion || '2023-06-01';
+    this.defaultMaxTokens = options.defaultMaxTokens || 4096;
+    this.defaultModel = options.defaultModel || null;
+  }
+
+  translateOpenAIToProvider(openAIRequest) {
+    // Strip provider prefix from model name (e.g., "anthropic/claude-sonnet-4-5" -> "claude-sonnet-4-5")
+    let modelName = openAIRequest.model || this.defaultModel;
+    if (modelName && modelName.includes('/')) {
+      modelName = modelName.slice(modelName.indexOf('/') + 1);
+    }
+
+    const systemText = openAIRequest.messages
+      .filter(message => message.role === 'system')
+      .map(message => this.extractText(message.content))
+      .filter(Boolean)
+      .join('\n\n');
+
+    const stop = typeof openAIRequest.stop === 'string' ? [openAIRequest.stop] : openAIRequest.stop;
+
+    const anthropicRequest = {
+      model: modelName,
+      system: systemText || undefined,
+      messages: this.transformMessages(openAIRequest.messages),
+      max_tokens: openAIRequest.max_tokens || openAIRequest.max_completion_tokens || this.defaultMaxTokens,
+      temperature: openAIRequest.temperature,
+      top_p: openAIRequest.top_p,
+      top_k: openAIRequest.top_k,
+      stop_sequences: stop,
+      stream: openAIRequest.stream || false,
+      metadata: openAIRequest.user ? { user_id: openAIRequest.user } : undefined,
+      tools: this.transformTools(openAIRequest.tools),
+      tool_choice: this.transformToolChoice(openAIRequest.tool_choice, openAIRequest.parallel_tool_calls)
+    };
+
+    // Remove undefined fields to keep request clean
+    Object.keys(anthropicRequest).forEach(key => {
+      if (anthropicRequest[key] === undefined) {
+        delete anthropicRequest[key];
+      }
+    });
+
+    // Without tools there is nothing to choose from
+    if (!anthropicRequest.tools) {
+      delete anthropicRequest.tool_choice;
+    }
+
+    return anthropicRequest;
+  }
+
+  /**
+   * Turn OpenAI messages into alternating Anthropic user/assistant turns
+   * Tool results become tool_result blocks of a user turn, and consecutive turns of the same
+   * role are merged, since the Messages API rejects two user (or assistant) turns in a row.
+   * @param {Array<Object>} messages - OpenAI messages
+   * @returns {Array<Object>} Anthropic messages
+   */
+  transformMessages(messages) {
+    const turns = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = message.role === 'tool'
+        ? [this.transformToolResult(message)]
+        : role === 'assistant'
+          ? this.transformAssistantContent(message)
+          : this.transformUserContent(message.content);
+
+      if (blocks.length === 0) {
+        continue;
+      }
+
+      const previous = turns[turns.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        turns.push({ role, content: blocks });
+      }
+    }
+
+    return turns;
+  }
+
+  transformToolResult(message) {
+    const content = typeof message.content === 'string'
+      ? message.content
+      : this.extractText(message.content);
+
+    return {
+      type: 'tool_result',
+      tool_use_id: message.tool_call_id,
+      content: content || ''
+    };
+  }
+
+  transformAssistantContent(message) {
+    const blocks = [];
+
+    const text = this.extractText(message.content);
+    if (text) {
+      blocks.push({ type: 'text', text });
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+      blocks.push({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        input: JSONParser.parseToolArguments(
+          toolCall.function?.arguments || '{}',
+          { toolCallId: toolCall.id, functionName: toolCall.function?.name, translator: 'anthropic' },
+          this.logger
+        )
+      });
+    }
+
+    return blocks;
+  }
+
+  transformUserContent(content) {
+    if (typeof content === 'string') {
+      return content ? [{ type: 'text', text: content }] : [];
+    }
+
+    if (!Array.isArray(content)) {
+      return [];
+    }
+
+    const blocks = [];
+    for (const part of content) {
+      if (part.type === 'text' && part.text) {
+        blocks.push({ type: 'text', text: part.text });
+      } else if (part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+        const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+        blocks.push({
+          type: 'image',
+          source: dataUrl
+            ? { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] }
+            : { type: 'url', url }
+        });
+      }
+    }
+    return blocks;
+  }
+
+  transformTools(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) {
+      return undefined;
+    }
+
+    return tools.map(tool => ({
+      name: tool.function?.name,
+      description: tool.function?.description,
+      input_schema: tool.function?.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  transformToolChoice(toolChoice, parallelToolCalls) {
+    let choice;
+    if (toolChoice === 'required') {
+      choice = { type: 'any' };
+    } else if (toolChoice === 'none') {
+      choice = { type: 'none' };
+    } else if (toolChoice && typeof toolChoice === 'object' && toolChoice.function?.name) {
+      choice = { type: 'tool', name: toolChoice.function.name };
+    } else if (toolChoice === 'auto' || parallelToolCalls === false) {
+      choice = { type: 'auto' };
+    } else {
+      return undefined;
+    }
+
+    if (parallelToolCalls === false && choice.type !== 'none') {
+      choice.disable_parallel_tool_use = true;
+    }
+    return choice;
+  }
+
+  // Extract plain text from a string or an array of OpenAI content parts
+  extractText(content) {
+    if (!content) {
+      return '';
+    }
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (Array.isArray(content)) {
+      return content
+        .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+        .map(part => part.text)
+        .join('\n');
+    }
+    return String(content);
+  }
+
+  translateProviderToOpenAI(anthropicResponse) {
+    let text = '';
+    const toolCalls = [];
+
+    for (const block of anthropicResponse.content || []) {
+      if (block.type === 'text') {
+        text += block.text || '';
+      } else if (block.type === 'tool_use') {
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          }
+        });
+      }
+      // thinking blocks have no chat.completion counterpart
+    }
+
+    const message = { role: 'assistant', content: text || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      id: anthropicResponse.id || this.generateId(),
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: anthropicResponse.model || this.defaultModel,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: this.mapFinishReason(anthropicResponse.stop_reason)
+      }],
+      usage: this.translateUsage(anthropicResponse.usage)
+    };
+  }
+
+  /**
+   * OpenAI usage from Anthropic usage; cached input counts as prompt tokens
+   * @param {Object} [usage] - Anthropic usage
+   * @returns {Object} OpenAI usage
+   */
+  translateUsage(usage = {}) {
+    const promptTokens = (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0);
+    const completionTokens = usage.output_tokens || 0;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  mapFinishReason(stopReason) {
+    if (!stopReason) {
+      return null;
+    }
+    return FINISH_REASON_MAP[stopReason] || 'stop';
+  }
+
+  /**
+   * Per-stream state for translateStreamingChunk()
+   * Anthropic events refer to content blocks by index, so a stream has to remember which
+   * blocks are tool calls; the translator is shared between requests, the state is not.
+   * @returns {Object} Stream state
+   */
+  createStreamState() {
+    return {
+      id: null,
+      model: this.defaultModel,
+      created: Math.floor(Date.now() / 1000),
+      toolCallIndexes: new Map(), // content block index -> OpenAI tool_calls index
+      usage: {}
+    };
+  }
+
+  /**
+   * Translate one Messages API streaming event to an OpenAI chat.completion.chunk
+   * @param {Object} event - Parsed SSE data (message_start, content_block_delta, ...)
+   * @param {Object} state - State from createStreamState()
+   * @returns {Object|null} OpenAI chunk, or null for events without one
+   */
+  translateStreamingChunk(event, state) {
+    switch (event.type) {
+      case 'message_start':
+        state.id = event.message?.id || this.generateId();
+        state.model = event.message?.model || state.model;
+        state.usage = { ...event.message?.usage };
+        return this.createChunk(state, { role: 'assistant', content: '' });
+
+      case 'content_block_start': {
+        const block = event.content_block || {};
+        if (block.type === 'tool_use') {
+          const toolIndex = state.toolCallIndexes.size;
+          state.toolCallIndexes.set(event.index, toolIndex);
+          return this.createChunk(state, {
+            tool_calls: [{ index: toolIndex, id: block.id, type: 'function', function: { name: block.name, arguments: '' } }]
+          });
+        }
+        if (block.type === 'text' && block.text) {
+          return this.createChunk(state, { content: block.text });
+        }
+        return null;
+      }
+
+      case 'content_block_delta': {
+        const delta = event.delta || {};
+        if (delta.type === 'text_delta') {
+          return this.createChunk(state, { content: delta.text });
+        }
+        if (delta.type === 'input_json_delta' && state.toolCallIndexes.has(event.index)) {
+          return this.createChunk(state, {
+            tool_calls: [{ index: state.toolCallIndexes.get(event.index), function: { arguments: delta.partial_json } }]
+          });
+        }
+        return null;
+      }
+
+      case 'message_delta': {
+        state.usage = { ...state.usage, ...event.usage };
+        const chunk = this.createChunk(state, {}, this.mapFinishReason(event.delta?.stop_reason));
+        chunk.usage = this.translateUsage(state.usage);
+        return chunk;
+      }
+
+      case 'error': {
+        const error = new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+        error.statusCode = 502;
+        throw error;
+      }
+
+      default:
+        // ping, content_block_stop, message_stop
+        return null;
+    }
+  }
+
+  createChunk(state, delta, finishReason = null) {
+    return {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: state.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+  }
+
+  async forwardToProviderAPI(anthropicRequest, accessToken, options = {}) {
+    const { signal } = options;
+
+    if (signal?.aborted) {
+      throw this.createCancelledError();
+    }
+
+    const requestController = this.createRequestController(signal);
+    let release = requestController.release;
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'anthropic-version': this.anthropicVersion,
+          ...(accessToken ? this.getAuthHeaders(accessToken) : {})
+        },
+        body: JSON.stringify(anthropicRequest),
+        signal: requestController.controller.signal
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        this.logger.error('Anthropic API request failed', {
+          status: response.status,
+          statusText: response.statusText,
+          error: errorData.error
+        });
+
+        const error = new Error(errorData.error?.message || `API request failed: ${response.status} ${response.statusText}`);
+        // 529 means Anthropic is overloaded; clients know that as a 503
+        error.statusCode = response.status === 529 ? 503 : response.status;
+        this.attachRetryAfter(error, response, errorData);
+        throw error;
+      }
+
+      // Streaming responses are parsed by AnthropicProvider.streamResponse()
+      if (anthropicRequest.stream) {
+        // The body is still read through the caller's signal, but no longer under the request timeout
+        clearTimeout(requestController.timeoutId);
+        this.releaseAfterBody(response, release);
+        release = null;
+        return response;
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.clientAborted || signal?.aborted) {
+        this.logger.info('Anthropic API request cancelled by client disconnect');
+        throw error.clientAborted ? error : this.createCancelledError();
+      }
+
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error('Request timeout: Anthropic API did not respond in time.');
+        timeoutError.statusCode = 504;
+        throw timeoutError;
+      }
+
+      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        const networkError = new Error('Network error: Unable to connect to Anthropic API. Please check your internet connection.');
+        networkError.statusCode = 503;
+        throw networkError;
+      }
+
+      if (!error.statusCode) {
+        error.statusCode = 500;
+      }
+      throw error;
+    } finally {
+      release?.();
+    }
+  }
+
+  generateId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 8);
+    return `msg_${timestamp}${random}`;
+  }
+
+  validateOpenAIRequest(request) {
+    if (!request.messages || !Array.isArray(request.messages)) {
+      throw new Error('Invalid request: messages must be an array');
+    }
+
+    if (request.messages.length === 0) {
+      throw new Error('Invalid request: messages array cannot be empty');
+    }
+
+    for (const message of request.messages) {
+      if (!['system', 'user', 'assistant', 'tool'].includes(message.role)) {
+        throw new Error(`Invalid request: unsupported message role: ${message.role}`);
+      }
+
+      if (message.role === 'tool' && !message.tool_call_id) {
+        throw new Error('Invalid request: tool messages must have tool_call_id');
+      }
+
+      if ((message.role === 'user' || message.role === 'system') && !message.content) {
+        throw new Error('Invalid request: each message must have content');
+      }
+    }
+
+    if (!request.messages.some(message => message.role !== 'system')) {
+      throw new Error('Invalid request: at least one non-system message is required');
+    }
+
+    return true;
+  }
+}
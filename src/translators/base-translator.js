@@ -8,6 +8,28 @@ export class BaseTranslator {
     this.logger = logger;
     this.apiBaseUrl = apiBaseUrl;
     this.requestTimeout = requestTimeout;
+    this.tokenManager = null;
+  }
+  
+  /**
+   * Connect the auth manager whose tokens this translator sends upstream
+   * @param {BaseAuthManager} tokenManager - Auth manager (OAuth or API key)
+   */
+  setTokenManager(tokenManager) {
+    this.tokenManager = tokenManager;
+  }
+  
+  /**
+   * Headers that authenticate an upstream request
+   * The auth manager decides the scheme: Bearer for OAuth tokens, provider-specific for API keys
+   * @param {string} accessToken - Token or key from the credential pool
+   * @returns {Object} Header values keyed by name
+   */
+  getAuthHeaders(accessToken) {
+    if (this.tokenManager) {
+      return this.tokenManager.getAuthHeaders(accessToken);
+    }
+    return { 'Authorization': `Bearer ${accessToken}` };
   }
   
   /**
@@ -32,19 +54,125 @@ export class BaseTranslator {
    * Forward request to the provider's API
    * @param {Object} providerRequest - Provider-specific request
    * @param {string} accessToken - Valid access token
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. on client disconnect)
+   * @param {string} [options.apiBaseUrl] - API base URL of the account the token belongs to
    * @returns {Promise<Object>} Provider response
    */
-  async forwardToProviderAPI(providerRequest, accessToken) {
+  async forwardToProviderAPI(providerRequest, accessToken, options = {}) {
     throw new Error('forwardToProviderAPI() must be implemented by subclass');
   }
   
   /**
-   * Process streaming chunks for translation
-   * @param {string} chunk - Streaming chunk data
-   * @returns {string} Processed chunk
+   * Create an AbortController that fires on the request timeout or when the caller's signal aborts
+   * The caller's signal stays linked so a streaming body is also cancelled after headers arrive;
+   * release() clears the timeout and unlinks it once the request is finished
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Object} { controller, timeoutId, release }
+   */
+  createRequestController(signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    const release = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    return { controller, timeoutId, release };
+  }
+  
+  /**
+   * Hand a streaming response's release() to whoever reads the body
+   * BaseProvider.streamResponse() calls response.releaseRequest() when the stream ends
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} release - release() from createRequestController()
+   * @returns {Response} The same response
+   */
+  releaseAfterBody(response, release) {
+    response.releaseRequest = release;
+    return response;
+  }
+  
+  /**
+   * Wait before a retry, stopping early if the caller's signal aborts
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<void>}
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createCancelledError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(this.createCancelledError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  /**
+   * Error raised when the client cancelled the request
+   * @returns {Error} Error flagged with clientAborted
+   */
+  createCancelledError() {
+    const error = new Error('Request cancelled: client disconnected');
+    error.statusCode = 499;
+    error.clientAborted = true;
+    return error;
+  }
+  
+  /**
+   * Attach the upstream's requested back-off to an API error
+   * Reads the Retry-After header (seconds or HTTP date) and Google's RetryInfo detail ("30s")
+   * @param {Error} error - Error built from the failed response
+   * @param {Response} response - Failed fetch response
+   * @param {Object} [errorData] - Parsed error body
+   * @returns {Error} The same error, with retryAfterMs and retryAfter set when known
+   */
+  attachRetryAfter(error, response, errorData = {}) {
+    let retryAfterMs = null;
+    
+    const header = response.headers?.get('retry-after');
+    if (header) {
+      const seconds = Number(header);
+      retryAfterMs = Number.isFinite(seconds)
+        ? seconds * 1000
+        : Math.max(0, Date.parse(header) - Date.now()) || null;
+    }
+    
+    const retryInfo = (errorData.error?.details || []).find(detail => detail && detail.retryDelay);
+    if (retryAfterMs === null && retryInfo) {
+      const seconds = parseFloat(retryInfo.retryDelay);
+      retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : null;
+    }
+    
+    if (retryAfterMs !== null) {
+      error.retryAfterMs = retryAfterMs;
+      error.retryAfter = `${Math.ceil(retryAfterMs / 1000)} seconds`;
+    }
+    return error;
+  }
+  
+  /**
+   * Translate one parsed streaming event payload to an OpenAI chat.completion.chunk
+   * @param {Object} data - Parsed JSON payload of an SSE data field
+   * @returns {Object|null} OpenAI chunk, or null to skip the event
    */
-  processStreamingChunk(chunk) {
-    throw new Error('processStreamingChunk() must be implemented by subclass');
+  translateStreamingChunk(data) {
+    throw new Error('translateStreamingChunk() must be implemented by subclass');
   }
   
   /**
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { GeminiTranslator } from './gemini-translator.js';
+
+/**
+ * CodeAssistTranslator - Gemini over the Code Assist backend (cloudcode-pa)
+ * OAuth tokens issued to gemini-cli are scoped for Code Assist, not for generativelanguage.googleapis.com.
+ * Requests keep the Gemini format but are wrapped in the Code Assist envelope
+ * ({ model, project, request }) and responses arrive wrapped in { response }.
+ * The Code Assist project is discovered (and the user onboarded if needed) once per access token.
+ */
+
+const DEFAULT_ENDPOINT = 'https://cloudcode-pa.googleapis.com/v1internal';
+
+// Client metadata sent by gemini-cli when setting up a user
+const CLIENT_METADATA = {
+  ideType: 'IDE_UNSPECIFIED',
+  platform: 'PLATFORM_UNSPECIFIED',
+  pluginType: 'GEMINI'
+};
+
+const FREE_TIER_ID = 'free-tier';
+const LEGACY_TIER_ID = 'legacy-tier';
+
+// Project lookups kept per access token; older tokens fall out as accounts refresh
+const MAX_CACHED_PROJECTS = 32;
+
+export class CodeAssistTranslator extends GeminiTranslator {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {Object} options - Code Assist settings
+   * @param {string} [options.endpoint] - Code Assist API base URL
+   * @param {string} [options.projectId] - Google Cloud project for paid tiers
+   * @param {number} [options.onboardPollIntervalMs=5000] - Delay between onboarding status checks
+   * @param {number} [options.onboardMaxAttempts=12] - Onboarding status checks before giving up
+   * @param {number} [requestTimeout=30000] - Request timeout in milliseconds
+   * @param {Object} [chunkingConfig] - Chunking configuration
+   */
+  constructor(logger, options = {}, requestTimeout = 30000, chunkingConfig = null) {
+    super(logger, options.endpoint || DEFAULT_ENDPOINT, requestTimeout, chunkingConfig);
+    this.projectId = options.projectId || null;
+    this.onboardPollIntervalMs = options.onboardPollIntervalMs || 5000;
+    this.onboardMaxAttempts = options.onboardMaxAttempts || 12;
+    this.projects = new Map();
+  }
+
+  async buildRequestTarget(model, request, stream, accessToken, signal = null) {
+    const project = await this.getProject(accessToken);
+
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return {
+      apiUrl: `${this.apiBaseUrl}:${method}`,
+      body: {
+        model,
+        project,
+        user_prompt_id: crypto.randomUUID(),
+        request
+      }
+    };
+  }
+
+  unwrapResponse(data) {
+    if (!data || !data.response) {
+      return data;
+    }
+    return { ...data.response, id: data.response.responseId || data.id };
+  }
+
+  /**
+   * Code Assist project for the account behind an access token
+   * Concurrent requests with the same token share one lookup, so it is not tied to any one client's signal.
+   * @param {string} accessToken - OAuth access token
+   * @returns {Promise<string>} Project id
+   */
+  async getProject(accessToken) {
+    if (!this.projects.has(accessToken)) {
+      const lookup = this.setupUser(accessToken);
+      this.projects.set(accessToken, lookup);
+
+      // Failed lookups are retried on the next request
+      lookup.catch(() => this.projects.delete(accessToken));
+
+      if (this.projects.size > MAX_CACHED_PROJECTS) {
+        this.projects.delete(this.projects.keys().next().value);
+      }
+    }
+    return this.projects.get(accessToken);
+  }
+
+  /**
+   * Find the user's Code Assist project, onboarding them first if they have no tier yet
+   * Mirrors gemini-cli's setupUser: loadCodeAssist, then onboardUser until the operation is done.
+   * @param {string} accessToken - OAuth access token
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<string>} Project id
+   */
+  async setupUser(accessToken, signal = null) {
+    const loadResponse = await this.callMethod('loadCodeAssist', {
+      cloudaicompanionProject: this.projectId || undefined,
+      metadata: { ...CLIENT_METADATA, duetProject: this.projectId || undefined }
+    }, accessToken, signal);
+
+    if (loadResponse.currentTier) {
+      const project = loadResponse.cloudaicompanionProject || this.projectId;
+      if (!project) {
+        throw this.createProjectRequiredError(loadResponse.currentTier.id);
+      }
+      this.logger.info('Using Gemini Code Assist project', { project, tier: loadResponse.currentTier.id });
+      return project;
+    }
+
+    const tier = (loadResponse.allowedTiers || []).find(candidate => candidate.isDefault) || { id: LEGACY_TIER_ID };
+    if (tier.userDefinedCloudaicompanionProject && !this.projectId) {
+      throw this.createProjectRequiredError(tier.id);
+    }
+
+    // The free tier provisions a managed project; other tiers use the configured one
+    const onboardRequest = tier.id === FREE_TIER_ID
+      ? { tierId: tier.id, metadata: CLIENT_METADATA }
+      : {
+        tierId: tier.id,
+        cloudaicompanionProject: this.projectId,
+        metadata: { ...CLIENT_METADATA, duetProject: this.projectId }
+      };
+
+    this.logger.info('Onboarding Gemini Code Assist user', { tier: tier.id });
+
+    for (let attempt = 1; attempt <= this.onboardMaxAttempts; attempt++) {
+      const operation = await this.callMethod('onboardUser', onboardRequest, accessToken, signal);
+
+      if (operation.done) {
+        const project = operation.response?.cloudaicompanionProject?.id || this.projectId;
+        if (!project) {
+          throw this.createProjectRequiredError(tier.id);
+        }
+        this.logger.info('Gemini Code Assist onboarding complete', { project, tier: tier.id });
+        return project;
+      }
+
+      if (attempt < this.onboardMaxAttempts) {
+        await this.delay(this.onboardPollIntervalMs, signal);
+      }
+    }
+
+    const error = new Error('Gemini Code Assist onboarding did not finish in time. Try again in a minute.');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  /**
+   * Call a Code Assist setup method
+   * @param {string} method - Method name (loadCodeAssist, onboardUser)
+   * @param {Object} body - Request body
+   * @param {string} accessToken - OAuth access token
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<Object>} Response body
+   */
+  async callMethod(method, body, accessToken, signal = null) {
+    const { controller, release } = this.createRequestController(signal);
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}:${method}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+          'User-Agent': 'GeminiCLI/1.0.0 (linux; x64) node.js'
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        this.logger.error(`Gemini Code Assist ${method} failed`, {
+          status: response.status,
+          error: data.error
+        });
+        const error = new Error(`Gemini Code Assist ${method} failed: ${data.error?.message || 'HTTP ' + response.status}`);
+        error.statusCode = response.status;
+        this.attachRetryAfter(error, response, data);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw this.createCancelledError();
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Error for accounts whose tier needs a user-supplied Google Cloud project
+   * @param {string} tierId - Code Assist tier
+   * @returns {Error} Error with statusCode 400
+   */
+  createProjectRequiredError(tierId) {
+    const error = new Error(
+      `Invalid request: this Google account's Gemini Code Assist tier (${tierId}) needs a Google Cloud project. ` +
+      'Set PROVIDER_GEMINI_PROJECT_ID.'
+    );
+    error.statusCode = 400;
+    return error;
+  }
+}
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import { ToolCallValidator } from '../tool-call-validator.js';
 import { BaseTranslator } from './base-translator.js';
 import { JSONParser } from '../utils/json-parser.js';
@@ -8,6 +9,44 @@ import {
   validateChunkingConfig,
   DEFAULT_CHUNKING_CONFIG
 } from '../utils/chunking-utils.js';
+import {
+  DEFAULT_MEDIA_OPTIONS,
+  createMediaError,
+  parseDataUrl,
+  guessMimeType,
+  base64ByteLength,
+  formatBytes,
+  getImageUrl
+} from '../utils/media-utils.js';
+
+// MIME types Gemini accepts inline, by content part type
+const GEMINI_MEDIA_TYPES = {
+  image: ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'],
+  audio: ['audio/wav', 'audio/mp3', 'audio/aiff', 'audio/aac', 'audio/ogg', 'audio/flac'],
+  file: ['application/pdf', 'text/plain']
+};
+
+// input_audio formats and their MIME types
+const AUDIO_FORMATS = {
+  wav: 'audio/wav',
+  mp3: 'audio/mp3',
+  aiff: 'audio/aiff',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
+
+const CONTENT_PART_TYPES = ['text', 'image_url', 'input_audio', 'file'];
+
+// thinkingBudget for each reasoning_effort, as in Gemini's own OpenAI-compatible endpoint;
+// 'minimal' gets 512, the smallest budget every Gemini 2.5 model accepts
+const REASONING_EFFORT_BUDGETS = {
+  none: 0,
+  minimal: 512,
+  low: 1024,
+  medium: 8192,
+  high: 24576
+};
 
 /**
  * GeminiTranslator - Gemini-specific request translator
@@ -17,6 +56,7 @@ export class GeminiTranslator extends BaseTranslator {
   constructor(logger, apiBaseUrl = null, requestTimeout = 30000, chunkingConfig = null) {
     super(logger, apiBaseUrl || 'https://generativelanguage.googleapis.com/v1beta', requestTimeout);
     this.toolCallValidator = new ToolCallValidator(logger);
+    this.mediaOptions = { ...DEFAULT_MEDIA_OPTIONS };
     
     // Initialize chunking configuration
     this.chunkingConfig = chunkingConfig || { ...DEFAULT_CHUNKING_CONFIG };
@@ -43,6 +83,14 @@ export class GeminiTranslator extends BaseTranslator {
     });
   }
   
+  /**
+   * Limits for images, audio and files sent inline
+   * @param {Object} [options] - Media settings (see RemoteMediaFetcher); only maxBytes is used here
+   */
+  setMediaOptions(options) {
+    this.mediaOptions = { ...DEFAULT_MEDIA_OPTIONS, ...options };
+  }
+  
   translateOpenAIToProvider(openAIRequest) {
     // Translate OpenAI-compatible requests to Gemini API format
     // Gemini API has a different structure than OpenAI
@@ -53,17 +101,23 @@ export class GeminiTranslator extends BaseTranslator {
       modelName = modelName.substring(7); // Remove 'gemini/' prefix
     }
     
+    const messages = openAIRequest.messages || [];
     const geminiRequest = {
-      contents: this.transformMessagesForGemini(openAIRequest.messages || []),
+      // System prompts go to systemInstruction; as user turns the model follows them poorly
+      systemInstruction: this.buildSystemInstruction(messages),
+      contents: this.transformMessagesForGemini(messages),
       generationConfig: {
         temperature: openAIRequest.temperature,
         maxOutputTokens: openAIRequest.max_tokens,
         topP: openAIRequest.top_p,
         topK: openAIRequest.top_k, // Gemini-specific parameter
-        stopSequences: openAIRequest.stop
+        stopSequences: openAIRequest.stop,
+        thinkingConfig: this.buildThinkingConfig(openAIRequest)
       }
     };
     
+    this.checkInlineMediaSize(geminiRequest.contents);
+    
     // IMPORTANT: Never include stream field in Gemini request - it's not supported
     // Stream is handled by using different endpoint, not by request field
     
@@ -82,6 +136,8 @@ export class GeminiTranslator extends BaseTranslator {
     this.logger.debug('Translated OpenAI request to Gemini format', {
       model: modelName,
       messageCount: geminiRequest.contents ? geminiRequest.contents.length : 0,
+      hasSystemInstruction: !!geminiRequest.systemInstruction,
+      thinkingBudget: geminiRequest.generationConfig.thinkingConfig?.thinkingBudget,
       stream: stream,
       hasTools: !!geminiRequest.tools,
       toolCount: geminiRequest.tools ? geminiRequest.tools.length : 0
@@ -94,6 +150,47 @@ export class GeminiTranslator extends BaseTranslator {
     };
   }
   
+  /**
+   * Gemini thinkingConfig from `thinking` or `reasoning_effort`; `thinking` wins when both are set
+   * `thinking` may be a token budget (-1 lets the model decide), a boolean, or an Anthropic-style
+   * `{ type: 'enabled', budget_tokens }` / `{ type: 'disabled' }` object.
+   * @param {Object} openAIRequest - OpenAI-compatible request
+   * @returns {Object|undefined} { thinkingBudget, includeThoughts }, or undefined to keep the model's default
+   */
+  buildThinkingConfig(openAIRequest) {
+    const { thinking, reasoning_effort: effort } = openAIRequest;
+    let budget;
+    
+    if (thinking !== undefined && thinking !== null) {
+      budget = this.parseThinkingBudget(thinking);
+    } else if (effort !== undefined && effort !== null) {
+      if (!Object.hasOwn(REASONING_EFFORT_BUDGETS, effort)) {
+        throw new Error(`Invalid request: reasoning_effort must be one of ${Object.keys(REASONING_EFFORT_BUDGETS).join(', ')}`);
+      }
+      budget = REASONING_EFFORT_BUDGETS[effort];
+    } else {
+      return undefined;
+    }
+    
+    // Thoughts are only returned when asked for; they become reasoning_content
+    return { thinkingBudget: budget, includeThoughts: budget !== 0 };
+  }
+  
+  parseThinkingBudget(thinking) {
+    if (typeof thinking === 'boolean') {
+      return thinking ? -1 : 0;
+    }
+    if (typeof thinking === 'object' && thinking.type === 'disabled') {
+      return 0;
+    }
+    
+    const budget = typeof thinking === 'object' ? thinking.budget_tokens : thinking;
+    if (!Number.isInteger(budget) || budget < -1) {
+      throw new Error('Invalid request: thinking must be a token budget (-1 for dynamic), a boolean, or { type: "enabled", budget_tokens }');
+    }
+    return budget;
+  }
+  
   translateProviderToOpenAI(geminiResponse) {
     // Transform Gemini responses to OpenAI-compatible format
     
@@ -120,7 +217,7 @@ export class GeminiTranslator extends BaseTranslator {
         
         // Process content
         if (candidate.content) {
-          choice.message = this.transformGeminiContentToOpenAI(candidate.content);
+          choice.message = this.transformGeminiContentToOpenAI(candidate.content, this.getToolCallIdSeed(geminiResponse, choice.index));
         } else {
           choice.message = {
             role: 'assistant',
@@ -134,11 +231,7 @@ export class GeminiTranslator extends BaseTranslator {
     
     // Process usage information if available
     if (geminiResponse.usageMetadata) {
-      openAIResponse.usage = {
-        prompt_tokens: geminiResponse.usageMetadata.promptTokenCount || 0,
-        completion_tokens: geminiResponse.usageMetadata.candidatesTokenCount || 0,
-        total_tokens: geminiResponse.usageMetadata.totalTokenCount || 0
-      };
+      openAIResponse.usage = this.translateUsage(geminiResponse.usageMetadata);
     }
     
     this.logger.debug('Translated Gemini response to OpenAI format', {
@@ -151,8 +244,9 @@ export class GeminiTranslator extends BaseTranslator {
     return openAIResponse;
   }
   
-  async forwardToProviderAPI(providerRequest, accessToken) {
+  async forwardToProviderAPI(providerRequest, accessToken, options = {}) {
     const { model, request, stream } = providerRequest;
+    const { signal } = options;
     
     // Debug chunking decision
     const analysis = this.analyzeRequestSize(request);
@@ -195,35 +289,31 @@ export class GeminiTranslator extends BaseTranslator {
         }
       });
       
-      return await this.processChunkedRequest(model, request, stream, accessToken);
+      return await this.processChunkedRequest(model, request, stream, accessToken, signal);
     }
     
     // Process single request without chunking
-    return await this.processSingleRequest(model, request, stream, accessToken);
+    return await this.processSingleRequest(model, request, stream, accessToken, signal);
   }
   
-  async processSingleRequest(model, request, stream, accessToken) {
+  async processSingleRequest(model, request, stream, accessToken, signal = null) {
     const maxRetries = 6; // Fibonacci sequence: 1,2,3,5,8,13 seconds
     
     // Generate Fibonacci sequence for delays: 1,2,3,5,8,13 seconds
     const fibonacciDelays = [1000, 2000, 3000, 5000, 8000, 13000];
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let release = null;
+      
       try {
-        // Use standard endpoint for both streaming and non-streaming
-        // Streaming is handled via alt=sse parameter, not different endpoints
-        const endpoint = 'generateContent';
-        
-        // Use OAuth token for authentication as per specification
-        if (!accessToken) {
-          throw new Error('Valid OAuth access token is required for Gemini API access');
+        // Stop retrying once the client has gone away
+        if (signal?.aborted) {
+          throw this.createCancelledError();
         }
         
-        // Construct URL without API key parameter
-        let apiUrl = `${this.apiBaseUrl}/models/${model}:${endpoint}`;
-        if (stream) {
-          // Use alt=sse parameter for streaming, as per gemini-cli implementation
-          apiUrl += '?alt=sse';
+        // OAuth access token or API key, see getAuthHeaders()
+        if (!accessToken) {
+          throw new Error('Valid OAuth access token or API key is required for Gemini API access');
         }
         
         // CRITICAL: Remove any 'stream' field that might have leaked into the request
@@ -232,11 +322,13 @@ export class GeminiTranslator extends BaseTranslator {
           delete request.stream;
         }
         
+        const { apiUrl, body } = await this.buildRequestTarget(model, request, stream, accessToken, signal);
+        
         // Log request details for debugging (without sensitive data)
         const requestSize = this.analyzeRequestSize(request);
         this.logger.debug('Sending request to Gemini API', {
           model: model,
-          endpoint: endpoint,
+          apiUrl: apiUrl,
           stream: stream,
           contentLength: requestSize.contentLength,
           tokenEstimate: requestSize.tokenEstimate,
@@ -246,26 +338,26 @@ export class GeminiTranslator extends BaseTranslator {
         });
         
         
-        // Create AbortController for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+        // Create AbortController for timeout and client disconnects
+        const requestController = this.createRequestController(signal);
+        release = requestController.release;
         
         const startTime = Date.now();
         const response = await fetch(apiUrl, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${accessToken}`,
+            ...this.getAuthHeaders(accessToken),
             'User-Agent': 'GeminiCLI/1.0.0 (linux; x64) node.js'
           },
-          body: JSON.stringify(request),
-          signal: controller.signal
+          body: JSON.stringify(body),
+          signal: requestController.controller.signal
         });
         
         const endTime = Date.now();
         const responseTime = endTime - startTime;
         
-        clearTimeout(timeoutId);
+        clearTimeout(requestController.timeoutId);
         
         this.logger.debug('Gemini API response received', {
           status: response.status,
@@ -287,6 +379,7 @@ export class GeminiTranslator extends BaseTranslator {
           
           const error = new Error(errorData.error?.message || `API request failed: ${response.status} ${response.statusText}`);
           error.statusCode = response.status;
+          this.attachRetryAfter(error, response, errorData);
           throw error;
         }
         
@@ -298,9 +391,12 @@ export class GeminiTranslator extends BaseTranslator {
             responseTime: `${responseTime}ms`,
             attempt: attempt + 1
           });
+          // The body is still read through the caller's signal; streamResponse() unlinks it when done
+          this.releaseAfterBody(response, release);
+          release = null;
           return response;
         } else {
-          const responseData = await response.json();
+          const responseData = this.unwrapResponse(await response.json());
           
           this.logger.debug('Received successful response from Gemini API', {
             id: responseData.id,
@@ -317,6 +413,14 @@ export class GeminiTranslator extends BaseTranslator {
         }
         
       } catch (error) {
+        // Client went away - don't retry or burn quota on a response nobody will read
+        if (error.clientAborted || signal?.aborted) {
+          this.logger.info('Gemini API request cancelled by client disconnect', {
+            attempt: attempt + 1
+          });
+          throw error.clientAborted ? error : this.createCancelledError();
+        }
+        
         const isRetryable = (error.name === 'TypeError' && error.message.includes('fetch')) ||
                            (error.name === 'AbortError' || error.message.includes('timeout') || error.message.includes('aborted')) ||
                            (error.statusCode >= 500 && error.statusCode !== 503); // 503 is handled specially
@@ -371,13 +475,42 @@ export class GeminiTranslator extends BaseTranslator {
         const delay = fibonacciDelays[attempt] + Math.random() * 1000;
         this.logger.info(`Retrying Gemini API request in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
         
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, delay));
+        // Wait before retrying (aborts early if the client disconnects)
+        await this.delay(delay, signal);
+      } finally {
+        release?.();
       }
     }
   }
   
-  async processChunkedRequest(model, request, stream, accessToken) {
+  /**
+   * URL and body for one generateContent call
+   * Streaming uses the same method with alt=sse, as in gemini-cli.
+   * @param {string} model - Model name
+   * @param {Object} request - Gemini request body
+   * @param {boolean} stream - Whether to stream the response
+   * @param {string} accessToken - OAuth access token
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<Object>} { apiUrl, body }
+   */
+  async buildRequestTarget(model, request, stream, accessToken, signal = null) {
+    let apiUrl = `${this.apiBaseUrl}/models/${model}:generateContent`;
+    if (stream) {
+      apiUrl += '?alt=sse';
+    }
+    return { apiUrl, body: request };
+  }
+  
+  /**
+   * Gemini response from an upstream response body (a plain GenerateContentResponse here)
+   * @param {Object} data - Parsed response body or SSE event
+   * @returns {Object} GenerateContentResponse
+   */
+  unwrapResponse(data) {
+    return data;
+  }
+  
+  async processChunkedRequest(model, request, stream, accessToken, signal = null) {
     try {
       // Create chunks from the request messages
       const chunks = createChunksFromMessages(request.contents, this.chunkingConfig);
@@ -395,6 +528,15 @@ export class GeminiTranslator extends BaseTranslator {
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
         
+        // Skip remaining chunks once the client has gone away
+        if (signal?.aborted) {
+          this.logger.info('Chunked request cancelled by client disconnect', {
+            processedChunks: i,
+            totalChunks: chunks.length
+          });
+          throw this.createCancelledError();
+        }
+        
         this.logger.debug('Processing chunk', {
           chunkIndex: i + 1,
           totalChunks: chunks.length,
@@ -411,7 +553,7 @@ export class GeminiTranslator extends BaseTranslator {
         
         try {
           // Process single chunk without recursion
-          const chunkResponse = await this.processSingleRequest(model, chunkRequest, stream, accessToken);
+          const chunkResponse = await this.processSingleRequest(model, chunkRequest, stream, accessToken, signal);
           chunkResponses.push(chunkResponse);
           
           this.logger.debug('Chunk processed successfully', {
@@ -421,6 +563,10 @@ export class GeminiTranslator extends BaseTranslator {
           });
           
         } catch (error) {
+          if (error.clientAborted) {
+            throw error;
+          }
+          
           this.logger.error('Failed to process chunk', {
             chunkIndex: i + 1,
             chunkId: chunk.id,
@@ -461,52 +607,8 @@ export class GeminiTranslator extends BaseTranslator {
     return `chatcmpl-${timestamp}${random}`;
   }
   
-  // Process streaming chunks to translate tool calls in SSE format
-  processStreamingChunk(chunk) {
-    try {
-      // Handle Server-Sent Events format for Gemini
-      if (chunk.startsWith('data: ')) {
-        const jsonPart = chunk.substring(6).trim();
-        
-        // Handle special SSE messages
-        if (jsonPart === '[DONE]') {
-          return chunk;
-        }
-        
-        if (!jsonPart || jsonPart === '') {
-          return chunk;
-        }
-        
-        // Parse the JSON data
-        const data = JSON.parse(jsonPart);
-        
-        // Process the streaming response chunk
-        const translatedData = this.translateStreamingGeminiToOpenAI(data);
-        
-        return 'data: ' + JSON.stringify(translatedData);
-      }
-      
-      // For non-data lines (like event types), return as-is
-      return chunk;
-      
-    } catch (error) {
-      // More specific handling for JSON parsing errors
-      if (error instanceof SyntaxError && error.message.includes('JSON')) {
-        this.logger.warn('Failed to parse streaming chunk JSON, passing through unchanged', {
-          error: error.message,
-          chunk: chunk.substring(0, 200) + (chunk.length > 200 ? '...' : '')
-        });
-        // For JSON parsing errors, we might want to skip the chunk rather than pass it through
-        // This prevents corrupted data from being sent to the client
-        return ''; // Return empty string to skip the chunk
-      }
-      
-      this.logger.warn('Failed to process streaming chunk, passing through unchanged', {
-        error: error.message,
-        chunk: chunk.substring(0, 200)
-      });
-      return chunk;
-    }
+  translateStreamingChunk(data) {
+    return this.translateStreamingGeminiToOpenAI(this.unwrapResponse(data));
   }
   
   // Translate streaming response chunks from Gemini to OpenAI format
@@ -530,7 +632,7 @@ export class GeminiTranslator extends BaseTranslator {
         
         // Process content delta
         if (candidate.content) {
-          choice.delta = this.transformGeminiContentToOpenAI(candidate.content);
+          choice.delta = this.transformGeminiContentToOpenAI(candidate.content, this.getToolCallIdSeed(geminiChunk, choice.index));
         } else {
           choice.delta = {
             role: 'assistant',
@@ -542,9 +644,48 @@ export class GeminiTranslator extends BaseTranslator {
       });
     }
     
+    // Each streamed chunk carries the running totals, so the last one has the final usage
+    if (geminiChunk.usageMetadata) {
+      openAIChunk.usage = this.translateUsage(geminiChunk.usageMetadata);
+    }
+    
     return openAIChunk;
   }
   
+  /**
+   * OpenAI usage from Gemini usageMetadata
+   * Thinking tokens are billed as output, so they count towards completion_tokens as in OpenAI's usage
+   * @param {Object} usageMetadata - Gemini usage metadata
+   * @returns {Object} OpenAI usage
+   */
+  translateUsage(usageMetadata) {
+    const thoughtsTokens = usageMetadata.thoughtsTokenCount || 0;
+    const usage = {
+      prompt_tokens: usageMetadata.promptTokenCount || 0,
+      completion_tokens: (usageMetadata.candidatesTokenCount || 0) + thoughtsTokens,
+      total_tokens: usageMetadata.totalTokenCount || 0
+    };
+    if (thoughtsTokens > 0) {
+      usage.completion_tokens_details = { reasoning_tokens: thoughtsTokens };
+    }
+    return usage;
+  }
+  
+  /**
+   * Gather the system messages into a Gemini systemInstruction
+   * @param {Array<Object>} messages - OpenAI messages
+   * @returns {Object|undefined} Content with one text part per system message, or undefined if there are none
+   */
+  buildSystemInstruction(messages) {
+    const parts = messages
+      .filter(message => message.role === 'system')
+      .map(message => this.extractTextFromContent(message.content))
+      .filter(text => text)
+      .map(text => ({ text }));
+    
+    return parts.length > 0 ? { parts } : undefined;
+  }
+  
   // Transform messages to be compatible with Gemini API
   transformMessagesForGemini(messages) {
     // Validate tool call sequence before transformation
@@ -569,8 +710,15 @@ export class GeminiTranslator extends BaseTranslator {
     
     // Transform OpenAI messages to Gemini format
     const geminiContents = [];
+    // Gemini matches a functionResponse to its call by function name, not by tool_call_id
+    const toolCallNames = new Map();
     
     for (const message of messages) {
+      // Sent separately as systemInstruction
+      if (message.role === 'system') {
+        continue;
+      }
+      
       const geminiContent = {
         role: this.mapRoleToGemini(message.role),
         parts: []
@@ -581,10 +729,8 @@ export class GeminiTranslator extends BaseTranslator {
         // Tool response messages - Gemini expects functionResponse format
         geminiContent.parts.push({
           functionResponse: {
-            name: message.tool_call_id || 'unknown_tool',
-            response: {
-              content: message.content || ''
-            }
+            name: this.resolveToolResultName(message, toolCallNames),
+            response: this.buildFunctionResponse(message.content)
           }
         });
       } else if (message.role === 'assistant' && message.tool_calls) {
@@ -598,6 +744,7 @@ export class GeminiTranslator extends BaseTranslator {
         
         // Convert tool calls to Gemini function calls
         for (const toolCall of message.tool_calls) {
+          toolCallNames.set(toolCall.id, toolCall.function.name);
           geminiContent.parts.push({
             functionCall: {
               name: toolCall.function.name,
@@ -613,8 +760,11 @@ export class GeminiTranslator extends BaseTranslator {
             }
           });
         }
+      } else if (message.role === 'user' && Array.isArray(message.content)) {
+        // User content blocks may carry images, audio and files alongside text
+        geminiContent.parts.push(...this.transformContentParts(message.content));
       } else {
-        // Regular text messages (system, user, assistant)
+        // Regular text messages (user, assistant)
         if (message.content) {
           // Handle both string content and array content (from Claude Code Router)
           const textContent = this.extractTextFromContent(message.content);
@@ -631,7 +781,198 @@ export class GeminiTranslator extends BaseTranslator {
       }
     }
     
-    return geminiContents;
+    return this.mergeConsecutiveContents(geminiContents);
+  }
+  
+  /**
+   * Translate OpenAI content blocks to Gemini parts
+   * Adjacent text blocks are joined into one text part.
+   * @param {Array<Object>} content - text, image_url, input_audio and file blocks
+   * @returns {Array<Object>} Gemini text, inlineData and fileData parts
+   */
+  transformContentParts(content) {
+    const parts = [];
+    
+    for (const block of content) {
+      if (!block || typeof block !== 'object') {
+        continue;
+      }
+      
+      if (block.type === 'text') {
+        const last = parts[parts.length - 1];
+        if (last && typeof last.text === 'string') {
+          last.text += block.text || '';
+        } else if (block.text) {
+          parts.push({ text: block.text });
+        }
+      } else if (block.type === 'image_url') {
+        parts.push(this.transformImagePart(block));
+      } else if (block.type === 'input_audio') {
+        parts.push(this.transformAudioPart(block));
+      } else if (block.type === 'file') {
+        parts.push(this.transformFilePart(block));
+      }
+    }
+    
+    return parts;
+  }
+  
+  transformImagePart(block) {
+    const url = getImageUrl(block);
+    if (!url) {
+      throw createMediaError('image_url parts need an image_url.url');
+    }
+    
+    const dataUrl = parseDataUrl(url);
+    if (dataUrl) {
+      return this.createInlineDataPart(dataUrl.mimeType, dataUrl.data, 'image');
+    }
+    
+    // Remote URLs are normally downloaded by the provider first; when fetching is off,
+    // Gemini is given the URL (or gs:// / Files API URI) to read itself
+    if (/^(https?|gs):\/\//i.test(url)) {
+      const mimeType = guessMimeType(url);
+      if (mimeType) {
+        this.checkMediaType(mimeType, 'image');
+      }
+      return { fileData: mimeType ? { mimeType, fileUri: url } : { fileUri: url } };
+    }
+    
+    throw createMediaError('image_url must be a base64 data URL or an http(s) URL');
+  }
+  
+  transformAudioPart(block) {
+    const { data, format } = block.input_audio || {};
+    const mimeType = AUDIO_FORMATS[String(format || '').toLowerCase()];
+    if (!data) {
+      throw createMediaError('input_audio parts need base64 input_audio.data');
+    }
+    if (!mimeType) {
+      throw createMediaError(`unsupported input_audio format "${format}"; Gemini accepts ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+    }
+    
+    return this.createInlineDataPart(mimeType, data, 'audio');
+  }
+  
+  transformFilePart(block) {
+    const file = block.file || {};
+    
+    if (file.file_data) {
+      // file_data is a data URL, or bare base64 whose type comes from the file name
+      const dataUrl = parseDataUrl(file.file_data);
+      const mimeType = dataUrl ? dataUrl.mimeType : guessMimeType(file.filename) || 'application/pdf';
+      return this.createInlineDataPart(mimeType, dataUrl ? dataUrl.data : file.file_data, 'file');
+    }
+    
+    // Files already uploaded to Gemini are referenced by URI
+    if (typeof file.file_id === 'string' && /^(https?|gs):\/\//i.test(file.file_id)) {
+      const mimeType = guessMimeType(file.filename);
+      return { fileData: mimeType ? { mimeType, fileUri: file.file_id } : { fileUri: file.file_id } };
+    }
+    
+    throw createMediaError('file parts need file.file_data (base64 or a data URL) or a Gemini file URI in file.file_id');
+  }
+  
+  createInlineDataPart(mimeType, data, kind) {
+    this.checkMediaType(mimeType, kind);
+    
+    const bytes = base64ByteLength(data);
+    if (bytes > this.mediaOptions.maxBytes) {
+      throw createMediaError(
+        `${mimeType} ${kind} of ${formatBytes(bytes)} is larger than the ${formatBytes(this.mediaOptions.maxBytes)} media limit; send a smaller file`
+      );
+    }
+    
+    return { inlineData: { mimeType, data } };
+  }
+  
+  checkMediaType(mimeType, kind) {
+    if (!GEMINI_MEDIA_TYPES[kind].includes(mimeType)) {
+      throw createMediaError(
+        `${mimeType} is not a supported ${kind} type for Gemini; use one of ${GEMINI_MEDIA_TYPES[kind].join(', ')}`
+      );
+    }
+  }
+  
+  // Gemini rejects requests whose inline data adds up to more than its limit
+  checkInlineMediaSize(contents) {
+    let total = 0;
+    for (const content of contents) {
+      for (const part of content.parts) {
+        if (part.inlineData) {
+          total += base64ByteLength(part.inlineData.data);
+        }
+      }
+    }
+    
+    if (total > this.mediaOptions.maxBytes) {
+      throw createMediaError(
+        `images, audio and files add up to ${formatBytes(total)}, over the ${formatBytes(this.mediaOptions.maxBytes)} media limit; send fewer or smaller files`
+      );
+    }
+  }
+  
+  /**
+   * Function name for a tool result, taken from the assistant tool call it answers
+   * @param {Object} message - OpenAI tool message
+   * @param {Map<string, string>} toolCallNames - tool_call_id to function name, from earlier assistant messages
+   * @returns {string} Function name, or the message name or tool_call_id when no earlier call has that id
+   */
+  resolveToolResultName(message, toolCallNames) {
+    const name = toolCallNames.get(message.tool_call_id);
+    if (name) {
+      return name;
+    }
+    
+    this.logger.warn('Tool result does not match any earlier tool call, falling back to its name or id', {
+      toolCallId: message.tool_call_id
+    });
+    return message.name || message.tool_call_id || 'unknown_tool';
+  }
+  
+  /**
+   * Gemini functionResponse.response for a tool result
+   * JSON objects are sent as they are; JSON arrays and plain text are wrapped in { content }
+   * because the response must be an object.
+   * @param {string|Array} content - Tool message content
+   * @returns {Object} Structured response
+   */
+  buildFunctionResponse(content) {
+    const text = content ? this.extractTextFromContent(content) : '';
+    const trimmed = text.trim();
+    
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? { content: parsed } : parsed;
+      } catch {
+        // Not JSON after all; send the text
+      }
+    }
+    
+    return { content: text };
+  }
+  
+  /**
+   * Merge consecutive contents with the same role
+   * Gemini expects user and model turns to alternate; parallel tool results, a tool result
+   * followed by a user message, or back-to-back user messages would otherwise break that.
+   * @param {Array<Object>} contents - Gemini contents
+   * @returns {Array<Object>} Contents with strictly alternating roles
+   */
+  mergeConsecutiveContents(contents) {
+    const merged = [];
+    
+    for (const content of contents) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === content.role) {
+        previous.parts.push(...content.parts);
+      } else {
+        merged.push({ role: content.role, parts: [...content.parts] });
+      }
+    }
+    
+    return merged;
   }
   
   // Transform tools to be compatible with Gemini API
@@ -835,8 +1176,13 @@ export class GeminiTranslator extends BaseTranslator {
     }
   }
   
-  // Transform Gemini content to OpenAI format
-  transformGeminiContentToOpenAI(geminiContent) {
+  /**
+   * Transform Gemini content to OpenAI format
+   * @param {Object} geminiContent - Candidate content
+   * @param {string} [idSeed=''] - Response id and candidate index, so tool call ids differ between responses
+   * @returns {Object} OpenAI message (or delta)
+   */
+  transformGeminiContentToOpenAI(geminiContent, idSeed = '') {
     const openAIMessage = {
       role: this.mapRoleFromGemini(geminiContent.role),
       content: ''
@@ -844,16 +1190,20 @@ export class GeminiTranslator extends BaseTranslator {
     
     const toolCalls = [];
     let textContent = '';
+    let reasoningContent = '';
     
     // Process parts
     if (Array.isArray(geminiContent.parts)) {
-      for (const part of geminiContent.parts) {
-        if (part.text) {
+      geminiContent.parts.forEach((part, partIndex) => {
+        if (part.thought) {
+          // Thought summaries are kept out of the answer
+          reasoningContent += part.text || '';
+        } else if (part.text) {
           textContent += part.text;
         } else if (part.functionCall) {
           // Convert Gemini function calls to OpenAI tool calls
           toolCalls.push({
-            id: `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: this.generateToolCallId(part.functionCall, `${idSeed}:${partIndex}`),
             type: 'function',
             function: {
               name: part.functionCall.name,
@@ -861,11 +1211,15 @@ export class GeminiTranslator extends BaseTranslator {
             }
           });
         }
-      }
+      });
     }
     
     openAIMessage.content = textContent.trim() || null;
     
+    if (reasoningContent) {
+      openAIMessage.reasoning_content = reasoningContent;
+    }
+    
     // Add tool calls if present
     if (toolCalls.length > 0) {
       openAIMessage.tool_calls = toolCalls;
@@ -874,11 +1228,41 @@ export class GeminiTranslator extends BaseTranslator {
     return openAIMessage;
   }
   
+  /**
+   * Seed for the tool call ids of one candidate
+   * Gemini's response id keeps ids stable when the same response is translated again; without one
+   * the seed is random, so the same call made in two turns does not get the same id
+   * @param {Object} geminiResponse - Gemini response or streaming chunk
+   * @param {number} candidateIndex - Candidate index
+   * @returns {string} Seed for generateToolCallId()
+   */
+  getToolCallIdSeed(geminiResponse, candidateIndex) {
+    return `${geminiResponse.responseId || geminiResponse.id || crypto.randomUUID()}:${candidateIndex}`;
+  }
+  
+  /**
+   * Tool call id for a Gemini functionCall
+   * Uses Gemini's own id when it sends one. Otherwise the id is a hash of the call and its position
+   * in the response (see getToolCallIdSeed).
+   * @param {Object} functionCall - Gemini functionCall part
+   * @param {string} seed - Response id, candidate index and part index
+   * @returns {string} Tool call id
+   */
+  generateToolCallId(functionCall, seed) {
+    if (functionCall.id) {
+      return functionCall.id;
+    }
+    
+    const hash = crypto.createHash('sha256')
+      .update(`${seed}:${functionCall.name}:${JSON.stringify(functionCall.args || {})}`)
+      .digest('hex');
+    return `call_${hash.slice(0, 24)}`;
+  }
+  
   // Map roles between OpenAI and Gemini
   mapRoleToGemini(role) {
+    // System messages never get here; they are sent as systemInstruction
     switch (role) {
-      case 'system':
-        return 'user'; // Gemini doesn't support system role, map to user
       case 'user':
         return 'user';
       case 'assistant':
@@ -995,8 +1379,18 @@ export class GeminiTranslator extends BaseTranslator {
       if (!['system', 'user', 'assistant', 'tool'].includes(message.role)) {
         throw new Error(`Invalid request: unsupported message role: ${message.role}`);
       }
+      
+      if (message.role === 'user' && Array.isArray(message.content)) {
+        const unsupported = message.content.find(part => part && !CONTENT_PART_TYPES.includes(part.type));
+        if (unsupported) {
+          throw new Error(`Invalid request: unsupported content part type "${unsupported.type}" for Gemini; use ${CONTENT_PART_TYPES.join(', ')}`);
+        }
+      }
     }
     
+    // Throws for reasoning_effort or thinking values Gemini cannot express
+    this.buildThinkingConfig(request);
+    
     return true;
   }
 }
\ No newline at end of file
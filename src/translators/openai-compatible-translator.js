@@ -0,0 +1,39 @@
+import { QwenTranslator } from './qwen-translator.js';
+
+/**
+ * OpenAICompatibleTranslator - Pass-through for any OpenAI-compatible chat completions API
+ * llama.cpp, vLLM, Ollama and OpenRouter speak the same wire format as Qwen's API, so this
+ * reuses QwenTranslator's tool call handling and only changes where and how requests are sent.
+ */
+export class OpenAICompatibleTranslator extends QwenTranslator {
+  /**
+   * @param {Logger} logger - Logger instance
+   * @param {Object} options - Upstream settings
+   * @param {string} options.name - Provider name, used in logs and errors
+   * @param {string} options.apiBaseUrl - Base URL up to and including /v1
+   * @param {string} [options.defaultModel] - Model reported when the upstream omits one
+   * @param {Object} [options.headers] - Extra headers sent with every request, overriding the defaults
+   * @param {number} [requestTimeout=120000] - Request timeout in milliseconds
+   */
+  constructor(logger, options, requestTimeout = 120000) {
+    super(logger, options.apiBaseUrl, requestTimeout);
+    this.defaultModel = options.defaultModel || null;
+    this.upstreamName = `${options.name} API`;
+    this.headers = options.headers || {};
+  }
+
+  getAuthHeaders(accessToken) {
+    // Local servers usually run without a key
+    return accessToken ? super.getAuthHeaders(accessToken) : {};
+  }
+
+  getRequestHeaders(accessToken) {
+    return {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...this.getAuthHeaders(accessToken),
+      'User-Agent': 'ccr-qwen-bridge/1.0.0',
+      ...this.headers
+    };
+  }
+}
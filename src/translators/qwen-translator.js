@@ -1,6 +1,7 @@
 import { ToolCallValidator } from '../tool-call-validator.js';
 import { BaseTranslator } from './base-translator.js';
 import { JSONParser } from '../utils/json-parser.js';
+import { DEFAULT_MEDIA_OPTIONS, parseDataUrl, base64ByteLength, formatBytes, getImageUrl } from '../utils/media-utils.js';
 
 /**
  * QwenTranslator - Qwen-specific request translator
@@ -10,10 +11,18 @@ export class QwenTranslator extends BaseTranslator {
   constructor(logger, apiBaseUrl = null, requestTimeout = 30000) {
     super(logger, apiBaseUrl, requestTimeout);
     this.toolCallValidator = new ToolCallValidator(logger);
+    // Overridden by translators that reuse this pass-through for other OpenAI-compatible upstreams
+    this.defaultModel = 'qwen3-coder-plus';
+    this.upstreamName = 'Qwen API';
+    this.mediaOptions = { ...DEFAULT_MEDIA_OPTIONS };
   }
   
-  setTokenManager(tokenManager) {
-    this.tokenManager = tokenManager;
+  /**
+   * Limits for images sent as data URLs
+   * @param {Object} [options] - Media settings (see RemoteMediaFetcher); only maxBytes is used here
+   */
+  setMediaOptions(options) {
+    this.mediaOptions = { ...DEFAULT_MEDIA_OPTIONS, ...options };
   }
   
   translateOpenAIToProvider(openAIRequest) {
@@ -22,9 +31,10 @@ export class QwenTranslator extends BaseTranslator {
     // We'll pass through most fields but ensure compatibility
     
     // Strip provider prefix from model name (e.g., "qwen/qwen-coder-plus" -> "qwen-coder-plus")
-    let modelName = openAIRequest.model || 'qwen3-coder-plus';
+    // Only the first segment is the prefix; upstream model ids may contain '/' themselves
+    let modelName = openAIRequest.model || this.defaultModel;
     if (modelName.includes('/')) {
-      modelName = modelName.split('/')[1];
+      modelName = modelName.slice(modelName.indexOf('/') + 1);
     }
     
     const qwenRequest = {
@@ -37,6 +47,8 @@ export class QwenTranslator extends BaseTranslator {
       presence_penalty: openAIRequest.presence_penalty,
       stop: openAIRequest.stop,
       stream: openAIRequest.stream || false,
+      // Streams end with a usage chunk only on request; the bridge needs it for token budgets
+      stream_options: openAIRequest.stream ? { ...openAIRequest.stream_options, include_usage: true } : undefined,
       n: openAIRequest.n || 1,
       user: openAIRequest.user,
       // CRITICAL: Include tool/function calling fields
@@ -66,7 +78,7 @@ export class QwenTranslator extends BaseTranslator {
       id: qwenResponse.id || this.generateId(),
       object: qwenResponse.object || 'chat.completion',
       created: qwenResponse.created || Math.floor(Date.now() / 1000),
-      model: qwenResponse.model || 'qwen3-coder-plus',
+      model: qwenResponse.model || this.defaultModel,
       choices: qwenResponse.choices || [],
       usage: qwenResponse.usage || {
         prompt_tokens: 0,
@@ -197,11 +209,20 @@ export class QwenTranslator extends BaseTranslator {
     return openAIResponse;
   }
   
-  async forwardToProviderAPI(qwenRequest, accessToken) {
+  async forwardToProviderAPI(qwenRequest, accessToken, options = {}) {
+    const { signal } = options;
+    let release = null;
+    
     try {
-      // Get the correct API base URL from token manager
+      if (signal?.aborted) {
+        throw this.createCancelledError();
+      }
+      
+      // Get the correct API base URL: the pooled account's, then the token manager's
       let apiBaseUrl;
-      if (this.tokenManager) {
+      if (options.apiBaseUrl) {
+        apiBaseUrl = options.apiBaseUrl;
+      } else if (this.tokenManager) {
         apiBaseUrl = this.tokenManager.getApiBaseUrl();
       } else {
         apiBaseUrl = this.apiBaseUrl || 'https://dashscope.aliyuncs.com/compatible-mode/v1';
@@ -211,28 +232,23 @@ export class QwenTranslator extends BaseTranslator {
       
       // Forwarding request to Qwen API
       
-      // Create AbortController for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+      // Create AbortController for timeout and client disconnects
+      const requestController = this.createRequestController(signal);
+      release = requestController.release;
       
       const response = await fetch(apiUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Authorization': `Bearer ${accessToken}`,
-          'User-Agent': 'qwen-code/1.0.0'
-        },
+        headers: this.getRequestHeaders(accessToken),
         body: JSON.stringify(qwenRequest),
-        signal: controller.signal
+        signal: requestController.controller.signal
       });
       
-      clearTimeout(timeoutId);
+      clearTimeout(requestController.timeoutId);
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         
-        this.logger.error('Qwen API request failed', {
+        this.logger.error(`${this.upstreamName} request failed`, {
           status: response.status,
           statusText: response.statusText,
           error: errorData
@@ -240,13 +256,15 @@ export class QwenTranslator extends BaseTranslator {
         
         const error = new Error(errorData.error?.message || `API request failed: ${response.status} ${response.statusText}`);
         error.statusCode = response.status;
+        this.attachRetryAfter(error, response, errorData);
         throw error;
       }
       
       // Handle streaming vs non-streaming responses
       if (qwenRequest.stream) {
-        // For streaming responses, return the response directly
-        // The Express res.pipe() will handle the streaming
+        // The body is still read through the caller's signal; streamResponse() unlinks it when done
+        this.releaseAfterBody(response, release);
+        release = null;
         return response;
       } else {
         const responseData = await response.json();
@@ -257,21 +275,27 @@ export class QwenTranslator extends BaseTranslator {
       }
       
     } catch (error) {
-      this.logger.error('Error forwarding request to Qwen API', {
+      // Client went away - nothing to report upstream failures to
+      if (error.clientAborted || signal?.aborted) {
+        this.logger.info(`${this.upstreamName} request cancelled by client disconnect`);
+        throw error.clientAborted ? error : this.createCancelledError();
+      }
+      
+      this.logger.error(`Error forwarding request to ${this.upstreamName}`, {
         error: error.message,
         statusCode: error.statusCode
       });
       
       // Handle specific error cases
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        const networkError = new Error('Network error: Unable to connect to Qwen API. Please check your internet connection.');
+        const networkError = new Error(`Network error: Unable to connect to ${this.upstreamName}. Please check your internet connection.`);
         networkError.statusCode = 503;
         throw networkError;
       }
       
       // Handle timeout errors
       if (error.name === 'AbortError' || error.message.includes('timeout')) {
-        const timeoutError = new Error('Request timeout: Qwen API did not respond in time.');
+        const timeoutError = new Error(`Request timeout: ${this.upstreamName} did not respond in time.`);
         timeoutError.statusCode = 504;
         throw timeoutError;
       }
@@ -281,9 +305,25 @@ export class QwenTranslator extends BaseTranslator {
         error.statusCode = 500;
       }
       throw error;
+    } finally {
+      release?.();
     }
   }
   
+  /**
+   * Headers for a chat completions request
+   * @param {string} accessToken - Token or key from the credential pool
+   * @returns {Object} Header values keyed by name
+   */
+  getRequestHeaders(accessToken) {
+    return {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...this.getAuthHeaders(accessToken),
+      'User-Agent': 'qwen-code/1.0.0'
+    };
+  }
+  
   generateId() {
     // Generate OpenAI-style completion ID
     const timestamp = Date.now().toString(36);
@@ -291,41 +331,8 @@ export class QwenTranslator extends BaseTranslator {
     return `chatcmpl-${timestamp}${random}`;
   }
   
-  // Process streaming chunks to translate tool calls in SSE format
-  processStreamingChunk(chunk) {
-    try {
-      // Handle Server-Sent Events format
-      if (chunk.startsWith('data: ')) {
-        const jsonPart = chunk.substring(6).trim();
-        
-        // Handle special SSE messages
-        if (jsonPart === '[DONE]') {
-          return chunk;
-        }
-        
-        if (!jsonPart || jsonPart === '') {
-          return chunk;
-        }
-        
-        // Parse the JSON data
-        const data = JSON.parse(jsonPart);
-        
-        // Process the streaming response chunk
-        const translatedData = this.translateStreamingQwenToOpenAI(data);
-        
-        return 'data: ' + JSON.stringify(translatedData);
-      }
-      
-      // For non-data lines (like event types), return as-is
-      return chunk;
-      
-    } catch (error) {
-      this.logger.warn('Failed to process streaming chunk, passing through unchanged', {
-        error: error.message,
-        chunk: chunk.substring(0, 200)
-      });
-      return chunk;
-    }
+  translateStreamingChunk(data) {
+    return this.translateStreamingQwenToOpenAI(data);
   }
   
   // Translate streaming response chunks from Qwen to OpenAI format
@@ -335,7 +342,7 @@ export class QwenTranslator extends BaseTranslator {
       id: qwenChunk.id || this.generateId(),
       object: qwenChunk.object || 'chat.completion.chunk',
       created: qwenChunk.created || Math.floor(Date.now() / 1000),
-      model: qwenChunk.model || 'qwen3-coder-plus',
+      model: qwenChunk.model || this.defaultModel,
       choices: qwenChunk.choices || []
     };
     
@@ -398,6 +405,11 @@ export class QwenTranslator extends BaseTranslator {
       return processedChoice;
     });
     
+    // Only the final chunk carries usage (stream_options.include_usage)
+    if (qwenChunk.usage) {
+      openAIChunk.usage = qwenChunk.usage;
+    }
+    
     return openAIChunk;
   }
   
@@ -535,8 +547,49 @@ export class QwenTranslator extends BaseTranslator {
       if (!['system', 'user', 'assistant', 'tool'].includes(message.role)) {
         throw new Error(`Invalid request: unsupported message role: ${message.role}`);
       }
+      
+      if (Array.isArray(message.content)) {
+        if (message.content.length === 0 && message.role !== 'assistant') {
+          throw new Error('Invalid request: content arrays cannot be empty');
+        }
+        message.content.forEach(part => this.validateContentPart(part));
+      }
     }
     
     return true;
   }
+  
+  /**
+   * Check one content block; image_url parts must be base64 image data URLs or http(s) URLs
+   * @param {Object} part - OpenAI content part
+   */
+  validateContentPart(part) {
+    if (!part || typeof part !== 'object' || typeof part.type !== 'string') {
+      throw new Error('Invalid request: content parts must be objects with a type');
+    }
+    if (part.type !== 'image_url') {
+      return;
+    }
+    
+    const url = getImageUrl(part);
+    if (typeof url !== 'string' || !url) {
+      throw new Error('Invalid request: image_url parts need an image_url.url');
+    }
+    
+    if (url.startsWith('data:')) {
+      const dataUrl = parseDataUrl(url);
+      if (!dataUrl || !dataUrl.mimeType.startsWith('image/')) {
+        throw new Error('Invalid request: image_url data URLs must be base64-encoded images, e.g. data:image/png;base64,...');
+      }
+      
+      const bytes = base64ByteLength(dataUrl.data);
+      if (bytes > this.mediaOptions.maxBytes) {
+        throw new Error(
+          `Invalid request: ${dataUrl.mimeType} image of ${formatBytes(bytes)} is larger than the ${formatBytes(this.mediaOptions.maxBytes)} image limit; send a smaller or downscaled image`
+        );
+      }
+    } else if (!/^https?:\/\//i.test(url)) {
+      throw new Error('Invalid request: image_url must be a base64 data URL or an http(s) URL');
+    }
+  }
 }
@@ -157,18 +157,12 @@ assert.ok(translatedResponse.choices[0].message.content.includes('Test response'
 assert.strictEqual(translatedResponse.usage.total_tokens, 18, 'Should preserve usage data');
 console.log('✅ Response translation tests passed');
 
-// Test streaming chunk processing
-console.log('Testing streaming chunk processing...');
-const sseChunk = 'data: {"candidates": [{"content": {"parts": [{"text": "Streaming response"}]}}]}';
-const processedChunk = translator.processStreamingChunk(sseChunk);
-assert.ok(processedChunk.includes('data:'), 'Should maintain SSE format');
-assert.ok(processedChunk.includes('chat.completion.chunk'), 'Should convert to OpenAI streaming format');
-
-// Test malformed chunk handling
-const malformedChunk = 'data: {"incomplete": "json"';
-const processedMalformed = translator.processStreamingChunk(malformedChunk);
-assert.strictEqual(processedMalformed, '', 'Should skip malformed chunks');
-console.log('✅ Streaming chunk processing tests passed');
+// Test streaming chunk translation
+console.log('Testing streaming chunk translation...');
+const streamingChunk = translator.translateStreamingChunk({ candidates: [{ content: { parts: [{ text: 'Streaming response' }] } }] });
+assert.strictEqual(streamingChunk.object, 'chat.completion.chunk', 'Should convert to OpenAI streaming format');
+assert.strictEqual(streamingChunk.choices[0].delta.content, 'Streaming response', 'Should preserve streamed text');
+console.log('✅ Streaming chunk translation tests passed');
 
 // Test configuration validation
 console.log('Testing configuration validation...');
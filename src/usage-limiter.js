@@ -0,0 +1,275 @@
+/**
+ * UsageLimiter - Per-API-key rate limits and daily budgets
+ * Each key gets a token bucket (requests per minute with a burst allowance) and daily
+ * request/token budgets that reset at midnight UTC. Token usage is taken from response `usage`,
+ * so the request that crosses the token budget completes and the next one is refused.
+ * Counters live in memory and start over when the bridge restarts.
+ */
+
+// Label used for every request when bridge API keys are disabled
+const ANONYMOUS_LABEL = 'anonymous';
+
+const OVERRIDE_FIELDS = {
+  rpm: 'requestsPerMinute',
+  burst: 'burst',
+  daily_requests: 'dailyRequests',
+  daily_tokens: 'dailyTokens'
+};
+
+export class UsageLimiter {
+  /**
+   * @param {Object} defaults - Limits for every key; 0 disables a limit
+   * @param {number} defaults.requestsPerMinute - Token bucket refill rate
+   * @param {number} [defaults.burst] - Token bucket size (default: requestsPerMinute)
+   * @param {number} defaults.dailyRequests - Requests per UTC day
+   * @param {number} defaults.dailyTokens - Tokens per UTC day
+   * @param {Array<string>} overrideEntries - `label:rpm=10;daily_tokens=500000` entries from BRIDGE_KEY_LIMITS
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(defaults, overrideEntries, logger) {
+    this.logger = logger;
+    this.defaults = UsageLimiter.normalizeLimits(defaults);
+    this.overrides = new Map(overrideEntries.map(entry => UsageLimiter.parseOverride(entry, this.defaults)));
+    this.states = new Map();
+  }
+
+  /**
+   * Parse one BRIDGE_KEY_LIMITS entry
+   * @param {string} entry - `label:rpm=10;burst=20;daily_requests=500;daily_tokens=500000`
+   * @param {Object} defaults - Limits the entry overrides
+   * @returns {Array} [label, limits]
+   */
+  static parseOverride(entry, defaults) {
+    const separator = entry.indexOf(':');
+    const label = entry.slice(0, separator).trim();
+    if (separator <= 0 || !label) {
+      throw new Error(`Invalid BRIDGE_KEY_LIMITS entry "${entry}": expected "label:rpm=<n>;daily_tokens=<n>"`);
+    }
+
+    const limits = { ...defaults };
+    // A per-key rpm without a per-key burst gets a bucket of its own size
+    let burstSet = false;
+
+    for (const setting of entry.slice(separator + 1).split(';')) {
+      const [name, value] = setting.split('=').map(part => part.trim());
+      const field = OVERRIDE_FIELDS[name];
+      const number = Number(value);
+
+      if (!field || value === undefined || !Number.isInteger(number) || number < 0) {
+        throw new Error(
+          `Invalid BRIDGE_KEY_LIMITS setting "${setting}" for ${label}: ` +
+          `expected one of ${Object.keys(OVERRIDE_FIELDS).join(', ')} set to a non-negative integer`
+        );
+      }
+      limits[field] = number;
+      burstSet = burstSet || field === 'burst';
+    }
+
+    if (!burstSet) {
+      limits.burst = limits.requestsPerMinute;
+    }
+    return [label, limits];
+  }
+
+  /**
+   * Fill in defaults for unset limits
+   * @param {Object} limits - Configured limits
+   * @returns {Object} Limits with every field set
+   */
+  static normalizeLimits(limits) {
+    return {
+      requestsPerMinute: limits.requestsPerMinute || 0,
+      burst: limits.burst || limits.requestsPerMinute || 0,
+      dailyRequests: limits.dailyRequests || 0,
+      dailyTokens: limits.dailyTokens || 0
+    };
+  }
+
+  /**
+   * Limits that apply to a key
+   * @param {string} label - API key label
+   * @returns {Object} Limits
+   */
+  getLimits(label) {
+    return this.overrides.get(label) || this.defaults;
+  }
+
+  /**
+   * Counters for a key, rolled over to the current UTC day
+   * @param {string} label - API key label
+   * @param {Object} limits - Limits for the key
+   * @returns {Object} { bucket, bucketUpdatedAt, day, requests, tokens }
+   */
+  getState(label, limits) {
+    const now = Date.now();
+    const day = new Date(now).toISOString().slice(0, 10);
+    let state = this.states.get(label);
+
+    if (!state) {
+      state = { bucket: limits.burst, bucketUpdatedAt: now, day, requests: 0, tokens: 0 };
+      this.states.set(label, state);
+    }
+
+    if (state.day !== day) {
+      state.day = day;
+      state.requests = 0;
+      state.tokens = 0;
+    }
+
+    // Refill the bucket for the time since the last request
+    if (limits.requestsPerMinute > 0) {
+      const refill = (now - state.bucketUpdatedAt) * limits.requestsPerMinute / 60000;
+      state.bucket = Math.min(limits.burst, state.bucket + refill);
+    }
+    state.bucketUpdatedAt = now;
+
+    return state;
+  }
+
+  /**
+   * Admit a request or refuse it with a 429
+   * Budgets are checked before the bucket, so a refused request costs nothing.
+   * @param {string} [label] - API key label; omitted when bridge API keys are disabled
+   * @returns {Object} x-ratelimit-* headers describing the remaining allowance
+   * @throws {Error} With statusCode 429, code, retryAfterMs and headers when a limit is reached
+   */
+  consume(label = ANONYMOUS_LABEL) {
+    const limits = this.getLimits(label);
+    const state = this.getState(label, limits);
+    const untilNextDayMs = UsageLimiter.getNextUtcDay() - Date.now();
+
+    if (limits.dailyRequests > 0 && state.requests >= limits.dailyRequests) {
+      throw this.createLimitError(label, 'daily_request_budget_exceeded',
+        `Daily request budget of ${limits.dailyRequests} requests reached for API key '${label}'`,
+        untilNextDayMs, limits, state);
+    }
+
+    if (limits.dailyTokens > 0 && state.tokens >= limits.dailyTokens) {
+      throw this.createLimitError(label, 'daily_token_budget_exceeded',
+        `Daily token budget of ${limits.dailyTokens} tokens reached for API key '${label}'`,
+        untilNextDayMs, limits, state);
+    }
+
+    if (limits.requestsPerMinute > 0) {
+      if (state.bucket < 1) {
+        const retryAfterMs = Math.ceil((1 - state.bucket) * 60000 / limits.requestsPerMinute);
+        throw this.createLimitError(label, 'rate_limit_exceeded',
+          `Rate limit of ${limits.requestsPerMinute} requests per minute reached for API key '${label}'`,
+          retryAfterMs, limits, state);
+      }
+      state.bucket -= 1;
+    }
+
+    state.requests++;
+    return this.getHeaders(limits, state);
+  }
+
+  /**
+   * Count the tokens of a completed request against the daily budget
+   * @param {string} [label] - API key label
+   * @param {Object} [usage] - OpenAI `usage` (or Gemini `usageMetadata`) from the response
+   */
+  recordUsage(label = ANONYMOUS_LABEL, usage) {
+    const tokens = UsageLimiter.countTokens(usage);
+    if (tokens === 0) {
+      return;
+    }
+
+    const limits = this.getLimits(label);
+    const state = this.getState(label, limits);
+    state.tokens += tokens;
+
+    if (limits.dailyTokens > 0 && state.tokens >= limits.dailyTokens) {
+      this.logger.warn('API key reached its daily token budget', {
+        apiKey: label,
+        tokens: state.tokens,
+        dailyTokens: limits.dailyTokens
+      });
+    }
+  }
+
+  /**
+   * Total tokens from a usage object
+   * @param {Object} [usage] - OpenAI `usage` or Gemini `usageMetadata`
+   * @returns {number} Token count, 0 when unknown
+   */
+  static countTokens(usage) {
+    if (!usage) {
+      return 0;
+    }
+    if (usage.total_tokens) {
+      return usage.total_tokens;
+    }
+    if (usage.totalTokenCount) {
+      return usage.totalTokenCount;
+    }
+    return (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  }
+
+  /**
+   * x-ratelimit-* headers for the limits that are enabled
+   * @param {Object} limits - Limits for the key
+   * @param {Object} state - Counters for the key
+   * @returns {Object} Header values keyed by name
+   */
+  getHeaders(limits, state) {
+    const headers = {};
+    const untilNextDay = `${Math.ceil((UsageLimiter.getNextUtcDay() - Date.now()) / 1000)}s`;
+
+    if (limits.requestsPerMinute > 0) {
+      const untilFullMs = (limits.burst - state.bucket) * 60000 / limits.requestsPerMinute;
+      headers['x-ratelimit-limit-requests'] = String(limits.requestsPerMinute);
+      headers['x-ratelimit-remaining-requests'] = String(Math.floor(state.bucket));
+      headers['x-ratelimit-reset-requests'] = `${Math.ceil(untilFullMs / 1000)}s`;
+    }
+
+    if (limits.dailyRequests > 0) {
+      headers['x-ratelimit-limit-requests-day'] = String(limits.dailyRequests);
+      headers['x-ratelimit-remaining-requests-day'] = String(Math.max(0, limits.dailyRequests - state.requests));
+      headers['x-ratelimit-reset-requests-day'] = untilNextDay;
+    }
+
+    if (limits.dailyTokens > 0) {
+      headers['x-ratelimit-limit-tokens-day'] = String(limits.dailyTokens);
+      headers['x-ratelimit-remaining-tokens-day'] = String(Math.max(0, limits.dailyTokens - state.tokens));
+      headers['x-ratelimit-reset-tokens-day'] = untilNextDay;
+    }
+
+    return headers;
+  }
+
+  /**
+   * 429 for a request over one of the key's limits
+   * @param {string} label - API key label
+   * @param {string} code - rate_limit_exceeded, daily_request_budget_exceeded or daily_token_budget_exceeded
+   * @param {string} message - Error message
+   * @param {number} retryAfterMs - When the request would be admitted
+   * @param {Object} limits - Limits for the key
+   * @param {Object} state - Counters for the key
+   * @returns {Error} Error with statusCode, code, retryAfterMs and headers set
+   */
+  createLimitError(label, code, message, retryAfterMs, limits, state) {
+    this.logger.warn('API key over its usage limit', { apiKey: label, limit: code, retryAfterMs });
+
+    const error = new Error(message);
+    error.statusCode = 429;
+    error.code = code;
+    error.retryAfterMs = retryAfterMs;
+    error.retryAfter = `${Math.ceil(retryAfterMs / 1000)} seconds`;
+    error.headers = {
+      ...this.getHeaders(limits, state),
+      'Retry-After': String(Math.ceil(retryAfterMs / 1000))
+    };
+    return error;
+  }
+
+  /**
+   * Start of the next UTC day, when daily budgets reset
+   * @returns {number} Timestamp in milliseconds
+   */
+  static getNextUtcDay() {
+    const nextDay = new Date(Date.now());
+    nextDay.setUTCHours(24, 0, 0, 0);
+    return nextDay.getTime();
+  }
+}
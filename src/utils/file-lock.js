@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+/**
+ * Advisory file locking for files shared with other processes
+ *
+ * The bridge and the official qwen/gemini CLIs all rewrite the same oauth_creds.json.
+ * A lock file created with O_EXCL ('wx') serializes those writes. This matches the
+ * `oauth_creds.lock` convention used by qwen-code, so both sides honour each other's lock.
+ */
+
+const DEFAULT_LOCK_OPTIONS = {
+  timeoutMs: 10000, // Give up waiting for the lock after this long
+  staleMs: 10000, // Treat a lock older than this as left behind by a crashed process
+  retryDelayMs: 50
+};
+
+/**
+ * Derive the lock file path for a credentials file
+ * `~/.qwen/oauth_creds.json` becomes `~/.qwen/oauth_creds.lock`
+ *
+ * @param {string} filePath - Path of the file being protected
+ * @returns {string} Lock file path
+ */
+export function getLockPath(filePath) {
+  return filePath.endsWith('.json')
+    ? `${filePath.slice(0, -'.json'.length)}.lock`
+    : `${filePath}.lock`;
+}
+
+/**
+ * Acquire an advisory lock, waiting for other holders to release it
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {Object} [options] - Lock options (timeoutMs, staleMs, retryDelayMs)
+ * @returns {Promise<Function>} Async function that releases the lock
+ */
+export async function acquireFileLock(lockPath, options = {}) {
+  const { timeoutMs, staleMs, retryDelayMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const lockId = `${process.pid}-${crypto.randomUUID()}`;
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, lockId, { flag: 'wx', mode: 0o600 });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // Break locks abandoned by a process that crashed while holding them
+      const stats = await fs.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > staleMs) {
+        await fs.unlink(lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+  }
+
+  return async () => {
+    // Only remove the lock if it is still ours (it may have been broken as stale)
+    const owner = await fs.readFile(lockPath, 'utf8').catch(() => null);
+    if (owner === lockId) {
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Run a function while holding an advisory lock
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Async function to run under the lock
+ * @param {Object} [options] - Lock options (timeoutMs, staleMs, retryDelayMs)
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const release = await acquireFileLock(lockPath, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
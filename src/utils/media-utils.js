@@ -0,0 +1,210 @@
+/**
+ * Media helpers for multimodal content parts
+ * OpenAI requests carry images, audio and files as data URLs, bare base64 or remote URLs.
+ * Providers that need the bytes inline use RemoteMediaFetcher to download remote images
+ * before translation, so the translators themselves stay synchronous.
+ */
+
+export const DEFAULT_MEDIA_OPTIONS = {
+  fetchRemote: true,
+  fetchTimeoutMs: 10000,
+  maxBytes: 20 * 1024 * 1024 // Gemini's limit for a whole request with inline data
+};
+
+const EXTENSION_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  bmp: 'image/bmp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  wav: 'audio/wav',
+  mp3: 'audio/mp3',
+  aiff: 'audio/aiff',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
+
+/**
+ * Error for media the bridge cannot send; the 'Invalid request:' prefix makes it a 400
+ * @param {string} message - What is wrong and how to fix it
+ * @returns {Error} Error with statusCode 400
+ */
+export function createMediaError(message) {
+  const error = new Error(`Invalid request: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Split a base64 data URL
+ * @param {string} url - URL to parse
+ * @returns {Object|null} { mimeType, data } or null if it is not a base64 data URL
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+)(?:;[^;,=]+=[^;,]*)*;base64,(.*)$/s.exec(url || '');
+  return match ? { mimeType: match[1].toLowerCase(), data: match[2] } : null;
+}
+
+/**
+ * MIME type from a file name or URL extension
+ * @param {string} name - File name or URL
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+export function guessMimeType(name) {
+  const path = String(name || '').split(/[?#]/)[0];
+  const extension = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+  return path.includes('.') ? EXTENSION_MIME_TYPES[extension] || null : null;
+}
+
+/**
+ * Decoded size of a base64 string without decoding it
+ * @param {string} data - Base64 data
+ * @returns {number} Size in bytes
+ */
+export function base64ByteLength(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+// Human-readable size for error messages
+export function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+export class RemoteMediaFetcher {
+  /**
+   * @param {Object} [options] - Media settings
+   * @param {boolean} [options.fetchRemote=true] - Download http(s) image URLs; when off they are passed on as URLs
+   * @param {number} [options.fetchTimeoutMs=10000] - Time allowed for each download
+   * @param {number} [options.maxBytes=20971520] - Largest download accepted
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(options, logger) {
+    this.options = { ...DEFAULT_MEDIA_OPTIONS, ...options };
+    this.logger = logger;
+  }
+
+  /**
+   * Download a remote file
+   * @param {string} url - http(s) URL
+   * @returns {Promise<Object>} { mimeType, data } with base64 data
+   */
+  async fetch(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.fetchTimeoutMs);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal, redirect: 'follow' });
+      if (!response.ok) {
+        throw createMediaError(`could not fetch ${url}: HTTP ${response.status}`);
+      }
+
+      const declaredLength = Number(response.headers.get('content-length'));
+      if (declaredLength > this.options.maxBytes) {
+        throw this.createTooLargeError(url, declaredLength);
+      }
+
+      const data = await this.readBody(response, url);
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      const mimeType = contentType && contentType !== 'application/octet-stream'
+        ? contentType
+        : guessMimeType(url) || 'application/octet-stream';
+
+      this.logger.debug('Fetched remote media', { url, mimeType, bytes: data.length });
+      return { mimeType, data: data.toString('base64') };
+    } catch (error) {
+      if (error.statusCode === 400) {
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        throw createMediaError(`timed out fetching ${url} after ${this.options.fetchTimeoutMs}ms`);
+      }
+      throw createMediaError(`could not fetch ${url}: ${error.cause?.message || error.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Read the body, giving up as soon as it passes maxBytes
+  async readBody(response, url) {
+    const chunks = [];
+    let total = 0;
+
+    for await (const chunk of response.body) {
+      total += chunk.length;
+      if (total > this.options.maxBytes) {
+        throw this.createTooLargeError(url, total);
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  createTooLargeError(url, bytes) {
+    return createMediaError(
+      `${url} is larger than the ${formatBytes(this.options.maxBytes)} media limit (${formatBytes(bytes)} or more); send a smaller file`
+    );
+  }
+
+  /**
+   * Replace http(s) image URLs with data URLs
+   * @param {Object} openAIRequest - OpenAI-compatible request
+   * @returns {Promise<Object>} The same request when nothing is fetched, otherwise a copy with data URLs
+   */
+  async inlineRemoteImages(openAIRequest) {
+    if (!this.options.fetchRemote || !Array.isArray(openAIRequest.messages)) {
+      return openAIRequest;
+    }
+
+    let changed = false;
+    const messages = [];
+    for (const message of openAIRequest.messages) {
+      if (!Array.isArray(message.content)) {
+        messages.push(message);
+        continue;
+      }
+
+      const content = [];
+      for (const part of message.content) {
+        const url = part?.type === 'image_url' ? getImageUrl(part) : null;
+        if (url && /^https?:\/\//i.test(url)) {
+          const { mimeType, data } = await this.fetch(url);
+          const detail = typeof part.image_url === 'object' ? part.image_url : {};
+          content.push({ ...part, image_url: { ...detail, url: `data:${mimeType};base64,${data}` } });
+          changed = true;
+        } else {
+          content.push(part);
+        }
+      }
+      messages.push({ ...message, content });
+    }
+
+    return changed ? { ...openAIRequest, messages } : openAIRequest;
+  }
+}
+
+/**
+ * Whether any message carries an image_url part
+ * @param {Array<Object>} messages - OpenAI messages
+ * @returns {boolean} True if an image is attached
+ */
+export function hasImageParts(messages) {
+  return Array.isArray(messages) && messages.some(message =>
+    Array.isArray(message.content) && message.content.some(part => part?.type === 'image_url')
+  );
+}
+
+/**
+ * URL of an image_url part, which may be `{ url }` or a bare string
+ * @param {Object} part - OpenAI image_url content part
+ * @returns {string|undefined} URL
+ */
+export function getImageUrl(part) {
+  return typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+}
@@ -0,0 +1,168 @@
+/**
+ * SSE Parser Utilities
+ *
+ * Incremental Server-Sent Events parser shared by all providers.
+ * Follows the WHATWG event stream format: \n, \r\n and \r line endings,
+ * multi-line data fields, event/id/retry fields and comment lines.
+ */
+
+export class SSEParser {
+  constructor() {
+    this.buffer = '';
+    this.lastEventId = '';
+    this.resetEvent();
+  }
+
+  resetEvent() {
+    this.eventType = '';
+    this.dataLines = [];
+  }
+
+  /**
+   * Feed decoded text into the parser
+   * @param {string} text - Next piece of the stream
+   * @returns {Array<Object>} Complete events ({ event, data, id, retry })
+   */
+  feed(text) {
+    this.buffer += text;
+
+    const events = [];
+    const lineBreak = /\r\n|\r|\n/g;
+    let lineStart = 0;
+    let match;
+
+    while ((match = lineBreak.exec(this.buffer)) !== null) {
+      // A trailing \r may be the first half of a \r\n split across chunks
+      if (match[0] === '\r' && match.index === this.buffer.length - 1) {
+        break;
+      }
+
+      const event = this.processLine(this.buffer.slice(lineStart, match.index));
+      if (event) {
+        events.push(event);
+      }
+      lineStart = match.index + match[0].length;
+    }
+
+    this.buffer = this.buffer.slice(lineStart);
+    return events;
+  }
+
+  /**
+   * Flush any buffered line and pending event at end of stream
+   * @returns {Array<Object>} Remaining events
+   */
+  flush() {
+    const events = [];
+
+    if (this.buffer.length > 0) {
+      const event = this.processLine(this.buffer.replace(/\r$/, ''));
+      if (event) {
+        events.push(event);
+      }
+      this.buffer = '';
+    }
+
+    // Be lenient with upstreams that omit the final blank line
+    const pending = this.dispatchEvent();
+    if (pending) {
+      events.push(pending);
+    }
+
+    return events;
+  }
+
+  processLine(line) {
+    // Blank line dispatches the pending event
+    if (line === '') {
+      return this.dispatchEvent();
+    }
+
+    // Comment line (often used as keep-alive)
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          this.lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored per the SSE specification
+        break;
+    }
+
+    return null;
+  }
+
+  dispatchEvent() {
+    if (this.dataLines.length === 0) {
+      this.resetEvent();
+      return null;
+    }
+
+    const event = {
+      event: this.eventType || 'message',
+      data: this.dataLines.join('\n'),
+      id: this.lastEventId
+    };
+    if (this.retry !== undefined) {
+      event.retry = this.retry;
+    }
+
+    this.resetEvent();
+    return event;
+  }
+}
+
+/**
+ * Parse a fetch response body as a stream of SSE events
+ * @param {ReadableStream} body - Response body stream
+ * @returns {AsyncGenerator<Object>} SSE events ({ event, data, id, retry })
+ */
+export async function* parseSSEStream(body) {
+  const parser = new SSEParser();
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let completed = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      yield* parser.feed(decoder.decode(value, { stream: true }));
+    }
+
+    completed = true;
+    yield* parser.feed(decoder.decode());
+    yield* parser.flush();
+  } finally {
+    if (completed) {
+      reader.releaseLock();
+    } else {
+      // Consumer stopped early or the read failed - stop pulling from upstream
+      await reader.cancel().catch(() => {});
+    }
+  }
+}
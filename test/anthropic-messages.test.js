@@ -0,0 +1,193 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+import { AnthropicMessagesAdapter } from '../src/translators/anthropic-messages-adapter.js';
+
+describe('AnthropicMessagesAdapter', () => {
+  test('should validate Anthropic requests', () => {
+    const adapter = new AnthropicMessagesAdapter(new Logger('error'));
+
+    assert.doesNotThrow(() => adapter.validateAnthropicRequest({
+      model: 'qwen/qwen3-coder-plus',
+      max_tokens: 100,
+      messages: [{ role: 'user', content: 'Hello' }]
+    }));
+
+    assert.throws(() => adapter.validateAnthropicRequest({ messages: [] }), /model is required/);
+    assert.throws(() => adapter.validateAnthropicRequest({ model: 'x', messages: [] }), /cannot be empty/);
+    assert.throws(() => adapter.validateAnthropicRequest({
+      model: 'x',
+      messages: [{ role: 'system', content: 'nope' }]
+    }), /unsupported message role/);
+  });
+
+  test('should translate system blocks, tool_use and tool_result to OpenAI format', () => {
+    const adapter = new AnthropicMessagesAdapter(new Logger('error'));
+
+    const openAIRequest = adapter.translateAnthropicToOpenAI({
+      model: 'qwen/qwen3-coder-plus',
+      max_tokens: 1024,
+      system: [
+        { type: 'text', text: 'You are Claude Code.' },
+        { type: 'text', text: 'Be concise.' }
+      ],
+      stop_sequences: ['END'],
+      stream: true,
+      messages: [
+        { role: 'user', content: 'Read the config' },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Reading it now.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'read_file', input: { path: '/etc/app.conf' } }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'port=80' }] },
+            { type: 'text', text: 'What port is it?' }
+          ]
+        }
+      ],
+      tools: [{
+        name: 'read_file',
+        description: 'Read a file',
+        input_schema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+      }],
+      tool_choice: { type: 'any' }
+    });
+
+    assert.strictEqual(openAIRequest.model, 'qwen/qwen3-coder-plus');
+    assert.strictEqual(openAIRequest.max_tokens, 1024);
+    assert.deepStrictEqual(openAIRequest.stop, ['END']);
+    assert.strictEqual(openAIRequest.stream, true);
+    assert.strictEqual(openAIRequest.tool_choice, 'required');
+    assert.strictEqual(openAIRequest.tools[0].function.name, 'read_file');
+    assert.deepStrictEqual(openAIRequest.tools[0].function.parameters.required, ['path']);
+
+    const [system, user, assistant, tool, followUp] = openAIRequest.messages;
+    assert.deepStrictEqual(system, { role: 'system', content: 'You are Claude Code.\nBe concise.' });
+    assert.deepStrictEqual(user, { role: 'user', content: 'Read the config' });
+    assert.strictEqual(assistant.content, 'Reading it now.');
+    assert.strictEqual(assistant.tool_calls[0].id, 'toolu_1');
+    assert.deepStrictEqual(JSON.parse(assistant.tool_calls[0].function.arguments), { path: '/etc/app.conf' });
+    assert.deepStrictEqual(tool, { role: 'tool', tool_call_id: 'toolu_1', content: 'port=80' });
+    assert.deepStrictEqual(followUp, { role: 'user', content: 'What port is it?' });
+  });
+
+  test('should translate OpenAI responses to Anthropic messages', () => {
+    const adapter = new AnthropicMessagesAdapter(new Logger('error'));
+
+    const message = adapter.translateOpenAIToAnthropic({
+      id: 'chatcmpl-abc123',
+      model: 'qwen3-coder-plus',
+      choices: [{
+        index: 0,
+        finish_reason: 'tool_calls',
+        message: {
+          role: 'assistant',
+          content: 'Let me check.',
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'ls', arguments: '{"dir":"/"}' } }]
+        }
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 7, total_tokens: 19 }
+    }, 'claude-sonnet');
+
+    assert.strictEqual(message.id, 'msg_abc123');
+    assert.strictEqual(message.type, 'message');
+    assert.strictEqual(message.model, 'claude-sonnet');
+    assert.strictEqual(message.stop_reason, 'tool_use');
+    assert.deepStrictEqual(message.content[0], { type: 'text', text: 'Let me check.' });
+    assert.deepStrictEqual(message.content[1], { type: 'tool_use', id: 'call_1', name: 'ls', input: { dir: '/' } });
+    assert.deepStrictEqual(message.usage, { input_tokens: 12, output_tokens: 7 });
+  });
+
+  test('should convert OpenAI stream chunks to the Anthropic event sequence', () => {
+    const adapter = new AnthropicMessagesAdapter(new Logger('error'));
+    const converter = adapter.createStreamConverter('claude-sonnet');
+
+    const events = [
+      ...converter.processChunk({ id: 'chatcmpl-1', choices: [{ index: 0, delta: { role: 'assistant', content: 'Hi' } }] }),
+      ...converter.processChunk({ id: 'chatcmpl-1', choices: [{ index: 0, delta: { content: ' there' } }] }),
+      ...converter.processChunk({
+        id: 'chatcmpl-1',
+        choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'ls', arguments: '' } }] } }]
+      }),
+      ...converter.processChunk({
+        id: 'chatcmpl-1',
+        choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"dir":"/"}' } }] } }]
+      }),
+      ...converter.processChunk({ id: 'chatcmpl-1', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }),
+      ...converter.processChunk({ id: 'chatcmpl-1', choices: [], usage: { prompt_tokens: 21, completion_tokens: 9, total_tokens: 30 } }),
+      ...converter.finish()
+    ];
+
+    assert.deepStrictEqual(events.map(event => event.type), [
+      'message_start',
+      'ping',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ]);
+
+    assert.strictEqual(events[0].message.model, 'claude-sonnet');
+    assert.deepStrictEqual(events[3].delta, { type: 'text_delta', text: 'Hi' });
+    assert.deepStrictEqual(events[6].content_block, { type: 'tool_use', id: 'call_1', name: 'ls', input: {} });
+    assert.strictEqual(events[6].index, 1);
+    assert.deepStrictEqual(events[7].delta, { type: 'input_json_delta', partial_json: '{"dir":"/"}' });
+    assert.strictEqual(events[9].delta.stop_reason, 'tool_use');
+    assert.deepStrictEqual(events[9].usage, { input_tokens: 21, output_tokens: 9 });
+
+    const frame = adapter.formatSSEEvent(events[10]);
+    assert.strictEqual(frame, 'event: message_stop\ndata: {"type":"message_stop"}\n\n');
+  });
+
+  test('should pass thinking budgets on and return reasoning_content as thinking blocks', () => {
+    const adapter = new AnthropicMessagesAdapter(new Logger('error'));
+
+    const openAIRequest = adapter.translateAnthropicToOpenAI({
+      model: 'gemini/gemini-2.5-pro',
+      max_tokens: 4096,
+      thinking: { type: 'enabled', budget_tokens: 2048 },
+      messages: [{ role: 'user', content: 'Why?' }]
+    });
+    assert.deepStrictEqual(openAIRequest.thinking, { type: 'enabled', budget_tokens: 2048 });
+
+    const message = adapter.translateOpenAIToAnthropic({
+      id: 'chatcmpl-2',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Because.', reasoning_content: 'Weighing it up' }, finish_reason: 'stop' }]
+    }, 'gemini/gemini-2.5-pro');
+    assert.deepStrictEqual(message.content, [
+      { type: 'thinking', thinking: 'Weighing it up', signature: '' },
+      { type: 'text', text: 'Because.' }
+    ]);
+
+    const converter = adapter.createStreamConverter('gemini/gemini-2.5-pro');
+    const events = [
+      ...converter.processChunk({ id: 'chatcmpl-2', choices: [{ index: 0, delta: { role: 'assistant', content: null, reasoning_content: 'Weighing' } }] }),
+      ...converter.processChunk({ id: 'chatcmpl-2', choices: [{ index: 0, delta: { content: null, reasoning_content: ' it up' } }] }),
+      ...converter.processChunk({ id: 'chatcmpl-2', choices: [{ index: 0, delta: { content: 'Because.' }, finish_reason: 'stop' }] }),
+      ...converter.finish()
+    ];
+
+    assert.deepStrictEqual(events.slice(2, 9).map(event => [event.type, event.index]), [
+      ['content_block_start', 0],
+      ['content_block_delta', 0],
+      ['content_block_delta', 0],
+      ['content_block_stop', 0],
+      ['content_block_start', 1],
+      ['content_block_delta', 1],
+      ['content_block_stop', 1]
+    ]);
+    assert.deepStrictEqual(events[2].content_block, { type: 'thinking', thinking: '' });
+    assert.deepStrictEqual(events[4].delta, { type: 'thinking_delta', thinking: ' it up' });
+    assert.deepStrictEqual(events[7].delta, { type: 'text_delta', text: 'Because.' });
+  });
+});
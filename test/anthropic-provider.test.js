@@ -0,0 +1,205 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { Logger } from '../src/logger.js';
+import { AnthropicProvider } from '../src/providers/anthropic-provider.js';
+import { AnthropicTranslator } from '../src/translators/anthropic-translator.js';
+
+// Local stand-in for api.anthropic.com/v1/messages; `state.events` scripts the stream
+function createMessagesServer() {
+  const state = { calls: [], response: null, events: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      state.calls.push({ url: req.url, headers: req.headers, body: request });
+
+      if (request.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const event of state.events) {
+          res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+        res.end();
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(state.response));
+    });
+  });
+
+  return { server, state };
+}
+
+describe('Anthropic provider', () => {
+  const logger = new Logger('error');
+  let upstream;
+  let provider;
+
+  beforeEach(async () => {
+    upstream = createMessagesServer();
+    await new Promise(resolve => upstream.server.listen(0, '127.0.0.1', resolve));
+    provider = new AnthropicProvider({
+      apiKey: 'sk-ant-test-1234',
+      apiBaseUrl: `http://127.0.0.1:${upstream.server.address().port}/v1`,
+      defaultMaxTokens: 1024
+    }, logger);
+    await provider.initialize();
+  });
+
+  afterEach(() => {
+    provider.shutdown();
+    upstream.server.close();
+  });
+
+  async function complete(request) {
+    const accessToken = await provider.getValidAccessToken();
+    return provider.forwardRequest(provider.translateRequest(request), accessToken);
+  }
+
+  test('should translate messages, tools and tool results to the Messages API', async () => {
+    upstream.state.response = {
+      id: 'msg_1',
+      model: 'claude-sonnet-4-5',
+      content: [{ type: 'text', text: 'done' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 2 }
+    };
+
+    await complete({
+      model: 'anthropic/claude-sonnet-4-5',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'List two directories' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            { id: 'toolu_1', type: 'function', function: { name: 'ls', arguments: '{"path":"/a"}' } },
+            { id: 'toolu_2', type: 'function', function: { name: 'ls', arguments: '{"path":"/b"}' } }
+          ]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: 'x.txt' },
+        { role: 'tool', tool_call_id: 'toolu_2', content: 'y.txt' },
+        { role: 'user', content: 'Thanks' }
+      ],
+      tools: [{ type: 'function', function: { name: 'ls', description: 'List files', parameters: { type: 'object', properties: { path: { type: 'string' } } } } }],
+      tool_choice: 'required',
+      stop: 'END'
+    });
+
+    const [call] = upstream.state.calls;
+    assert.strictEqual(call.url, '/v1/messages');
+    assert.strictEqual(call.headers['x-api-key'], 'sk-ant-test-1234');
+    assert.strictEqual(call.headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(call.headers.authorization, undefined);
+
+    assert.deepStrictEqual(call.body, {
+      model: 'claude-sonnet-4-5',
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'List two directories' }] },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'tool_use', id: 'toolu_1', name: 'ls', input: { path: '/a' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'ls', input: { path: '/b' } }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: 'x.txt' },
+            { type: 'tool_result', tool_use_id: 'toolu_2', content: 'y.txt' },
+            { type: 'text', text: 'Thanks' }
+          ]
+        }
+      ],
+      max_tokens: 1024,
+      stop_sequences: ['END'],
+      stream: false,
+      tools: [{ name: 'ls', description: 'List files', input_schema: { type: 'object', properties: { path: { type: 'string' } } } }],
+      tool_choice: { type: 'any' }
+    });
+  });
+
+  test('should translate tool_use responses and map stop_reason to finish_reason', async () => {
+    upstream.state.response = {
+      id: 'msg_2',
+      model: 'claude-sonnet-4-5',
+      content: [
+        { type: 'text', text: 'Looking.' },
+        { type: 'tool_use', id: 'toolu_3', name: 'ls', input: { path: '/' } }
+      ],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 7 }
+    };
+
+    const response = provider.translateResponse(await complete({ model: 'anthropic/claude-sonnet-4-5', messages: [{ role: 'user', content: 'ls' }] }));
+
+    assert.strictEqual(response.choices[0].finish_reason, 'tool_calls');
+    assert.strictEqual(response.choices[0].message.content, 'Looking.');
+    assert.deepStrictEqual(response.choices[0].message.tool_calls, [
+      { id: 'toolu_3', type: 'function', function: { name: 'ls', arguments: '{"path":"/"}' } }
+    ]);
+    assert.deepStrictEqual(response.usage, { prompt_tokens: 15, completion_tokens: 7, total_tokens: 22 });
+
+    const translator = new AnthropicTranslator(logger);
+    assert.strictEqual(translator.mapFinishReason('max_tokens'), 'length');
+    assert.strictEqual(translator.mapFinishReason('stop_sequence'), 'stop');
+    assert.strictEqual(translator.mapFinishReason('refusal'), 'content_filter');
+  });
+
+  test('should stream text and tool calls as chat.completion chunks', async () => {
+    upstream.state.events = [
+      { type: 'message_start', message: { id: 'msg_3', model: 'claude-sonnet-4-5', usage: { input_tokens: 12, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'ping' },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_4', name: 'ls', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"path":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"/"}' } },
+      { type: 'content_block_stop', index: 1 },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } },
+      { type: 'message_stop' }
+    ];
+
+    const response = await complete({ model: 'anthropic/claude-sonnet-4-5', messages: [{ role: 'user', content: 'ls' }], stream: true });
+
+    const chunks = [];
+    for await (const chunk of provider.streamResponse(response)) {
+      chunks.push(chunk);
+    }
+
+    assert.deepStrictEqual(chunks.map(chunk => chunk.choices[0].delta), [
+      { role: 'assistant', content: '' },
+      { content: 'Hi' },
+      { tool_calls: [{ index: 0, id: 'toolu_4', type: 'function', function: { name: 'ls', arguments: '' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '{"path":' } }] },
+      { tool_calls: [{ index: 0, function: { arguments: '"/"}' } }] },
+      {}
+    ]);
+    assert.strictEqual(chunks[5].choices[0].finish_reason, 'tool_calls');
+    assert.deepStrictEqual(chunks[5].usage, { prompt_tokens: 12, completion_tokens: 9, total_tokens: 21 });
+    assert(chunks.every(chunk => chunk.id === 'msg_3' && chunk.object === 'chat.completion.chunk'));
+  });
+
+  test('should surface upstream errors with their status and Retry-After', async () => {
+    upstream.server.removeAllListeners('request');
+    upstream.server.on('request', (req, res) => {
+      req.resume();
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '7' });
+      res.end(JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message: 'Number of requests has exceeded your rate limit' } }));
+    });
+
+    await assert.rejects(complete({ model: 'anthropic/claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] }), error => {
+      assert.strictEqual(error.statusCode, 429);
+      assert.strictEqual(error.retryAfterMs, 7000);
+      assert.match(error.message, /rate limit/);
+      return true;
+    });
+  });
+});
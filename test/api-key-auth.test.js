@@ -0,0 +1,161 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import { Logger } from '../src/logger.js';
+import { ErrorHandler } from '../src/error-handler.js';
+import { ApiKeyAuthenticator } from '../src/auth/api-key-auth.js';
+import { createApiKey } from '../src/cli.js';
+
+const logger = new Logger('error');
+
+// Express app with the same middleware order as the bridge: auth first, then routes
+function createApp(authenticator) {
+  const app = express();
+  app.use(authenticator.middleware(new ErrorHandler(logger)));
+  app.use(express.json());
+  app.get('/health', (req, res) => res.json({ status: 'healthy', detailed: Boolean(req.apiKey) }));
+  app.post('/v1/chat/completions', (req, res) => res.json({ apiKey: req.apiKey }));
+  app.post('/v1/messages', (req, res) => res.json({ apiKey: req.apiKey }));
+  return app;
+}
+
+describe('ApiKeyAuthenticator', () => {
+  const laptopKey = 'cb-laptop-secret-key';
+  const ciKey = 'cb-ci-secret-key';
+  let server;
+  let baseURL;
+
+  before(async () => {
+    const authenticator = new ApiKeyAuthenticator([
+      `laptop:${ApiKeyAuthenticator.hashKey(laptopKey)}`,
+      ApiKeyAuthenticator.hashKey(ciKey)
+    ], logger);
+
+    server = createApp(authenticator).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const postChat = headers => fetch(`${baseURL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ model: 'qwen3-coder-plus', messages: [] })
+  });
+
+  test('should accept a key sent as a Bearer token', async () => {
+    const response = await postChat({ Authorization: `Bearer ${laptopKey}` });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual((await response.json()).apiKey, { label: 'laptop' });
+  });
+
+  test('should accept a key sent in x-api-key and label unlabeled keys by position', async () => {
+    const response = await postChat({ 'x-api-key': ciKey });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual((await response.json()).apiKey, { label: 'key-2' });
+  });
+
+  test('should return an OpenAI-style 401 without a key', async () => {
+    const response = await postChat({});
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(data.error.type, 'invalid_request_error');
+    assert.strictEqual(data.error.code, 'missing_api_key');
+    assert.strictEqual(data.error.param, null);
+  });
+
+  test('should return an OpenAI-style 401 for an unknown key without echoing it', async () => {
+    const response = await postChat({ Authorization: 'Bearer cb-wrong-key-123456' });
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(data.error.code, 'invalid_api_key');
+    assert(data.error.message.includes('cb-****3456'));
+    assert(!data.error.message.includes('cb-wrong-key-123456'));
+  });
+
+  test('should return an Anthropic-style 401 on /v1/messages', async () => {
+    const response = await fetch(`${baseURL}/v1/messages`, { method: 'POST', headers: { 'x-api-key': 'cb-wrong-key-123456' } });
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(data.type, 'error');
+    assert.strictEqual(data.error.type, 'authentication_error');
+    assert(data.error.message.includes('cb-****3456'));
+  });
+
+  test('should keep /health open and recognise a valid key there', async () => {
+    const response = await fetch(`${baseURL}/health`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).detailed, false);
+
+    const wrongKey = await fetch(`${baseURL}/health`, { headers: { 'x-api-key': 'cb-wrong-key-123456' } });
+    assert.strictEqual(wrongKey.status, 200);
+    assert.strictEqual((await wrongKey.json()).detailed, false);
+
+    const withKey = await fetch(`${baseURL}/health`, { headers: { Authorization: `Bearer ${laptopKey}` } });
+    assert.strictEqual((await withKey.json()).detailed, true);
+  });
+
+  test('should leave the bridge open when no keys are configured', () => {
+    const authenticator = new ApiKeyAuthenticator([], logger);
+    let called = false;
+
+    authenticator.middleware(new ErrorHandler(logger))({ path: '/v1/chat/completions', headers: {} }, {}, () => {
+      called = true;
+    });
+
+    assert.strictEqual(authenticator.isEnabled(), false);
+    assert.strictEqual(called, true);
+  });
+
+  test('should only serve login routes to loopback clients when no keys are configured', () => {
+    const middleware = new ApiKeyAuthenticator([], logger).middleware(new ErrorHandler(logger));
+    const send = remoteAddress => {
+      const result = { called: false };
+      const res = {
+        status: (code) => {
+          result.status = code;
+          return res;
+        },
+        json: (data) => {
+          result.body = data;
+          return res;
+        }
+      };
+      middleware({ path: '/auth/qwen/device', headers: {}, socket: { remoteAddress } }, res, () => {
+        result.called = true;
+      });
+      return result;
+    };
+
+    assert.strictEqual(send('127.0.0.1').called, true);
+    assert.strictEqual(send('::1').called, true);
+
+    const remote = send('203.0.113.7');
+    assert.strictEqual(remote.called, false);
+    assert.strictEqual(remote.status, 403);
+    assert.strictEqual(remote.body.error.code, 'remote_login_not_allowed');
+  });
+
+    test('should reject plaintext keys in the configuration', () => {
+    assert.throws(
+      () => new ApiKeyAuthenticator(['laptop:cb-plaintext-key'], logger),
+      /Invalid BRIDGE_API_KEYS entry #1.*npm run auth -- key/
+    );
+  });
+
+  test('should create keys whose printed entry authenticates them', () => {
+    const lines = [];
+    const { key, entry } = createApiKey({ label: 'ci' }, { log: line => lines.push(line) });
+
+    const authenticator = new ApiKeyAuthenticator([entry], logger);
+    assert.deepStrictEqual(authenticator.findKey(key), { label: 'ci' });
+    assert(key.startsWith('cb-'));
+    assert(lines.some(line => line.includes(key)));
+  });
+});
@@ -0,0 +1,185 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+import { CircuitBreaker } from '../src/circuit-breaker.js';
+
+function createUpstreamError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+describe('CircuitBreaker', () => {
+  const logger = new Logger('error');
+  const options = { failureRateThreshold: 0.5, minimumRequests: 4, windowMs: 60000, openDurationMs: 30000 };
+
+  test('should stay closed until enough requests fail', () => {
+    const breaker = new CircuitBreaker('qwen', options, logger);
+
+    breaker.recordFailure(createUpstreamError('Bad gateway', 502));
+    breaker.recordFailure(createUpstreamError('Bad gateway', 502));
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+
+    // 3 of 4 failed: over the threshold once the minimum is reached
+    breaker.recordFailure(createUpstreamError('Request timeout: Qwen API did not respond in time.', 504));
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    const health = breaker.getHealth();
+    assert.strictEqual(health.state, 'open');
+    assert.strictEqual(health.recentRequests, 4);
+    assert.strictEqual(health.recentFailures, 3);
+    assert.strictEqual(health.recentTimeouts, 1);
+    assert.strictEqual(health.failureRate, 0.75);
+    assert(health.retryAt);
+  });
+
+  test('should go half-open after the open duration and close on a successful trial', () => {
+    const breaker = new CircuitBreaker('gemini', options, logger);
+    breaker.open();
+
+    const error = breaker.createOpenError();
+    assert.strictEqual(error.statusCode, 503);
+    assert.strictEqual(error.code, 'circuit_open');
+    assert(error.retryAfterMs > 29000 && error.retryAfterMs <= 30000);
+
+    breaker.openedAt -= 30000;
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.state, 'half-open');
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.getHealth().recentRequests, 0);
+  });
+
+  test('should reopen when the half-open trial fails', () => {
+    const breaker = new CircuitBreaker('gemini', options, logger);
+    breaker.open();
+    breaker.openedAt -= 30000;
+    breaker.allowRequest();
+
+    breaker.recordFailure(createUpstreamError('Service unavailable', 503));
+
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(breaker.getHealth({ detailed: true }).lastFailure, 'Service unavailable');
+    assert.strictEqual(breaker.getHealth().lastFailure, undefined);
+  });
+
+  test('should let a single trial through while half-open and check without changing state', async () => {
+    const breaker = new CircuitBreaker('qwen', options, logger);
+    breaker.open();
+    breaker.openedAt -= 30000;
+
+    assert.strictEqual(breaker.canRequest(), true);
+    assert.strictEqual(breaker.state, 'open');
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.strictEqual(breaker.canRequest(), false);
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    // A trial that ends without an outcome hands the slot to the next request
+    breaker.recordError(createUpstreamError('Rate limit exceeded', 429));
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    // So does a stream the client walked away from
+    async function* upstream() {
+      yield { id: 'c1' };
+      yield { id: 'c1' };
+    }
+    const tracked = breaker.trackStream(upstream());
+    await tracked.next();
+    await tracked.return();
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.strictEqual(breaker.allowRequest(), true);
+
+    // A trial that never reports back is given up after the open duration
+    breaker.trialStartedAt -= 30000;
+    assert.strictEqual(breaker.allowRequest(), true);
+  });
+
+  test('should only count server errors, timeouts and network errors', () => {
+    const breaker = new CircuitBreaker('qwen', options, logger);
+
+    // Rate limits and auth failures come from a working upstream and never open the circuit
+    for (let i = 0; i < 10; i++) {
+      breaker.recordError(createUpstreamError('Rate limit exceeded', 429));
+      breaker.recordError(createUpstreamError('Invalid API key', 401));
+      breaker.recordError(createUpstreamError('Quota exceeded', 403));
+    }
+    breaker.recordError(Object.assign(createUpstreamError('Request cancelled', 499), { clientAborted: true }));
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.getHealth().recentRequests, 0);
+
+    const networkError = new TypeError('fetch failed');
+    assert.strictEqual(CircuitBreaker.isFailure(networkError), true);
+    assert.strictEqual(CircuitBreaker.isFailure(createUpstreamError('Request timeout', 504)), true);
+    assert.strictEqual(CircuitBreaker.isFailure(new Error('FATAL: Unable to obtain valid access token for qwen')), false);
+
+    for (let i = 0; i < 4; i++) {
+      breaker.recordError(createUpstreamError('Bad gateway', 502));
+    }
+    assert.strictEqual(breaker.state, 'open');
+  });
+
+  test('should record a stream outcome when the stream ends, not when it starts', async () => {
+    const breaker = new CircuitBreaker('qwen', options, logger);
+    breaker.open();
+    breaker.openedAt -= 30000;
+    breaker.allowRequest();
+
+    async function* upstream(failAfter) {
+      yield { id: 'c1' };
+      if (failAfter) {
+        throw new TypeError('terminated');
+      }
+      yield { id: 'c1' };
+    }
+
+    const tracked = breaker.trackStream(upstream(false));
+    await tracked.next();
+    assert.strictEqual(breaker.state, 'half-open');
+    for await (const chunk of tracked) {
+      assert.strictEqual(chunk.id, 'c1');
+    }
+    assert.strictEqual(breaker.state, 'closed');
+
+    await assert.rejects(async () => {
+      for await (const chunk of breaker.trackStream(upstream(true))) {
+        assert.strictEqual(chunk.id, 'c1');
+      }
+    }, /terminated/);
+    assert.strictEqual(breaker.getHealth().recentFailures, 1);
+
+    // A client disconnect says nothing about the upstream
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(async () => {
+      for await (const chunk of breaker.trackStream(upstream(true), controller.signal)) {
+        assert.strictEqual(chunk.id, 'c1');
+      }
+    });
+    assert.strictEqual(breaker.getHealth().recentFailures, 1);
+  });
+
+  test('should forget failures outside the window and never open when disabled', () => {
+    const breaker = new CircuitBreaker('qwen', { ...options, windowMs: 1000 }, logger);
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure(createUpstreamError('Bad gateway', 502));
+    }
+    breaker.outcomes.forEach(outcome => { outcome.time -= 2000; });
+    breaker.recordFailure(createUpstreamError('Bad gateway', 502));
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.getHealth().recentFailures, 1);
+
+    const disabled = new CircuitBreaker('qwen', { ...options, enabled: false }, logger);
+    for (let i = 0; i < 10; i++) {
+      disabled.recordFailure(createUpstreamError('Bad gateway', 502));
+    }
+    assert.strictEqual(disabled.allowRequest(), true);
+    assert.strictEqual(disabled.getHealth().state, 'disabled');
+  });
+});
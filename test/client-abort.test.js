@@ -0,0 +1,140 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { getEventListeners } from 'node:events';
+import { Logger } from '../src/logger.js';
+import { QwenTranslator } from '../src/translators/qwen-translator.js';
+import { GeminiTranslator } from '../src/translators/gemini-translator.js';
+import { QwenProvider } from '../src/providers/qwen-provider.js';
+
+describe('Client disconnect cancellation', () => {
+  let upstream;
+  let baseURL;
+  let hits;
+  let upstreamClosed;
+  let handler;
+
+  beforeEach(async () => {
+    hits = 0;
+    upstreamClosed = new Promise(resolve => {
+      upstream = http.createServer((req, res) => {
+        hits++;
+        res.on('close', resolve);
+        handler(req, res);
+      });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${upstream.address().port}`;
+  });
+
+  afterEach(() => {
+    upstream.closeAllConnections();
+    upstream.close();
+  });
+
+  test('should cancel an in-flight Qwen stream when the signal aborts', async () => {
+    // Upstream that keeps streaming until the connection is closed
+    handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const interval = setInterval(() => {
+        res.write('data: {"id":"c1","choices":[{"index":0,"delta":{"content":"x"}}]}\n\n');
+      }, 20);
+      res.on('close', () => clearInterval(interval));
+    };
+
+    const logger = new Logger('error');
+    const provider = new QwenProvider({ name: 'qwen', clientId: 'test-client', credentialsPath: '/tmp/none.json' }, logger);
+    provider.translator = new QwenTranslator(logger, `${baseURL}/v1`, 5000);
+
+    const controller = new AbortController();
+    const response = await provider.forwardRequest(
+      { model: 'qwen3-coder-plus', messages: [{ role: 'user', content: 'hi' }], stream: true },
+      'token',
+      { signal: controller.signal }
+    );
+
+    let received = 0;
+    await assert.rejects(async () => {
+      for await (const chunk of provider.streamResponse(response)) {
+        received++;
+        if (received === 2) {
+          controller.abort();
+        }
+      }
+    });
+
+    await upstreamClosed;
+    assert.strictEqual(received, 2);
+  });
+
+  test('should stop Gemini retries once the signal aborts', async () => {
+    const controller = new AbortController();
+    handler = (req, res) => {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'backend error' } }));
+      // Client disconnects while the translator is backing off
+      setTimeout(() => controller.abort(), 50);
+    };
+
+    const translator = new GeminiTranslator(new Logger('error'), baseURL, 5000, { enabled: false });
+    const startTime = Date.now();
+
+    await assert.rejects(
+      translator.processSingleRequest('gemini-pro', { contents: [] }, false, 'token', controller.signal),
+      error => error.clientAborted === true && error.statusCode === 499
+    );
+
+    assert.strictEqual(hits, 1);
+    assert(Date.now() - startTime < 1000, 'should not wait for the retry delay');
+  });
+
+  test('should skip remaining chunks of a chunked Gemini request', async () => {
+    handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ candidates: [] }));
+    };
+
+    const translator = new GeminiTranslator(new Logger('error'), baseURL, 5000);
+    const controller = new AbortController();
+    controller.abort();
+
+    const request = {
+      contents: [{ role: 'user', parts: [{ text: 'line\n'.repeat(10) }] }]
+    };
+
+    await assert.rejects(
+      translator.processChunkedRequest('gemini-pro', request, false, 'token', controller.signal),
+      error => error.clientAborted === true
+    );
+    assert.strictEqual(hits, 0);
+  });
+
+  test('should unlink the caller signal once a request or stream is finished', async () => {
+    handler = (req, res) => {
+      if (req.url.endsWith('/stream/chat/completions')) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end('data: {"id":"c1","choices":[{"index":0,"delta":{"content":"x"}}]}\n\ndata: [DONE]\n\n');
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"id":"c1","choices":[]}');
+      }
+    };
+
+    const logger = new Logger('error');
+    const provider = new QwenProvider({ name: 'qwen', clientId: 'test-client', credentialsPath: '/tmp/none.json' }, logger);
+    const controller = new AbortController();
+    const request = { model: 'qwen3-coder-plus', messages: [{ role: 'user', content: 'hi' }] };
+
+    await new QwenTranslator(logger, `${baseURL}/v1`, 5000).forwardToProviderAPI(request, 'token', { signal: controller.signal });
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+
+    provider.translator = new QwenTranslator(logger, `${baseURL}/stream`, 5000);
+    const response = await provider.translator.forwardToProviderAPI({ ...request, stream: true }, 'token', { signal: controller.signal });
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 1);
+
+    for await (const chunk of provider.streamResponse(response)) {
+      assert.strictEqual(chunk.choices[0].delta.content, 'x');
+    }
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+});
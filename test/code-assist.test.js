@@ -0,0 +1,163 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { Logger } from '../src/logger.js';
+import { CodeAssistTranslator } from '../src/translators/code-assist-translator.js';
+import { GeminiProvider } from '../src/providers/gemini-provider.js';
+
+// Local stand-in for cloudcode-pa.googleapis.com/v1internal
+// `state.loadResponse` and `state.onboardResponses` script the setup calls.
+function createCodeAssistServer() {
+  const state = {
+    calls: [],
+    loadResponse: { currentTier: { id: 'free-tier' }, cloudaicompanionProject: 'managed-project-1' },
+    onboardResponses: []
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const method = req.url.slice(req.url.indexOf(':') + 1);
+      const data = JSON.parse(body);
+      state.calls.push({ method, body: data, authorization: req.headers.authorization });
+
+      const reply = {
+        candidates: [{ index: 0, content: { role: 'model', parts: [{ text: `hello from ${data.project}` }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 4, totalTokenCount: 7 },
+        responseId: 'resp-1'
+      };
+
+      if (method === 'streamGenerateContent?alt=sse') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ response: reply })}\n\n`);
+        res.end();
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      if (method === 'loadCodeAssist') {
+        res.end(JSON.stringify(state.loadResponse));
+      } else if (method === 'onboardUser') {
+        res.end(JSON.stringify(state.onboardResponses.shift()));
+      } else {
+        res.end(JSON.stringify({ response: reply, traceId: 'trace-1' }));
+      }
+    });
+  });
+
+  return { server, state };
+}
+
+describe('Gemini Code Assist transport', () => {
+  let codeAssist;
+  let endpoint;
+  const logger = new Logger('error');
+  const request = { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] };
+
+  beforeEach(async () => {
+    codeAssist = createCodeAssistServer();
+    await new Promise(resolve => codeAssist.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${codeAssist.server.address().port}/v1internal`;
+  });
+
+  afterEach(() => {
+    codeAssist.server.close();
+  });
+
+  test('should wrap requests in the Code Assist envelope and unwrap responses', async () => {
+    const translator = new CodeAssistTranslator(logger, { endpoint }, 5000, { enabled: false });
+
+    const response = await translator.forwardToProviderAPI({ model: 'gemini-2.5-pro', request, stream: false }, 'token-a');
+    const openAIResponse = translator.translateProviderToOpenAI(response);
+
+    assert.strictEqual(openAIResponse.choices[0].message.content, 'hello from managed-project-1');
+    assert.strictEqual(openAIResponse.usage.total_tokens, 7);
+    assert.strictEqual(openAIResponse.id, 'resp-1');
+
+    const generate = codeAssist.state.calls.find(call => call.method === 'generateContent');
+    assert.strictEqual(generate.body.model, 'gemini-2.5-pro');
+    assert.strictEqual(generate.body.project, 'managed-project-1');
+    assert.deepStrictEqual(generate.body.request, request);
+    assert(generate.body.user_prompt_id);
+    assert.strictEqual(generate.authorization, 'Bearer token-a');
+  });
+
+  test('should look up the project once per access token', async () => {
+    const translator = new CodeAssistTranslator(logger, { endpoint }, 5000, { enabled: false });
+
+    await Promise.all([
+      translator.forwardToProviderAPI({ model: 'gemini-2.5-pro', request, stream: false }, 'token-a'),
+      translator.forwardToProviderAPI({ model: 'gemini-2.5-pro', request, stream: false }, 'token-a')
+    ]);
+    await translator.forwardToProviderAPI({ model: 'gemini-2.5-pro', request, stream: false }, 'token-b');
+
+    const loads = codeAssist.state.calls.filter(call => call.method === 'loadCodeAssist');
+    assert.deepStrictEqual(loads.map(call => call.authorization), ['Bearer token-a', 'Bearer token-b']);
+  });
+
+  test('should onboard a new user to the default tier and wait for the operation', async () => {
+    codeAssist.state.loadResponse = {
+      allowedTiers: [{ id: 'free-tier', isDefault: true }, { id: 'standard-tier', userDefinedCloudaicompanionProject: true }]
+    };
+    codeAssist.state.onboardResponses = [
+      { name: 'operations/1', done: false },
+      { name: 'operations/1', done: true, response: { cloudaicompanionProject: { id: 'onboarded-project' } } }
+    ];
+
+    const translator = new CodeAssistTranslator(logger, { endpoint, onboardPollIntervalMs: 10 }, 5000, { enabled: false });
+    const response = await translator.forwardToProviderAPI({ model: 'gemini-2.5-flash', request, stream: false }, 'token-a');
+
+    assert.strictEqual(translator.translateProviderToOpenAI(response).choices[0].message.content, 'hello from onboarded-project');
+
+    const onboards = codeAssist.state.calls.filter(call => call.method === 'onboardUser');
+    assert.strictEqual(onboards.length, 2);
+    assert.strictEqual(onboards[0].body.tierId, 'free-tier');
+    assert.strictEqual(onboards[0].body.cloudaicompanionProject, undefined);
+  });
+
+  test('should ask for a project when the tier needs one', async () => {
+    codeAssist.state.loadResponse = {
+      allowedTiers: [{ id: 'standard-tier', isDefault: true, userDefinedCloudaicompanionProject: true }]
+    };
+
+    const translator = new CodeAssistTranslator(logger, { endpoint }, 5000, { enabled: false });
+
+    await assert.rejects(
+      translator.forwardToProviderAPI({ model: 'gemini-2.5-pro', request, stream: false }, 'token-a'),
+      error => error.statusCode === 400 && error.message.includes('PROVIDER_GEMINI_PROJECT_ID')
+    );
+    assert(!codeAssist.state.calls.some(call => call.method === 'generateContent'));
+  });
+
+  test('should stream through streamGenerateContent when the provider uses the code-assist transport', async () => {
+    const provider = new GeminiProvider({
+      name: 'gemini',
+      credentialsPath: '/tmp/unused/oauth_creds.json',
+      transport: 'code-assist',
+      codeAssistEndpoint: endpoint,
+      chunking: { enabled: false }
+    }, logger);
+
+    const response = await provider.translator.forwardToProviderAPI(
+      provider.translateRequest({ model: 'gemini/gemini-2.5-pro', messages: [{ role: 'user', content: 'hi' }], stream: true }),
+      'token-a'
+    );
+
+    const chunks = [];
+    for await (const chunk of provider.streamResponse(response)) {
+      chunks.push(chunk);
+    }
+
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0].choices[0].delta.content, 'hello from managed-project-1');
+    assert(codeAssist.state.calls.some(call => call.method === 'streamGenerateContent?alt=sse'));
+  });
+
+  test('should reject an unknown transport', () => {
+    assert.throws(
+      () => new GeminiProvider({ name: 'gemini', credentialsPath: '/tmp/unused.json', transport: 'grpc' }, logger),
+      /Invalid Gemini transport: grpc/
+    );
+  });
+});
@@ -0,0 +1,331 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Logger } from '../src/logger.js';
+import { CredentialPool } from '../src/auth/credential-pool.js';
+import { QwenProvider } from '../src/providers/qwen-provider.js';
+
+// Minimal stand-in for an auth manager holding one account's token
+class FakeAuthManager {
+  constructor(name, options = {}) {
+    this.credentialsPath = `/tmp/${name}/oauth_creds.json`;
+    this.credentials = {
+      access_token: `${name}-access-token`,
+      expiry_date: Date.now() + 60 * 60 * 1000
+    };
+    this.failInitialize = options.failInitialize;
+  }
+
+  async initialize() {
+    if (this.failInitialize) {
+      throw new Error('Credentials file not found');
+    }
+  }
+
+  async getValidAccessToken() {
+    return this.credentials.access_token;
+  }
+
+  stopRefreshScheduler() {}
+  stopCredentialsWatcher() {}
+}
+
+function createRateLimitError(message, retryAfterMs) {
+  const error = new Error(message);
+  error.statusCode = 429;
+  if (retryAfterMs) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+describe('CredentialPool', () => {
+  const logger = new Logger('error');
+
+  test('should rotate accounts round-robin', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b', 'c'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+
+    const ids = [];
+    for (let i = 0; i < 4; i++) {
+      ids.push((await pool.acquire()).account.id);
+    }
+
+    assert.deepStrictEqual(ids, ['qwen-1', 'qwen-2', 'qwen-3', 'qwen-1']);
+  });
+
+  test('should pick the least-used account', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger, {
+      strategy: 'least-used'
+    });
+    await pool.initialize();
+    pool.accounts[0].requests = 5;
+
+    assert.strictEqual((await pool.acquire()).account.id, 'qwen-2');
+  });
+
+  test('should reject an unknown rotation strategy', () => {
+    assert.throws(
+      () => new CredentialPool('qwen', [new FakeAuthManager('a')], logger, { strategy: 'random' }),
+      /Invalid rotation strategy/
+    );
+  });
+
+  test('should keep accounts that fail to initialize out of rotation', async () => {
+    const pool = new CredentialPool('qwen', [
+      new FakeAuthManager('a', { failInitialize: true }),
+      new FakeAuthManager('b')
+    ], logger);
+    await pool.initialize();
+
+    assert.strictEqual((await pool.acquire()).account.id, 'qwen-2');
+    assert.strictEqual((await pool.acquire()).account.id, 'qwen-2');
+    assert.strictEqual(pool.getHealth()[0].status, 'unavailable');
+  });
+
+  test('should move to the next account on a 429 and honour Retry-After', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+
+    const usedTokens = [];
+    const result = await pool.forward(await pool.acquire(), async token => {
+      usedTokens.push(token);
+      if (token === 'a-access-token') {
+        throw createRateLimitError('Too many requests', 30000);
+      }
+      return 'ok';
+    });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(usedTokens, ['a-access-token', 'b-access-token']);
+
+    const cooldown = pool.accounts[0].cooldownUntil - Date.now();
+    assert(cooldown > 25000 && cooldown <= 30000);
+
+    // Limited account is skipped until the cool-down ends
+    assert.strictEqual((await pool.acquire()).account.id, 'qwen-2');
+    pool.accounts[0].cooldownUntil = Date.now() - 1;
+    assert.strictEqual((await pool.acquire()).account.id, 'qwen-1');
+  });
+
+  test('should charge the acquired account even if its token was refreshed before forwarding', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+
+    const selected = await pool.acquire();
+    // Background refresh swaps the token after acquire()
+    pool.accounts[0].authManager.credentials.access_token = 'a-refreshed-token';
+
+    const result = await pool.forward(selected, async (token, account) => {
+      if (account.id === 'qwen-1') {
+        throw createRateLimitError('Too many requests', 30000);
+      }
+      return token;
+    });
+
+    assert.strictEqual(result, 'b-access-token');
+    assert.strictEqual(pool.getHealth()[0].status, 'rate_limited');
+  });
+
+  test('should hold a quota-exhausted account until the next UTC day', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+
+    pool.markRateLimited(pool.accounts[0], createRateLimitError('Free allocated quota exceeded.'));
+
+    const nextDay = new Date();
+    nextDay.setUTCHours(24, 0, 0, 0);
+    assert.strictEqual(pool.accounts[0].cooldownUntil, nextDay.getTime());
+    assert.strictEqual(pool.getHealth()[0].status, 'quota_exhausted');
+  });
+
+  test('should return a 429 with the earliest reset when every account is limited', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+
+    pool.markRateLimited(pool.accounts[0], createRateLimitError('Too many requests', 120000));
+    pool.markRateLimited(pool.accounts[1], createRateLimitError('Too many requests', 10000));
+
+    await assert.rejects(pool.acquire(), error => {
+      assert.strictEqual(error.statusCode, 429);
+      assert(error.retryAfterMs <= 10000 && error.retryAfterMs > 5000);
+      return true;
+    });
+  });
+
+  test('should report per-account health without token values', async () => {
+    const pool = new CredentialPool('qwen', ['alpha', 'beta'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+    await pool.acquire();
+    pool.accounts[1].lastError = 'Token refresh failed for /tmp/beta/oauth_creds.json';
+
+    const health = pool.getHealth();
+    assert.strictEqual(health.length, 2);
+    assert.deepStrictEqual(Object.keys(health[0]), ['id', 'status', 'requests', 'circuit']);
+    assert.strictEqual(health[0].id, 'qwen-1');
+    assert.strictEqual(health[0].status, 'active');
+    assert.strictEqual(health[0].requests, 1);
+    assert.strictEqual(health[0].circuit.state, 'closed');
+    assert.strictEqual(health[1].circuit.lastFailure, undefined);
+    assert(!JSON.stringify(health).includes('/tmp/'));
+
+    const detailed = pool.getHealth({ detailed: true });
+    const serialized = JSON.stringify(detailed);
+    assert.strictEqual(detailed[0].credentialsPath, '/tmp/alpha/oauth_creds.json');
+    assert.strictEqual(detailed[0].accessToken, '[REDACTED]...oken');
+    assert.strictEqual(detailed[1].lastError, 'Token refresh failed for /tmp/beta/oauth_creds.json');
+    assert(!serialized.includes('alpha-access-token'));
+    assert(!serialized.includes('beta-access-token'));
+  });
+
+  test('should skip an account whose circuit opened after server errors', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger, {
+      circuitBreaker: { minimumRequests: 2, failureRateThreshold: 0.5 }
+    });
+    await pool.initialize();
+
+    const serverError = Object.assign(new Error('Internal server error'), { statusCode: 500 });
+    const first = { account: pool.accounts[0], accessToken: 'a-access-token' };
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(pool.forward(first, async () => { throw serverError; }), /Internal server error/);
+    }
+
+    assert.strictEqual(pool.getHealth()[0].status, 'circuit_open');
+    assert.deepStrictEqual([(await pool.acquire()).account.id, (await pool.acquire()).account.id], ['qwen-2', 'qwen-2']);
+
+    pool.accounts[1].breaker.open();
+    await assert.rejects(pool.acquire(), error => error.code === 'circuit_open' && error.statusCode === 503);
+  });
+
+  test('should count a streamed response for the account only once the stream ends', async () => {
+    const pool = new CredentialPool('qwen', [new FakeAuthManager('a')], logger, {
+      circuitBreaker: { minimumRequests: 2, failureRateThreshold: 0.5 }
+    });
+    await pool.initialize();
+    const { breaker } = pool.accounts[0];
+
+    async function* chunks(failAfterFirst) {
+      yield { id: 'c1' };
+      if (failAfterFirst) {
+        throw new TypeError('terminated');
+      }
+    }
+
+    // Headers arriving says nothing yet; the account counts once the stream has been read
+    const response = await pool.forward(await pool.acquire(), async () => ({}), { stream: true });
+    assert.strictEqual(breaker.getHealth().recentRequests, 0);
+    for await (const chunk of response.trackStream(chunks(false))) {
+      assert.strictEqual(chunk.id, 'c1');
+    }
+    assert.strictEqual(breaker.getHealth().recentRequests, 1);
+
+    // A stream that dies halfway is a failure of the account that served it
+    const broken = await pool.forward(await pool.acquire(), async () => ({}), { stream: true });
+    await assert.rejects(async () => {
+      for await (const chunk of broken.trackStream(chunks(true))) {
+        assert.strictEqual(chunk.id, 'c1');
+      }
+    }, /terminated/);
+    assert.strictEqual(pool.getHealth()[0].status, 'circuit_open');
+  });
+
+  test('should only claim the half-open trial of the account it picks', async () => {
+    const pool = new CredentialPool('qwen', ['a', 'b'].map(name => new FakeAuthManager(name)), logger);
+    await pool.initialize();
+    for (const account of pool.accounts) {
+      account.breaker.open();
+      account.breaker.openedAt -= 30000;
+    }
+
+    // Scanning candidates leaves every breaker as it is
+    assert.strictEqual(pool.getCandidates().length, 2);
+    assert.deepStrictEqual(pool.accounts.map(account => account.breaker.state), ['open', 'open']);
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert.deepStrictEqual([first.account.id, second.account.id], ['qwen-1', 'qwen-2']);
+    await assert.rejects(pool.acquire(), error => error.code === 'circuit_open');
+
+    await pool.forward(first, async () => 'ok');
+    assert.strictEqual(pool.accounts[0].breaker.state, 'closed');
+    assert.strictEqual((await pool.acquire()).account.id, 'qwen-1');
+  });
+});
+
+describe('QwenProvider with a credential pool', () => {
+  let upstream;
+  let baseURL;
+  let tempDir;
+
+  beforeEach(async () => {
+    // Upstream where account "a" is out of quota and account "b" works
+    upstream = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.headers.authorization === 'Bearer a-token') {
+        res.statusCode = 429;
+        res.setHeader('Retry-After', '120');
+        res.end(JSON.stringify({ error: { message: 'Free allocated quota exceeded.' } }));
+        return;
+      }
+      res.end(JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content: `served by ${req.url}` }, finish_reason: 'stop' }]
+      }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${upstream.address().port}`;
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-pool-'));
+  });
+
+  afterEach(async () => {
+    upstream.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should retry a quota-limited account on the next one', async () => {
+    const credentialsPaths = [];
+    for (const name of ['a', 'b']) {
+      const credentialsPath = path.join(tempDir, `${name}.json`);
+      await fs.writeFile(credentialsPath, JSON.stringify({
+        access_token: `${name}-token`,
+        refresh_token: `${name}-refresh`,
+        expiry_date: Date.now() + 60 * 60 * 1000,
+        // Each account is served from its own resource_url
+        resource_url: `${baseURL}/${name}`
+      }));
+      credentialsPaths.push(credentialsPath);
+    }
+
+    const provider = new QwenProvider({
+      name: 'qwen',
+      clientId: 'test-client',
+      credentialsPaths
+    }, new Logger('error'));
+    await provider.initialize();
+
+    try {
+      const { accessToken, account } = await provider.acquireCredentials();
+      assert.strictEqual(accessToken, 'a-token');
+
+      const response = await provider.forwardRequest(
+        { model: 'qwen3-coder-plus', messages: [{ role: 'user', content: 'hi' }] },
+        accessToken,
+        { account }
+      );
+
+      assert.strictEqual(response.choices[0].message.content, 'served by /b/v1/chat/completions');
+
+      const accounts = provider.getHealth({ detailed: true }).accounts;
+      assert.strictEqual(accounts[0].status, 'rate_limited');
+      assert(accounts[0].cooldownUntil);
+      assert.strictEqual(accounts[1].status, 'active');
+    } finally {
+      provider.shutdown();
+    }
+  });
+});
@@ -0,0 +1,174 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Logger } from '../src/logger.js';
+import { QwenAuthManager } from '../src/auth/qwen-auth-manager.js';
+import { acquireFileLock, withFileLock, getLockPath } from '../src/utils/file-lock.js';
+
+// Wait until a condition holds, polling the event loop
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Write credentials the way the official CLIs do: temp file, then rename
+async function writeLikeCli(credentialsPath, credentials) {
+  await fs.writeFile(`${credentialsPath}.cli-tmp`, JSON.stringify(credentials));
+  await fs.rename(`${credentialsPath}.cli-tmp`, credentialsPath);
+}
+
+describe('File lock', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-lock-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should derive the lock path used by the official CLI', () => {
+    assert.strictEqual(getLockPath('/home/u/.qwen/oauth_creds.json'), '/home/u/.qwen/oauth_creds.lock');
+    assert.strictEqual(getLockPath('/tmp/creds'), '/tmp/creds.lock');
+  });
+
+  test('should serialize concurrent holders', async () => {
+    const lockPath = path.join(tempDir, 'test.lock');
+    const events = [];
+
+    await Promise.all([1, 2, 3].map(id => withFileLock(lockPath, async () => {
+      events.push(`start-${id}`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      events.push(`end-${id}`);
+    }, { retryDelayMs: 5 })));
+
+    // Each holder finishes before the next one starts
+    for (let i = 0; i < events.length; i += 2) {
+      assert.strictEqual(events[i].replace('start', 'end'), events[i + 1]);
+    }
+    await assert.rejects(fs.access(lockPath));
+  });
+
+  test('should break a stale lock and time out on a live one', async () => {
+    const lockPath = path.join(tempDir, 'test.lock');
+    await fs.writeFile(lockPath, 'crashed-process');
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, past, past);
+
+    const release = await acquireFileLock(lockPath, { staleMs: 1000 });
+
+    await assert.rejects(
+      acquireFileLock(lockPath, { timeoutMs: 50, retryDelayMs: 5 }),
+      /Timed out waiting for lock/
+    );
+
+    await release();
+    await assert.rejects(fs.access(lockPath));
+  });
+});
+
+describe('Credentials file sync', () => {
+  let tempDir;
+  let credentialsPath;
+  let authManager;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-creds-'));
+    credentialsPath = path.join(tempDir, 'oauth_creds.json');
+    await fs.writeFile(credentialsPath, JSON.stringify({
+      access_token: 'bridge-token',
+      refresh_token: 'bridge-refresh',
+      expiry_date: Date.now() + 60 * 60 * 1000
+    }));
+
+    authManager = new QwenAuthManager(credentialsPath, 'test-client', new Logger('error'));
+    await authManager.loadCredentials();
+  });
+
+  afterEach(async () => {
+    authManager.stopCredentialsWatcher();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should pick up a token set rotated by the CLI', async () => {
+    authManager.startCredentialsWatcher({ debounceMs: 10 });
+
+    await writeLikeCli(credentialsPath, {
+      access_token: 'cli-token',
+      refresh_token: 'cli-refresh',
+      expiry_date: Date.now() + 2 * 60 * 60 * 1000
+    });
+
+    await waitFor(() => authManager.credentials.access_token === 'cli-token');
+    assert.strictEqual(authManager.credentials.refresh_token, 'cli-refresh');
+  });
+
+  test('should keep in-memory credentials that expire later than the file', async () => {
+    const adopted = authManager.credentials;
+    await writeLikeCli(credentialsPath, {
+      access_token: 'stale-token',
+      refresh_token: 'stale-refresh',
+      expiry_date: Date.now() + 60 * 1000
+    });
+
+    assert.strictEqual(await authManager.reloadCredentials(), false);
+    assert.strictEqual(authManager.credentials, adopted);
+  });
+
+  test('should fall back to polling when the directory cannot be watched', async () => {
+    // fs.watch fails on a directory that does not exist yet
+    const missingDir = path.join(tempDir, 'later');
+    authManager.credentialsPath = path.join(missingDir, 'oauth_creds.json');
+    authManager.startCredentialsWatcher({ pollIntervalMs: 20, debounceMs: 10 });
+
+    assert(authManager.credentialsWatcher.pollListener);
+
+    await fs.mkdir(missingDir);
+    await writeLikeCli(authManager.credentialsPath, {
+      access_token: 'polled-token',
+      refresh_token: 'polled-refresh',
+      expiry_date: Date.now() + 2 * 60 * 60 * 1000
+    });
+
+    await waitFor(() => authManager.credentials.access_token === 'polled-token');
+  });
+
+  test('should wait for the CLI lock before saving', async () => {
+    const release = await acquireFileLock(getLockPath(credentialsPath));
+    authManager.credentials.access_token = 'saved-token';
+
+    let saved = false;
+    const savePromise = authManager.saveCredentials().then(() => { saved = true; });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(saved, false);
+
+    await release();
+    await savePromise;
+
+    const onDisk = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+    assert.strictEqual(onDisk.access_token, 'saved-token');
+  });
+
+  test('should not overwrite a newer token set written by the CLI', async () => {
+    await writeLikeCli(credentialsPath, {
+      access_token: 'cli-token',
+      refresh_token: 'cli-refresh',
+      expiry_date: Date.now() + 2 * 60 * 60 * 1000
+    });
+
+    await authManager.saveCredentials();
+
+    const onDisk = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+    assert.strictEqual(onDisk.access_token, 'cli-token');
+    assert.strictEqual(authManager.credentials.access_token, 'cli-token');
+  });
+});
@@ -92,6 +92,61 @@ describe('ErrorHandler', () => {
     assert.strictEqual(responseData.error.type, 'rate_limit_exceeded');
   });
 
+  test('should only retry errors another provider might not hit', () => {
+    const errorHandler = new ErrorHandler(new Logger('error'));
+    const withStatus = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+    assert.strictEqual(errorHandler.isRetryableElsewhere(withStatus('Too many requests', 429)), true);
+    assert.strictEqual(errorHandler.isRetryableElsewhere(withStatus('Network error: Unable to connect', 503)), true);
+    assert.strictEqual(errorHandler.isRetryableElsewhere(withStatus('Bad gateway', 502)), true);
+    assert.strictEqual(errorHandler.isRetryableElsewhere(new Error('FATAL: Unable to obtain valid access token for qwen')), true);
+
+    assert.strictEqual(errorHandler.isRetryableElsewhere(withStatus('Invalid request: messages must be an array', 400)), false);
+    assert.strictEqual(errorHandler.isRetryableElsewhere(Object.assign(withStatus('Daily budget used', 429), { code: 'daily_token_budget_exceeded' })), false);
+    assert.strictEqual(errorHandler.isRetryableElsewhere(Object.assign(withStatus('Request cancelled', 499), { clientAborted: true })), false);
+    assert.strictEqual(errorHandler.isRetryableElsewhere(new Error('No provider available for model: x')), false);
+  });
+
+  test('should use the Anthropic error envelope on /v1/messages', () => {
+    const errorHandler = new ErrorHandler(new Logger('error'));
+    const createRes = () => {
+      const res = {
+        statusCode: 200,
+        status: (code) => {
+          res.statusCode = code;
+          return res;
+        },
+        set: () => res,
+        json: (data) => {
+          res.body = data;
+          return res;
+        }
+      };
+      return res;
+    };
+
+    const validation = createRes();
+    errorHandler.handleRequestError(new Error('Invalid request: max_tokens is required'), { path: '/v1/messages' }, validation);
+    assert.strictEqual(validation.statusCode, 400);
+    assert.strictEqual(validation.body.type, 'error');
+    assert.strictEqual(validation.body.error.type, 'invalid_request_error');
+    assert(validation.body.error.message.includes('max_tokens is required'));
+
+    const rateLimited = createRes();
+    errorHandler.handleRequestError(Object.assign(new Error('Too many requests'), { statusCode: 429 }), { path: '/v1/messages' }, rateLimited);
+    assert.strictEqual(rateLimited.statusCode, 429);
+    assert.strictEqual(rateLimited.body.error.type, 'rate_limit_error');
+
+    const upstream = createRes();
+    errorHandler.handleRequestError(Object.assign(new Error('Bad gateway'), { statusCode: 502 }), { path: '/v1/messages' }, upstream);
+    assert.deepStrictEqual(Object.keys(upstream.body), ['type', 'error']);
+    assert.strictEqual(upstream.body.error.type, 'api_error');
+
+    const openAI = createRes();
+    errorHandler.handleRequestError(new Error('Invalid request: messages must be an array'), { path: '/v1/chat/completions' }, openAI);
+    assert.strictEqual(openAI.body.error.type, 'validation_error');
+  });
+
   test('should create async handler wrapper', () => {
     const logger = new Logger();
     const errorHandler = new ErrorHandler(logger);
@@ -0,0 +1,182 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Logger } from '../src/logger.js';
+import { GeminiOAuthFlow } from '../src/auth/gemini-oauth-flow.js';
+import { generateCodeChallenge } from '../src/utils/pkce-utils.js';
+import { loginGemini } from '../src/cli.js';
+
+// Local stand-in for Google's token endpoint; the consent page is played by the test itself.
+// `state.codeChallenge` is taken from the authorization URL the flow built.
+function createGoogleTokenServer() {
+  const state = { tokenRequests: [], codeChallenge: null, omitRefreshToken: false };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      state.tokenRequests.push(params);
+      res.setHeader('Content-Type', 'application/json');
+
+      if (params.code !== 'auth-code-123' || generateCodeChallenge(params.code_verifier) !== state.codeChallenge) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'Bad code or PKCE verifier' }));
+        return;
+      }
+
+      res.end(JSON.stringify({
+        access_token: 'ya29.new-access-token',
+        refresh_token: state.omitRefreshToken ? undefined : '1//new-refresh-token',
+        scope: 'https://www.googleapis.com/auth/cloud-platform',
+        token_type: 'Bearer',
+        id_token: 'id-token',
+        expires_in: 3599
+      }));
+    });
+  });
+
+  return { server, state };
+}
+
+// Play the browser: follow Google's redirect back to the loopback listener
+async function approveInBrowser(tokenServer, authUrl, overrides = {}) {
+  const params = new URL(authUrl).searchParams;
+  tokenServer.state.codeChallenge = params.get('code_challenge');
+
+  const callback = new URL(params.get('redirect_uri'));
+  const query = { code: 'auth-code-123', state: params.get('state'), ...overrides };
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined) {
+      callback.searchParams.set(key, value);
+    }
+  }
+  return fetch(callback);
+}
+
+describe('Gemini OAuth loopback login', () => {
+  let tokenServer;
+  let flowOptions;
+  let tempDir;
+  const logger = new Logger('error');
+
+  beforeEach(async () => {
+    tokenServer = createGoogleTokenServer();
+    await new Promise(resolve => tokenServer.server.listen(0, '127.0.0.1', resolve));
+
+    flowOptions = {
+      clientId: 'test-client.apps.googleusercontent.com',
+      clientSecret: 'test-secret',
+      authUrl: 'https://accounts.example.test/o/oauth2/v2/auth',
+      tokenUrl: `http://127.0.0.1:${tokenServer.server.address().port}/token`
+    };
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-gemini-login-'));
+  });
+
+  afterEach(async () => {
+    tokenServer.server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should build a consent URL with PKCE, offline access and a loopback redirect', async () => {
+    const flow = new GeminiOAuthFlow(flowOptions, logger);
+    const session = await flow.start();
+
+    try {
+      const url = new URL(session.authUrl);
+      assert.strictEqual(url.origin + url.pathname, flowOptions.authUrl);
+      assert.strictEqual(url.searchParams.get('client_id'), flowOptions.clientId);
+      assert.strictEqual(url.searchParams.get('response_type'), 'code');
+      assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+      assert.strictEqual(url.searchParams.get('code_challenge'), generateCodeChallenge(session.codeVerifier));
+      assert.strictEqual(url.searchParams.get('access_type'), 'offline');
+      assert.strictEqual(url.searchParams.get('state'), session.state);
+      assert.match(url.searchParams.get('redirect_uri'), /^http:\/\/127\.0\.0\.1:\d+\/oauth2callback$/);
+      assert(url.searchParams.get('scope').includes('https://www.googleapis.com/auth/cloud-platform'));
+    } finally {
+      flow.close(session);
+    }
+  });
+
+  test('should require client credentials', () => {
+    assert.throws(
+      () => new GeminiOAuthFlow({ clientId: 'id' }, logger),
+      /PROVIDER_GEMINI_CLIENT_SECRET/
+    );
+  });
+
+  test('should write credentials in the Gemini CLI format from the CLI login', async () => {
+    // Directory does not exist yet, as on a machine without the Gemini CLI
+    const credentialsPath = path.join(tempDir, '.gemini', 'oauth_creds.json');
+    const output = [];
+    let callbackResponse;
+
+    const terminal = {
+      log: line => {
+        output.push(line);
+        const match = line.match(/https:\/\/accounts\.example\.test\S+/);
+        if (match) {
+          callbackResponse = approveInBrowser(tokenServer, match[0]);
+        }
+      }
+    };
+
+    await loginGemini({ ...flowOptions, credentialsPath }, logger, terminal);
+
+    assert.strictEqual((await callbackResponse).status, 200);
+
+    const saved = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+    assert.strictEqual(saved.access_token, 'ya29.new-access-token');
+    assert.strictEqual(saved.refresh_token, '1//new-refresh-token');
+    assert.strictEqual(saved.token_type, 'Bearer');
+    assert.strictEqual(saved.id_token, 'id-token');
+    assert(saved.expiry_date > Date.now() + 3500 * 1000);
+
+    const [tokenRequest] = tokenServer.state.tokenRequests;
+    assert.strictEqual(tokenRequest.grant_type, 'authorization_code');
+    assert.strictEqual(tokenRequest.client_secret, 'test-secret');
+    assert.match(tokenRequest.redirect_uri, /^http:\/\/127\.0\.0\.1:\d+\/oauth2callback$/);
+    assert(output.some(line => line.includes(credentialsPath)));
+  });
+
+  test('should reject a redirect with the wrong state without exchanging the code', async () => {
+    const flow = new GeminiOAuthFlow(flowOptions, logger);
+    const session = await flow.start();
+
+    const response = await approveInBrowser(tokenServer, session.authUrl, { state: 'forged' });
+    assert.strictEqual(response.status, 400);
+
+    await assert.rejects(flow.waitForCredentials(session), error => error.code === 'state_mismatch');
+    assert.strictEqual(tokenServer.state.tokenRequests.length, 0);
+  });
+
+  test('should fail when the user denies consent', async () => {
+    const flow = new GeminiOAuthFlow(flowOptions, logger);
+    const session = await flow.start();
+
+    await approveInBrowser(tokenServer, session.authUrl, { code: undefined, error: 'access_denied' });
+
+    await assert.rejects(flow.waitForCredentials(session), error => error.code === 'access_denied');
+  });
+
+  test('should fail when Google returns no refresh token', async () => {
+    tokenServer.state.omitRefreshToken = true;
+    const flow = new GeminiOAuthFlow(flowOptions, logger);
+    const session = await flow.start();
+
+    await approveInBrowser(tokenServer, session.authUrl);
+
+    await assert.rejects(flow.waitForCredentials(session), error => error.code === 'no_refresh_token');
+  });
+
+  test('should time out and close the listener when the browser never returns', async () => {
+    const flow = new GeminiOAuthFlow({ ...flowOptions, timeoutMs: 50 }, logger);
+    const session = await flow.start();
+
+    await assert.rejects(flow.waitForCredentials(session), error => error.code === 'timeout');
+    assert.strictEqual(session.server.listening, false);
+  });
+});
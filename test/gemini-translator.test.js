@@ -0,0 +1,332 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+import { GeminiTranslator } from '../src/translators/gemini-translator.js';
+
+// Golden translations: the full Gemini request body for representative Claude Code histories
+describe('GeminiTranslator request translation', () => {
+  const translator = new GeminiTranslator(new Logger('error'));
+
+  function translate(messages, extra = {}) {
+    return translator.translateOpenAIToProvider({ model: 'gemini/gemini-2.5-pro', messages, ...extra }).request;
+  }
+
+  test('should send system messages, including content blocks, as systemInstruction', () => {
+    const request = translate([
+      { role: 'system', content: 'You are Claude Code.' },
+      { role: 'system', content: [{ type: 'text', text: 'Follow the repo style.' }, { type: 'text', text: ' Be brief.' }] },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    assert.deepStrictEqual(request, {
+      systemInstruction: {
+        parts: [
+          { text: 'You are Claude Code.' },
+          { text: 'Follow the repo style. Be brief.' }
+        ]
+      },
+      contents: [
+        { role: 'user', parts: [{ text: 'Hi' }] }
+      ],
+      generationConfig: {}
+    });
+  });
+
+  test('should merge a mixed system/user/tool history into alternating turns', () => {
+    const request = translate([
+      { role: 'system', content: 'You are Claude Code.' },
+      { role: 'user', content: [{ type: 'text', text: '<context>repo</context>' }] },
+      { role: 'user', content: 'List two directories' },
+      {
+        role: 'assistant',
+        content: 'Listing both.',
+        tool_calls: [
+          { id: 'call_1', type: 'function', function: { name: 'ls', arguments: '{"path":"/a"}' } },
+          { id: 'call_2', type: 'function', function: { name: 'ls', arguments: '{"path":"/b"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'x.txt' },
+      { role: 'tool', tool_call_id: 'call_2', content: 'y.txt' },
+      { role: 'system', content: 'Reminder: do not edit files.' },
+      { role: 'user', content: 'Thanks' },
+      { role: 'assistant', content: 'Done.' },
+      { role: 'assistant', content: 'Anything else?' }
+    ], { temperature: 0.2, max_tokens: 512 });
+
+    assert.deepStrictEqual(request, {
+      systemInstruction: {
+        parts: [
+          { text: 'You are Claude Code.' },
+          { text: 'Reminder: do not edit files.' }
+        ]
+      },
+      contents: [
+        { role: 'user', parts: [{ text: '<context>repo</context>' }, { text: 'List two directories' }] },
+        {
+          role: 'model',
+          parts: [
+            { text: 'Listing both.' },
+            { functionCall: { name: 'ls', args: { path: '/a' } } },
+            { functionCall: { name: 'ls', args: { path: '/b' } } }
+          ]
+        },
+        {
+          role: 'user',
+          parts: [
+            { functionResponse: { name: 'ls', response: { content: 'x.txt' } } },
+            { functionResponse: { name: 'ls', response: { content: 'y.txt' } } },
+            { text: 'Thanks' }
+          ]
+        },
+        { role: 'model', parts: [{ text: 'Done.' }, { text: 'Anything else?' }] }
+      ],
+      generationConfig: { temperature: 0.2, maxOutputTokens: 512 }
+    });
+  });
+
+  test('should leave out systemInstruction when there is no system prompt', () => {
+    const request = translate([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' },
+      { role: 'user', content: 'Bye' }
+    ]);
+
+    assert.strictEqual('systemInstruction' in request, false);
+    assert.deepStrictEqual(request.contents.map(content => content.role), ['user', 'model', 'user']);
+  });
+
+  test('should resolve tool results to their function names and send JSON results as objects', () => {
+    const request = translate([
+      { role: 'user', content: 'Check the build' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'toolu_read', type: 'function', function: { name: 'read_file', arguments: '{"path":"package.json"}' } },
+          { id: 'toolu_run', type: 'function', function: { name: 'run_tests', arguments: '{}' } },
+          { id: 'toolu_glob', type: 'function', function: { name: 'glob', arguments: '{"pattern":"*.js"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'toolu_read', content: [{ type: 'text', text: '{not json' }] },
+      { role: 'tool', tool_call_id: 'toolu_run', content: ' {"passed": 12, "failed": 0} ' },
+      { role: 'tool', tool_call_id: 'toolu_glob', content: '["a.js","b.js"]' }
+    ]);
+
+    assert.deepStrictEqual(request.contents[2], {
+      role: 'user',
+      parts: [
+        { functionResponse: { name: 'read_file', response: { content: '{not json' } } },
+        { functionResponse: { name: 'run_tests', response: { passed: 12, failed: 0 } } },
+        { functionResponse: { name: 'glob', response: { content: ['a.js', 'b.js'] } } }
+      ]
+    });
+  });
+});
+
+describe('GeminiTranslator tool call ids', () => {
+  const translator = new GeminiTranslator(new Logger('error'));
+
+  const geminiResponse = {
+    responseId: 'resp-1',
+    candidates: [{
+      content: {
+        role: 'model',
+        parts: [
+          { text: 'Reading both.' },
+          { functionCall: { name: 'read_file', args: { path: 'a.js' } } },
+          { functionCall: { name: 'read_file', args: { path: 'b.js' } } }
+        ]
+      },
+      finishReason: 'STOP'
+    }]
+  };
+
+  test('should generate the same ids every time a response is translated', () => {
+    const first = translator.translateProviderToOpenAI(geminiResponse).choices[0].message.tool_calls;
+    const second = translator.translateProviderToOpenAI(structuredClone(geminiResponse)).choices[0].message.tool_calls;
+    const streamed = translator.translateStreamingGeminiToOpenAI(geminiResponse).choices[0].delta.tool_calls;
+
+    assert.match(first[0].id, /^call_[0-9a-f]{24}$/);
+    assert.notStrictEqual(first[0].id, first[1].id);
+    assert.deepStrictEqual(second, first);
+    assert.deepStrictEqual(streamed.map(toolCall => toolCall.id), first.map(toolCall => toolCall.id));
+
+    const other = translator.translateProviderToOpenAI({ ...geminiResponse, responseId: 'resp-2' }).choices[0].message.tool_calls;
+    assert.notStrictEqual(other[0].id, first[0].id);
+  });
+
+  test('should not repeat ids across turns when Gemini sends no response id', () => {
+    const { responseId, ...anonymous } = geminiResponse;
+    assert.strictEqual(responseId, 'resp-1');
+
+    const firstTurn = translator.translateProviderToOpenAI(anonymous).choices[0].message.tool_calls;
+    const secondTurn = translator.translateProviderToOpenAI(structuredClone(anonymous)).choices[0].message.tool_calls;
+    const streamed = translator.translateStreamingGeminiToOpenAI(structuredClone(anonymous)).choices[0].delta.tool_calls;
+
+    const ids = [...firstTurn, ...secondTurn, ...streamed].map(toolCall => toolCall.id);
+    assert.strictEqual(new Set(ids).size, 6);
+    ids.forEach(id => assert.match(id, /^call_[0-9a-f]{24}$/));
+  });
+
+  test('should keep Gemini ids and round-trip generated ids into functionResponse names', () => {
+    const withId = structuredClone(geminiResponse);
+    withId.candidates[0].content.parts[1].functionCall.id = 'gemini-call-7';
+    const message = translator.translateProviderToOpenAI(withId).choices[0].message;
+    assert.strictEqual(message.tool_calls[0].id, 'gemini-call-7');
+
+    const request = translator.translateOpenAIToProvider({
+      model: 'gemini/gemini-2.5-pro',
+      messages: [
+        { role: 'user', content: 'Read a.js and b.js' },
+        message,
+        ...message.tool_calls.map(toolCall => ({ role: 'tool', tool_call_id: toolCall.id, content: 'ok' }))
+      ]
+    }).request;
+
+    assert.deepStrictEqual(request.contents[2].parts.map(part => part.functionResponse.name), ['read_file', 'read_file']);
+  });
+});
+
+describe('GeminiTranslator multimodal content', () => {
+  const translator = new GeminiTranslator(new Logger('error'));
+
+  function translateUser(content) {
+    return translator.translateOpenAIToProvider({
+      model: 'gemini/gemini-2.5-flash',
+      messages: [{ role: 'user', content }]
+    }).request.contents[0].parts;
+  }
+
+  test('should send images, audio and PDFs as inlineData and file URIs as fileData', () => {
+    const parts = translateUser([
+      { type: 'text', text: 'Compare ' },
+      { type: 'text', text: 'these.' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+      { type: 'image_url', image_url: 'https://example.com/screens/after.webp' },
+      { type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'wav' } },
+      { type: 'file', file: { filename: 'spec.pdf', file_data: 'data:application/pdf;base64,JVBERi0=' } },
+      { type: 'file', file: { filename: 'notes.txt', file_data: 'aGVsbG8=' } },
+      { type: 'file', file: { file_id: 'https://generativelanguage.googleapis.com/v1beta/files/abc123' } }
+    ]);
+
+    assert.deepStrictEqual(parts, [
+      { text: 'Compare these.' },
+      { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } },
+      { fileData: { mimeType: 'image/webp', fileUri: 'https://example.com/screens/after.webp' } },
+      { inlineData: { mimeType: 'audio/wav', data: 'UklGRg==' } },
+      { inlineData: { mimeType: 'application/pdf', data: 'JVBERi0=' } },
+      { inlineData: { mimeType: 'text/plain', data: 'aGVsbG8=' } },
+      { fileData: { fileUri: 'https://generativelanguage.googleapis.com/v1beta/files/abc123' } }
+    ]);
+  });
+
+  test('should reject unsupported media with 400 validation errors', () => {
+    const rejects = (content, pattern) => assert.throws(() => translateUser(content), error => {
+      assert.strictEqual(error.statusCode, 400);
+      assert.match(error.message, pattern);
+      return true;
+    });
+
+    rejects([{ type: 'image_url', image_url: { url: 'data:image/gif;base64,R0lGOD==' } }], /image\/gif is not a supported image type for Gemini; use one of image\/png/);
+    rejects([{ type: 'input_audio', input_audio: { data: 'AAAA', format: 'm4a' } }], /unsupported input_audio format "m4a"/);
+    rejects([{ type: 'file', file: { file_id: 'file-abc' } }], /file parts need file\.file_data/);
+    rejects([{ type: 'image_url', image_url: { url: 'ftp://example.com/a.png' } }], /image_url must be a base64 data URL or an http\(s\) URL/);
+    assert.throws(
+      () => translator.validateOpenAIRequest({ messages: [{ role: 'user', content: [{ type: 'video_url', video_url: { url: 'x' } }] }] }),
+      /Invalid request: unsupported content part type "video_url" for Gemini/
+    );
+  });
+
+  test('should enforce the inline media size limit per file and per request', () => {
+    const limited = new GeminiTranslator(new Logger('error'));
+    limited.setMediaOptions({ maxBytes: 1024 });
+    const image = `data:image/jpeg;base64,${Buffer.alloc(600).toString('base64')}`;
+    const translateImages = count => limited.translateOpenAIToProvider({
+      model: 'gemini/gemini-2.5-flash',
+      messages: [{ role: 'user', content: Array.from({ length: count }, () => ({ type: 'image_url', image_url: { url: image } })) }]
+    });
+
+    assert.strictEqual(translateImages(1).request.contents[0].parts.length, 1);
+    assert.throws(() => translateImages(2), /Invalid request: images, audio and files add up to 2 KB, over the 1 KB media limit/);
+    assert.throws(
+      () => limited.translateOpenAIToProvider({
+        model: 'gemini/gemini-2.5-flash',
+        messages: [{ role: 'user', content: [{ type: 'file', file: { file_data: `data:application/pdf;base64,${Buffer.alloc(2048).toString('base64')}` } }] }]
+      }),
+      /application\/pdf file of 2 KB is larger than the 1 KB media limit/
+    );
+  });
+});
+
+describe('GeminiTranslator thinking', () => {
+  const translator = new GeminiTranslator(new Logger('error'));
+
+  function thinkingConfig(extra) {
+    return translator.translateOpenAIToProvider({
+      model: 'gemini/gemini-2.5-pro',
+      messages: [{ role: 'user', content: 'Plan the refactor' }],
+      ...extra
+    }).request.generationConfig.thinkingConfig;
+  }
+
+  test('should map reasoning_effort and thinking budgets to thinkingConfig', () => {
+    assert.strictEqual(thinkingConfig({}), undefined);
+    assert.deepStrictEqual(thinkingConfig({ reasoning_effort: 'minimal' }), { thinkingBudget: 512, includeThoughts: true });
+    assert.deepStrictEqual(thinkingConfig({ reasoning_effort: 'low' }), { thinkingBudget: 1024, includeThoughts: true });
+    assert.deepStrictEqual(thinkingConfig({ reasoning_effort: 'high' }), { thinkingBudget: 24576, includeThoughts: true });
+    assert.deepStrictEqual(thinkingConfig({ reasoning_effort: 'none' }), { thinkingBudget: 0, includeThoughts: false });
+    assert.deepStrictEqual(thinkingConfig({ thinking: 4000, reasoning_effort: 'low' }), { thinkingBudget: 4000, includeThoughts: true });
+    assert.deepStrictEqual(thinkingConfig({ thinking: { type: 'enabled', budget_tokens: 2048 } }), { thinkingBudget: 2048, includeThoughts: true });
+    assert.deepStrictEqual(thinkingConfig({ thinking: { type: 'disabled' } }), { thinkingBudget: 0, includeThoughts: false });
+    assert.deepStrictEqual(thinkingConfig({ thinking: true }), { thinkingBudget: -1, includeThoughts: true });
+
+    const messages = [{ role: 'user', content: 'hi' }];
+    assert.throws(() => translator.validateOpenAIRequest({ messages, reasoning_effort: 'extreme' }), /Invalid request: reasoning_effort must be one of none, minimal, low, medium, high/);
+    assert.throws(() => translator.validateOpenAIRequest({ messages, thinking: { type: 'enabled' } }), /Invalid request: thinking must be a token budget/);
+    assert.throws(() => translator.validateOpenAIRequest({ messages, thinking: -5 }), /Invalid request: thinking must be a token budget/);
+  });
+
+  test('should return thought parts as reasoning_content in responses and stream deltas', () => {
+    const geminiResponse = {
+      responseId: 'resp-think',
+      candidates: [{
+        content: {
+          role: 'model',
+          parts: [
+            { text: '**Planning**\nSplit the module first.', thought: true },
+            { text: 'Start by splitting the module.' }
+          ]
+        },
+        finishReason: 'STOP'
+      }],
+      usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 6, thoughtsTokenCount: 40, totalTokenCount: 56 }
+    };
+
+    const response = translator.translateProviderToOpenAI(geminiResponse);
+    assert.deepStrictEqual(response.choices[0].message, {
+      role: 'assistant',
+      content: 'Start by splitting the module.',
+      reasoning_content: '**Planning**\nSplit the module first.'
+    });
+    assert.deepStrictEqual(response.usage, {
+      prompt_tokens: 10,
+      completion_tokens: 46,
+      total_tokens: 56,
+      completion_tokens_details: { reasoning_tokens: 40 }
+    });
+
+    const thoughtChunk = translator.translateStreamingGeminiToOpenAI({
+      candidates: [{ content: { role: 'model', parts: [{ text: 'Considering options', thought: true }] } }]
+    });
+    assert.deepStrictEqual(thoughtChunk.choices[0].delta, { role: 'assistant', content: null, reasoning_content: 'Considering options' });
+
+    const answerChunk = translator.translateStreamingGeminiToOpenAI({
+      candidates: [{ content: { role: 'model', parts: [{ text: 'Done.' }] }, finishReason: 'STOP' }],
+      usageMetadata: geminiResponse.usageMetadata
+    });
+    assert.strictEqual('reasoning_content' in answerChunk.choices[0].delta, false);
+    assert.strictEqual(answerChunk.choices[0].delta.content, 'Done.');
+    assert.deepStrictEqual(answerChunk.usage, response.usage);
+    assert.strictEqual('usage' in thoughtChunk, false);
+  });
+});
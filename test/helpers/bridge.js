@@ -0,0 +1,46 @@
+import { once } from 'node:events';
+import { ClaudeBridge } from '../../src/server.js';
+
+/**
+ * Start a bridge on a free local port, configured through environment variables
+ * The built-in Qwen and Gemini providers are off unless `env` turns them on;
+ * the environment is restored by close()
+ * @param {Object} env - Settings, e.g. { PROVIDER_PLUGINS_DIR: dir }
+ * @returns {Promise<Object>} { bridge, baseURL, close }
+ */
+export async function startBridge(env) {
+  const settings = { PROVIDER_QWEN_ENABLED: 'false', PROVIDER_GEMINI_ENABLED: 'false', LOG_LEVEL: 'error', ...env };
+  const saved = Object.fromEntries(Object.keys(settings).map(key => [key, process.env[key]]));
+  Object.assign(process.env, settings);
+
+  const restore = () => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  };
+
+  const bridge = new ClaudeBridge();
+  try {
+    await bridge.initialize();
+  } catch (error) {
+    restore();
+    throw error;
+  }
+
+  const server = bridge.app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    bridge,
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      server.close();
+      restore();
+    }
+  };
+}
@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { Logger } from '../src/logger.js';
+import { RemoteMediaFetcher, parseDataUrl, guessMimeType, base64ByteLength } from '../src/utils/media-utils.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// Local stand-in for image hosts
+function createMediaServer() {
+  return http.createServer((req, res) => {
+    if (req.url === '/shot.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+      res.end(PNG);
+    } else if (req.url === '/untyped/photo.jpg') {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(PNG);
+    } else if (req.url === '/huge.png') {
+      // No Content-Length, so the limit has to be enforced while reading
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.write(Buffer.alloc(600));
+      res.end(Buffer.alloc(600));
+    } else if (req.url === '/slow.png') {
+      setTimeout(() => res.end(PNG), 500);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+}
+
+describe('Media utils', () => {
+  const logger = new Logger('error');
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = createMediaServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test('should parse data URLs, guess MIME types and size base64', () => {
+    assert.deepStrictEqual(parseDataUrl('data:Image/PNG;base64,iVBORw=='), { mimeType: 'image/png', data: 'iVBORw==' });
+    assert.deepStrictEqual(parseDataUrl('data:application/pdf;name=a.pdf;base64,JVBE'), { mimeType: 'application/pdf', data: 'JVBE' });
+    assert.strictEqual(parseDataUrl('data:text/plain,hello'), null);
+    assert.strictEqual(guessMimeType('https://example.com/a/photo.JPG?size=large'), 'image/jpeg');
+    assert.strictEqual(guessMimeType('report.pdf'), 'application/pdf');
+    assert.strictEqual(guessMimeType('https://example.com/image'), null);
+    assert.strictEqual(base64ByteLength(PNG.toString('base64')), PNG.length);
+  });
+
+  test('should fetch remote images with their content type or file extension', async () => {
+    const fetcher = new RemoteMediaFetcher({}, logger);
+
+    assert.deepStrictEqual(await fetcher.fetch(`${baseUrl}/shot.png`), { mimeType: 'image/png', data: PNG.toString('base64') });
+    assert.strictEqual((await fetcher.fetch(`${baseUrl}/untyped/photo.jpg`)).mimeType, 'image/jpeg');
+  });
+
+  test('should turn failed, oversized and slow downloads into 400s', async () => {
+    const fetcher = new RemoteMediaFetcher({ maxBytes: 1000, fetchTimeoutMs: 100 }, logger);
+
+    await assert.rejects(fetcher.fetch(`${baseUrl}/missing.png`), error => {
+      assert.strictEqual(error.statusCode, 400);
+      assert.match(error.message, /^Invalid request: could not fetch .*\/missing\.png: HTTP 404$/);
+      return true;
+    });
+    await assert.rejects(fetcher.fetch(`${baseUrl}/huge.png`), /huge\.png is larger than the 1 KB media limit/);
+    await assert.rejects(fetcher.fetch(`${baseUrl}/slow.png`), /timed out fetching .*slow\.png after 100ms/);
+  });
+
+  test('should inline remote image URLs only when fetching is on', async () => {
+    const request = {
+      model: 'gemini/gemini-2.5-flash',
+      messages: [
+        { role: 'system', content: 'Describe images.' },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: { url: `${baseUrl}/shot.png`, detail: 'high' } },
+            { type: 'image_url', image_url: 'data:image/webp;base64,UklGRg==' }
+          ]
+        }
+      ]
+    };
+
+    const inlined = await new RemoteMediaFetcher({}, logger).inlineRemoteImages(request);
+    assert.deepStrictEqual(inlined.messages[1].content[1], {
+      type: 'image_url',
+      image_url: { url: `data:image/png;base64,${PNG.toString('base64')}`, detail: 'high' }
+    });
+    assert.strictEqual(inlined.messages[1].content[2], request.messages[1].content[2]);
+    assert.strictEqual(request.messages[1].content[1].image_url.url, `${baseUrl}/shot.png`);
+
+    assert.strictEqual(await new RemoteMediaFetcher({ fetchRemote: false }, logger).inlineRemoteImages(request), request);
+  });
+});
@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+import { ModelRouter } from '../src/model-router.js';
+
+describe('ModelRouter', () => {
+  const logger = new Logger('error');
+  const providers = new Set(['qwen', 'gemini']);
+  const isProviderName = name => providers.has(name);
+
+  const aliases = [
+    'sonnet=qwen/qwen3-coder-plus',
+    'claude-*-haiku*=qwen/qwen3-coder-flash',
+    'opus=gemini/gemini-2.5-pro'
+  ];
+
+  function route(router, request) {
+    return router.route({ messages: [{ role: 'user', content: 'hi' }], ...request }, isProviderName);
+  }
+
+  test('should resolve aliases case-insensitively with wildcards', () => {
+    const router = new ModelRouter(aliases, [], [], logger);
+
+    assert.deepStrictEqual(route(router, { model: 'sonnet' }), { model: 'qwen/qwen3-coder-plus', reason: 'alias' });
+    assert.deepStrictEqual(route(router, { model: 'Claude-3-5-Haiku-20241022' }), { model: 'qwen/qwen3-coder-flash', reason: 'alias' });
+    assert.deepStrictEqual(route(router, { model: 'opus' }), { model: 'gemini/gemini-2.5-pro', reason: 'alias' });
+    assert.deepStrictEqual(route(router, { model: 'qwen3-coder-plus' }), { model: 'qwen3-coder-plus', reason: 'default' });
+    assert.strictEqual(router.resolveAlias('sonnet-4'), null);
+  });
+
+  test('should keep explicit provider prefixes even when a rule matches', () => {
+    const router = new ModelRouter(aliases, ['stream:gemini/gemini-2.5-flash'], [], logger);
+
+    assert.deepStrictEqual(route(router, { model: 'qwen/qwen3-coder-plus', stream: true }), { model: 'qwen/qwen3-coder-plus', reason: 'explicit' });
+    // A prefix that is not a provider is just part of the model name
+    assert.deepStrictEqual(route(router, { model: 'anthropic/claude', stream: true }), { model: 'gemini/gemini-2.5-flash', reason: 'rule' });
+  });
+
+  test('should apply the first matching rule before aliases', () => {
+    const router = new ModelRouter(aliases, [
+      'images&!tools:qwen/qwen-vl-max',
+      'tokens>1000:gemini/gemini-2.5-pro',
+      'model=*haiku*&tools:gemini/gemini-2.5-flash'
+    ], [], logger);
+
+    const image = { role: 'user', content: [{ type: 'text', text: 'what is this' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AA==' } }] };
+    const tools = [{ type: 'function', function: { name: 'ls', parameters: { type: 'object' } } }];
+
+    assert.strictEqual(route(router, { model: 'sonnet', messages: [image] }).model, 'qwen/qwen-vl-max');
+    assert.strictEqual(route(router, { model: 'sonnet', messages: [image], tools }).model, 'qwen/qwen3-coder-plus');
+    assert.strictEqual(route(router, { model: 'sonnet', messages: [{ role: 'user', content: 'x'.repeat(4004) }] }).model, 'gemini/gemini-2.5-pro');
+    assert.strictEqual(route(router, { model: 'sonnet', messages: [{ role: 'user', content: 'x'.repeat(4000) }] }).model, 'qwen/qwen3-coder-plus');
+    assert.deepStrictEqual(route(router, { model: 'claude-3-5-haiku', tools }), { model: 'gemini/gemini-2.5-flash', reason: 'rule' });
+  });
+
+  test('should pass over rules whose provider is unhealthy', () => {
+    const router = new ModelRouter(aliases, ['tokens>1000:gemini/gemini-2.5-pro', 'tokens>1000:qwen/qwen3-coder-plus'], [], logger);
+    const request = { model: 'opus', messages: [{ role: 'user', content: 'x'.repeat(8000) }] };
+    const geminiDown = name => name !== 'gemini';
+
+    assert.deepStrictEqual(router.route(request, isProviderName), { model: 'gemini/gemini-2.5-pro', reason: 'rule' });
+    assert.deepStrictEqual(router.route(request, isProviderName, geminiDown), { model: 'qwen/qwen3-coder-plus', reason: 'rule' });
+    // With no healthy rule target left the alias applies as before
+    assert.deepStrictEqual(router.route(request, isProviderName, () => false), { model: 'gemini/gemini-2.5-pro', reason: 'alias' });
+  });
+
+  test('should estimate tokens from message text, tool call arguments and tool definitions', () => {
+    const traits = ModelRouter.getRequestTraits({
+      model: 'sonnet',
+      messages: [
+        { role: 'user', content: 'abcd' },
+        { role: 'assistant', content: null, tool_calls: [{ id: '1', type: 'function', function: { name: 'ls', arguments: '{"p":"/"}' } }] }
+      ],
+      tools: [{ type: 'function', function: { name: 'ls' } }]
+    });
+
+    const toolsLength = JSON.stringify([{ type: 'function', function: { name: 'ls' } }]).length;
+    assert.strictEqual(traits.tokens, Math.ceil((4 + 9 + toolsLength) / 4));
+    assert.strictEqual(traits.tools, true);
+    assert.strictEqual(traits.images, false);
+    assert.strictEqual(traits.stream, false);
+  });
+
+  test('should reject malformed entries and report unreachable targets', () => {
+    assert.throws(() => new ModelRouter(['sonnet'], [], [], logger), /Invalid MODEL_ALIASES entry "sonnet": expected "alias=provider\/model"/);
+    assert.throws(() => new ModelRouter(['sonnet=qwen3-coder-plus'], [], [], logger), /target must be "provider\/model"/);
+    assert.throws(() => new ModelRouter([], ['audio:qwen/qwen-omni'], [], logger), /Invalid MODEL_ROUTING_RULES condition "audio"/);
+    assert.throws(() => new ModelRouter([], ['tokens>=5:qwen/x'], [], logger), /Invalid MODEL_ROUTING_RULES condition "tokens>=5"/);
+    assert.throws(() => new ModelRouter([], [], ['qwen/qwen3-coder-plus'], logger), /Invalid MODEL_FALLBACKS entry/);
+
+    const router = new ModelRouter(
+      ['opus=anthropic/claude-opus-4-1', ...aliases],
+      ['tools:local/deepseek'],
+      ['qwen/*->gemini/gemini-2.5-pro->openrouter/qwen/qwen3-coder'],
+      logger
+    );
+    assert.deepStrictEqual(router.findUnknownTargets(isProviderName), ['anthropic/claude-opus-4-1', 'local/deepseek', 'openrouter/qwen/qwen3-coder']);
+  });
+
+  test('should find fallback chains by routed model first, then by requested name', () => {
+    const router = new ModelRouter(aliases, [], [
+      'qwen/qwen3-coder-plus->gemini/gemini-2.5-pro->anthropic/claude-sonnet-4-5',
+      'opus->anthropic/claude-opus-4-1',
+      'gemini/*->qwen/qwen3-coder-plus'
+    ], logger);
+
+    assert.deepStrictEqual(router.getFallbacks(['qwen/qwen3-coder-plus', 'sonnet']), ['gemini/gemini-2.5-pro', 'anthropic/claude-sonnet-4-5']);
+    assert.deepStrictEqual(router.getFallbacks(['gemini/gemini-2.5-pro', 'opus']), ['qwen/qwen3-coder-plus']);
+    assert.deepStrictEqual(router.getFallbacks(['anthropic/claude-haiku-4-5', 'opus']), ['anthropic/claude-opus-4-1']);
+    assert.deepStrictEqual(router.getFallbacks(['qwen/qwen3-coder-flash', 'haiku']), []);
+  });
+});
@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+import { ConfigManager } from '../src/config-manager.js';
+import { QwenProvider } from '../src/providers/qwen-provider.js';
+import { getModelMetadata } from '../src/providers/model-catalog.js';
+
+describe('Model listing', () => {
+  test('should parse comma-separated model lists', () => {
+    const configManager = new ConfigManager(new Logger('error'));
+
+    assert.deepStrictEqual(configManager.parseListValue('a, b,,c '), ['a', 'b', 'c']);
+    assert.deepStrictEqual(configManager.parseListValue(''), []);
+    assert.deepStrictEqual(configManager.parseListValue(undefined), []);
+  });
+
+  test('should list the default model first and de-duplicate extra models', () => {
+    const logger = new Logger('error');
+    const provider = new QwenProvider({
+      name: 'qwen',
+      clientId: 'test-client',
+      credentialsPath: '/tmp/does-not-exist.json',
+      defaultModel: 'qwen3-coder-plus',
+      models: ['qwen3-coder-flash', 'qwen3-coder-plus', 'custom-model']
+    }, logger);
+
+    const models = provider.listModels();
+
+    assert.deepStrictEqual(models.map(model => model.id), ['qwen3-coder-plus', 'qwen3-coder-flash', 'custom-model']);
+    assert.strictEqual(models[0].contextWindow, 1048576);
+    assert.strictEqual(models[0].capabilities.tools, true);
+    assert.strictEqual(models[2].contextWindow, null);
+  });
+
+  test('should report capabilities from the catalog', () => {
+    assert.strictEqual(getModelMetadata('gemini', 'gemini-2.5-pro').capabilities.vision, true);
+    assert.strictEqual(getModelMetadata('gemini', 'gemini-2.5-pro').capabilities.reasoning, true);
+    assert.strictEqual(getModelMetadata('qwen', 'qwen3-coder-plus').capabilities.vision, false);
+    assert.strictEqual(getModelMetadata('unknown', 'model').capabilities.streaming, true);
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { Logger } from '../src/logger.js';
+import { ConfigManager } from '../src/config-manager.js';
+import { ProviderFactory } from '../src/providers/provider-factory.js';
+
+// Local stand-in for llama.cpp / vLLM / OpenRouter
+function createUpstreamServer() {
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      calls.push({ url: req.url, headers: req.headers, body: request });
+
+      if (request.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ id: 'chatcmpl-2', model: request.model, choices: [{ index: 0, delta: { role: 'assistant', content: 'stream' } }] })}\n\n`);
+        res.write(`data: ${JSON.stringify({ id: 'chatcmpl-2', model: request.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 1,
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: `hello from ${request.model}` }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 }
+      }));
+    });
+  });
+
+  return { server, calls };
+}
+
+describe('OpenAI-compatible provider', () => {
+  const logger = new Logger('error');
+  let upstream;
+  let baseURL;
+
+  beforeEach(async () => {
+    upstream = createUpstreamServer();
+    await new Promise(resolve => upstream.server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${upstream.server.address().port}/v1`;
+  });
+
+  afterEach(() => {
+    upstream.server.close();
+  });
+
+  async function complete(provider, request) {
+    const accessToken = await provider.getValidAccessToken();
+    const providerRequest = provider.translateRequest(request);
+    return provider.forwardRequest(providerRequest, accessToken);
+  }
+
+  test('should forward to a keyless local server with the prefix stripped', async () => {
+    const provider = ProviderFactory.createProvider('local', {
+      type: 'openai-compatible',
+      apiBaseUrl: baseURL,
+      defaultModel: 'deepseek-coder'
+    }, logger);
+    await provider.initialize();
+
+    const response = await complete(provider, { model: 'local/deepseek-coder', messages: [{ role: 'user', content: 'hi' }] });
+
+    assert.strictEqual(provider.translateResponse(response).choices[0].message.content, 'hello from deepseek-coder');
+    assert.strictEqual(upstream.calls[0].url, '/v1/chat/completions');
+    assert.strictEqual(upstream.calls[0].headers.authorization, undefined);
+    assert.strictEqual(provider.requiresAccessToken(), false);
+    assert.deepStrictEqual(provider.getHealth().accounts, []);
+  });
+
+  test('should keep slashes in upstream model ids and send the key and header overrides', async () => {
+    const provider = ProviderFactory.createProvider('openrouter', {
+      type: 'openai-compatible',
+      apiBaseUrl: baseURL,
+      apiKey: 'sk-or-test-1234',
+      headers: { 'HTTP-Referer': 'https://example.com', 'User-Agent': 'custom-agent' }
+    }, logger);
+    await provider.initialize();
+
+    await complete(provider, { model: 'openrouter/anthropic/claude-3.5-sonnet', messages: [{ role: 'user', content: 'hi' }] });
+
+    const [call] = upstream.calls;
+    assert.strictEqual(call.body.model, 'anthropic/claude-3.5-sonnet');
+    assert.strictEqual(call.headers.authorization, 'Bearer sk-or-test-1234');
+    assert.strictEqual(call.headers['http-referer'], 'https://example.com');
+    assert.strictEqual(call.headers['user-agent'], 'custom-agent');
+
+    provider.shutdown();
+  });
+
+  test('should stream chat.completion chunks', async () => {
+    const provider = ProviderFactory.createProvider('local', { type: 'openai-compatible', apiBaseUrl: baseURL }, logger);
+    await provider.initialize();
+
+    const response = await complete(provider, { model: 'local/qwen2.5-coder', messages: [{ role: 'user', content: 'hi' }], stream: true });
+
+    const chunks = [];
+    for await (const chunk of provider.streamResponse(response)) {
+      chunks.push(chunk);
+    }
+
+    assert.strictEqual(chunks.length, 2);
+    assert.strictEqual(chunks[0].choices[0].delta.content, 'stream');
+    assert.strictEqual(chunks[1].choices[0].finish_reason, 'stop');
+  });
+
+  test('should report unsupported provider types by name', () => {
+    assert.throws(
+      () => ProviderFactory.createProvider('local', { type: 'grpc' }, logger),
+      /Unsupported provider type 'grpc' for provider local\. Supported types: qwen, gemini, anthropic, openai-compatible/
+    );
+    assert.throws(
+      () => ProviderFactory.createProvider('local', { type: 'openai-compatible' }, logger),
+      /PROVIDER_LOCAL_API_BASE_URL/
+    );
+  });
+});
+
+describe('ConfigManager OpenAI-compatible providers', () => {
+  const logger = new Logger('error');
+  const env = {
+    OPENAI_COMPATIBLE_PROVIDERS: 'local, openrouter',
+    PROVIDER_LOCAL_API_BASE_URL: 'http://localhost:8080/v1',
+    PROVIDER_LOCAL_MODELS: 'deepseek-coder,qwen2.5-coder',
+    PROVIDER_OPENROUTER_API_BASE_URL: 'https://openrouter.ai/api/v1',
+    PROVIDER_OPENROUTER_API_KEY: 'sk-or-test',
+    PROVIDER_OPENROUTER_HEADERS: 'HTTP-Referer: https://example.com, X-Title: Claude Bridge'
+  };
+  let saved;
+
+  beforeEach(() => {
+    saved = {};
+    for (const [key, value] of Object.entries(env)) {
+      saved[key] = process.env[key];
+      process.env[key] = value;
+    }
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  test('should read each named provider from its PROVIDER_<NAME>_* settings', () => {
+    const configs = new ConfigManager(logger).buildOpenAICompatibleConfigs({ qwen: {}, gemini: {} });
+
+    assert.deepStrictEqual(Object.keys(configs), ['local', 'openrouter']);
+    assert.strictEqual(configs.local.type, 'openai-compatible');
+    assert.strictEqual(configs.local.apiBaseUrl, 'http://localhost:8080/v1');
+    assert.strictEqual(configs.local.apiKey, null);
+    assert.deepStrictEqual(configs.local.models, ['deepseek-coder', 'qwen2.5-coder']);
+    assert.strictEqual(configs.openrouter.apiKey, 'sk-or-test');
+    assert.deepStrictEqual(configs.openrouter.headers, { 'HTTP-Referer': 'https://example.com', 'X-Title': 'Claude Bridge' });
+  });
+
+  test('should reject names that clash with built-in providers', () => {
+    process.env.OPENAI_COMPATIBLE_PROVIDERS = 'qwen';
+
+    assert.throws(
+      () => new ConfigManager(logger).buildOpenAICompatibleConfigs({ qwen: {}, gemini: {} }),
+      /Invalid OPENAI_COMPATIBLE_PROVIDERS entry "qwen": the name is already in use/
+    );
+  });
+});
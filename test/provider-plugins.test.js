@@ -0,0 +1,184 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Logger } from '../src/logger.js';
+import { ConfigManager } from '../src/config-manager.js';
+import { BaseProvider } from '../src/providers/base-provider.js';
+import { ProviderFactory } from '../src/providers/provider-factory.js';
+import { ProviderPluginLoader } from '../src/providers/plugin-loader.js';
+import { startBridge } from './helpers/bridge.js';
+
+const baseProviderUrl = pathToFileURL(path.resolve('src/providers/base-provider.js')).href;
+
+// Echoes the last user message back; enough to exercise the plugin contract end to end
+const echoPluginSource = `
+import { BaseProvider } from '${baseProviderUrl}';
+
+class EchoProvider extends BaseProvider {
+  async initialize() {}
+  async getValidAccessToken() { return this.config.apiKey; }
+  translateRequest(request) { return { text: request.messages.at(-1).content }; }
+  translateResponse(response) { return { choices: [{ message: { role: 'assistant', content: response.text } }] }; }
+  async forwardRequest(request, accessToken) { return { text: this.config.greeting + ' ' + request.text + ' ' + accessToken }; }
+  async *streamResponse(response) {
+    for (const word of response.text.split(' ')) {
+      yield { id: 'echo-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: word }, finish_reason: null }] };
+    }
+  }
+}
+
+export default {
+  name: 'echo',
+  Provider: EchoProvider,
+  configSchema: {
+    apiKey: { type: 'string', required: true, secret: true },
+    greeting: { type: 'string', default: 'echo:' },
+    maxRetries: { type: 'number', default: 2 }
+  }
+};
+`;
+
+describe('Provider plugins', () => {
+  const logger = new Logger('error');
+  let pluginsDir;
+
+  before(async () => {
+    pluginsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-plugins-'));
+    await fs.writeFile(path.join(pluginsDir, 'echo.js'), echoPluginSource);
+    await fs.writeFile(path.join(pluginsDir, 'README.md'), 'not a plugin');
+  });
+
+  after(async () => {
+    await fs.rm(pluginsDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    ProviderFactory.unregisterPlugin('echo');
+    delete process.env.PROVIDER_ECHO_API_KEY;
+    delete process.env.PROVIDER_ECHO_MAX_RETRIES;
+    delete process.env.PROVIDER_ECHO_MODELS;
+  });
+
+  test('should load a plugin directory, read PROVIDER_<NAME>_* and create the provider', async () => {
+    process.env.PROVIDER_ECHO_API_KEY = 'echo-key';
+    process.env.PROVIDER_ECHO_MAX_RETRIES = '5';
+    process.env.PROVIDER_ECHO_MODELS = 'echo-small,echo-large';
+
+    const plugins = await new ProviderPluginLoader(logger).load({ directory: pluginsDir });
+    assert.deepStrictEqual(plugins.map(plugin => plugin.name), ['echo']);
+
+    const configManager = new ConfigManager(logger);
+    configManager.addPluginProvider(plugins[0]);
+    ProviderFactory.registerPlugin(plugins[0]);
+
+    const config = configManager.providerConfigs.echo;
+    assert.deepStrictEqual(config, {
+      name: 'echo',
+      type: 'echo',
+      enabled: true,
+      defaultModel: null,
+      models: ['echo-small', 'echo-large'],
+      apiKey: 'echo-key',
+      greeting: 'echo:',
+      maxRetries: 5
+    });
+    assert(ProviderFactory.getSupportedProviders().includes('echo'));
+
+    const provider = ProviderFactory.createProvider('echo', config, logger);
+    const response = await provider.forwardRequest(provider.translateRequest({ messages: [{ role: 'user', content: 'hi' }] }), await provider.getValidAccessToken());
+    assert.strictEqual(provider.translateResponse(response).choices[0].message.content, 'echo: hi echo-key');
+    assert.deepStrictEqual(provider.listModels().map(model => model.id), ['echo-small', 'echo-large']);
+    assert.strictEqual(provider.getName(), 'echo');
+  });
+
+  test('should enforce required settings and redact secret ones', async () => {
+    const [plugin] = await new ProviderPluginLoader(logger).load({ directory: pluginsDir });
+    const configManager = new ConfigManager(logger);
+
+    assert.throws(() => configManager.buildPluginConfig(plugin), /Provider plugin echo requires PROVIDER_ECHO_API_KEY/);
+
+    process.env.PROVIDER_ECHO_API_KEY = 'echo-key';
+    configManager.addPluginProvider(plugin);
+    configManager.config = { BRIDGE_API_KEYS: [] };
+    configManager.configLoaded = true;
+    assert.strictEqual(configManager.dumpConfig().providerConfigs.echo.apiKey, '[REDACTED]');
+  });
+
+  test('should reject modules that break the plugin contract', () => {
+    const loader = new ProviderPluginLoader(logger);
+
+    assert.throws(() => loader.validatePlugin({ name: 'Bad Name', Provider: class {} }, 'bad.js'), /name must use lowercase letters/);
+    assert.throws(() => loader.validatePlugin({ name: 'plain', Provider: class {} }, 'plain.js'), /Provider must be a BaseProvider subclass/);
+    assert.throws(() => loader.validatePlugin({ name: 'base', Provider: BaseProvider }, 'base.js'), /Provider must be a BaseProvider subclass/);
+
+    // A class with the right methods but not extending BaseProvider would lack what the server calls
+    const lookalike = class {
+      async initialize() {}
+      async getValidAccessToken() {}
+      translateRequest() {}
+      translateResponse() {}
+      async forwardRequest() {}
+    };
+    assert.throws(() => loader.validatePlugin({ name: 'lookalike', Provider: lookalike }, 'lookalike.js'), /Provider must be a BaseProvider subclass/);
+
+    const partial = class extends BaseProvider {
+      async initialize() {}
+      async getValidAccessToken() {}
+      translateRequest() {}
+    };
+    assert.throws(() => loader.validatePlugin({ name: 'partial', Provider: partial }, 'partial.js'), /Provider must implement translateResponse, forwardRequest/);
+
+    const complete = class extends partial {
+      translateResponse() {}
+      async forwardRequest() {}
+    };
+    assert.throws(
+      () => loader.validatePlugin({ name: 'typed', Provider: complete, configSchema: { url: { type: 'url' } } }, 'typed.js'),
+      /configSchema\.url\.type must be one of: string, number, boolean, list/
+    );
+  });
+
+  test('should serve /health, /v1/models and streamed chats through a plugin provider', async () => {
+    const { baseURL, close } = await startBridge({
+      PROVIDER_PLUGINS_DIR: pluginsDir,
+      PROVIDER_ECHO_API_KEY: 'echo-key',
+      PROVIDER_ECHO_MODELS: 'echo-small'
+    });
+
+    try {
+      const health = await (await fetch(`${baseURL}/health`)).json();
+      assert.deepStrictEqual(health.providers, ['echo']);
+      assert.deepStrictEqual(health.accounts, { echo: [] });
+      assert.strictEqual(health.circuits.echo.state, 'closed');
+
+      const models = await (await fetch(`${baseURL}/v1/models`)).json();
+      assert.deepStrictEqual(models.data.map(model => model.id), ['echo/echo-small']);
+
+      const response = await fetch(`${baseURL}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'echo/echo-small', stream: true, messages: [{ role: 'user', content: 'hi' }] })
+      });
+      assert.strictEqual(response.status, 200);
+
+      const events = (await response.text()).split('\n\n').filter(Boolean).map(event => event.slice('data: '.length));
+      assert.strictEqual(events.pop(), '[DONE]');
+      assert.deepStrictEqual(events.map(event => JSON.parse(event).choices[0].delta.content), ['echo:', 'hi', 'echo-key']);
+    } finally {
+      close();
+    }
+  });
+
+  test('should not let plugins replace built-in provider types', async () => {
+    const [plugin] = await new ProviderPluginLoader(logger).load({ directory: pluginsDir });
+
+    assert.throws(() => ProviderFactory.registerPlugin({ ...plugin, name: 'gemini' }), /clashes with an existing provider type/);
+    await assert.rejects(
+      new ProviderPluginLoader(logger).load({ directory: path.join(pluginsDir, 'missing') }),
+      /Cannot read PROVIDER_PLUGINS_DIR/
+    );
+  });
+});
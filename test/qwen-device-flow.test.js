@@ -0,0 +1,205 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Logger } from '../src/logger.js';
+import { QwenDeviceFlow, QwenDeviceLoginSessions } from '../src/auth/qwen-device-flow.js';
+import { generateCodeChallenge } from '../src/utils/pkce-utils.js';
+import { loginQwen } from '../src/cli.js';
+
+// Local stand-in for chat.qwen.ai's device code and token endpoints.
+// `state.pollResponses` lists the token endpoint's answers before it issues a token.
+function createQwenOAuthServer() {
+  const state = { deviceRequests: [], tokenRequests: [], pollResponses: [], codeChallenge: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/device/code') {
+        state.deviceRequests.push(params);
+        state.codeChallenge = params.code_challenge;
+        res.end(JSON.stringify({
+          device_code: 'device-123',
+          user_code: 'ABCD-EFGH',
+          verification_uri: 'https://chat.qwen.ai/authorize',
+          verification_uri_complete: 'https://chat.qwen.ai/authorize?user_code=ABCD-EFGH',
+          expires_in: 600
+        }));
+        return;
+      }
+
+      state.tokenRequests.push(params);
+      const next = state.pollResponses.shift();
+      if (next) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: next }));
+        return;
+      }
+
+      // The verifier must match the challenge sent with the device code request
+      if (generateCodeChallenge(params.code_verifier) !== state.codeChallenge) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'PKCE verification failed' }));
+        return;
+      }
+
+      res.end(JSON.stringify({
+        access_token: 'new-access-token',
+        refresh_token: 'new-refresh-token',
+        token_type: 'Bearer',
+        resource_url: 'portal.qwen.ai',
+        expires_in: 21600
+      }));
+    });
+  });
+
+  return { server, state };
+}
+
+describe('Qwen device authorization login', () => {
+  let oauthServer;
+  let flowOptions;
+  let tempDir;
+  const logger = new Logger('error');
+
+  beforeEach(async () => {
+    oauthServer = createQwenOAuthServer();
+    await new Promise(resolve => oauthServer.server.listen(0, '127.0.0.1', resolve));
+    const baseURL = `http://127.0.0.1:${oauthServer.server.address().port}`;
+
+    flowOptions = {
+      clientId: 'test-client',
+      deviceCodeUrl: `${baseURL}/device/code`,
+      tokenUrl: `${baseURL}/token`,
+      pollIntervalMs: 10
+    };
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-device-'));
+  });
+
+  afterEach(async () => {
+    oauthServer.server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should request a device code with a PKCE challenge', async () => {
+    const flow = new QwenDeviceFlow(flowOptions, logger);
+    const session = await flow.requestDeviceCode();
+
+    const [request] = oauthServer.state.deviceRequests;
+    assert.strictEqual(request.client_id, 'test-client');
+    assert.strictEqual(request.scope, 'openid profile email model.completion');
+    assert.strictEqual(request.code_challenge_method, 'S256');
+    assert.strictEqual(request.code_challenge, generateCodeChallenge(session.codeVerifier));
+    assert.strictEqual(session.userCode, 'ABCD-EFGH');
+  });
+
+  test('should keep polling through authorization_pending and slow_down', async () => {
+    oauthServer.state.pollResponses = ['authorization_pending', 'slow_down'];
+    const flow = new QwenDeviceFlow(flowOptions, logger);
+    const session = await flow.requestDeviceCode();
+
+    assert.deepStrictEqual(await flow.pollToken(session), { status: 'pending' });
+    assert.deepStrictEqual(await flow.pollToken(session), { status: 'pending' });
+    assert.strictEqual(session.intervalMs, 15);
+
+    const result = await flow.pollToken(session);
+    assert.strictEqual(result.status, 'complete');
+    assert.strictEqual(result.credentials.access_token, 'new-access-token');
+
+    const tokenRequest = oauthServer.state.tokenRequests[0];
+    assert.strictEqual(tokenRequest.grant_type, 'urn:ietf:params:oauth:grant-type:device_code');
+    assert.strictEqual(tokenRequest.device_code, 'device-123');
+  });
+
+  test('should fail when the user denies the login', async () => {
+    oauthServer.state.pollResponses = ['access_denied'];
+    const flow = new QwenDeviceFlow(flowOptions, logger);
+    const session = await flow.requestDeviceCode();
+
+    await assert.rejects(flow.pollToken(session), error => error.code === 'access_denied');
+  });
+
+  test('should write credentials in the qwen-code format from the CLI login', async () => {
+    oauthServer.state.pollResponses = ['authorization_pending'];
+    // Directory does not exist yet, as on a machine without qwen-code
+    const credentialsPath = path.join(tempDir, '.qwen', 'oauth_creds.json');
+    const output = [];
+
+    await loginQwen({ ...flowOptions, credentialsPath }, logger, { log: line => output.push(line) });
+
+    const saved = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+    assert.strictEqual(saved.access_token, 'new-access-token');
+    assert.strictEqual(saved.refresh_token, 'new-refresh-token');
+    assert.strictEqual(saved.token_type, 'Bearer');
+    assert.strictEqual(saved.resource_url, 'portal.qwen.ai');
+    assert(saved.expiry_date > Date.now() + 21000 * 1000);
+
+    assert(output.some(line => line.includes('ABCD-EFGH')));
+    assert(output.some(line => line.includes('https://chat.qwen.ai/authorize?user_code=ABCD-EFGH')));
+  });
+
+  test('should run start/poll sessions without exposing the device code', async () => {
+    oauthServer.state.pollResponses = ['authorization_pending'];
+    const completed = [];
+    const sessions = new QwenDeviceLoginSessions(
+      new QwenDeviceFlow({ ...flowOptions, pollIntervalMs: 200 }, logger),
+      logger,
+      async (credentialsPath, credentials) => completed.push({ credentialsPath, credentials })
+    );
+
+    const started = await sessions.start('/tmp/account/oauth_creds.json');
+    assert(started.session_id);
+    assert.strictEqual(started.user_code, 'ABCD-EFGH');
+    assert(!JSON.stringify(started).includes('device-123'));
+
+    assert.strictEqual((await sessions.poll(started.session_id)).status, 'pending');
+
+    // Polling again within the interval does not hit the token endpoint
+    assert.strictEqual((await sessions.poll(started.session_id)).status, 'pending');
+    assert.strictEqual(oauthServer.state.tokenRequests.length, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    const result = await sessions.poll(started.session_id);
+    assert.deepStrictEqual(result, { status: 'complete' });
+    assert.strictEqual(completed.length, 1);
+    assert.strictEqual(completed[0].credentials.access_token, 'new-access-token');
+
+    // Completed sessions keep reporting success without polling again
+    assert.strictEqual((await sessions.poll(started.session_id)).status, 'complete');
+    assert.strictEqual(oauthServer.state.tokenRequests.length, 2);
+    assert.strictEqual(await sessions.poll('unknown-session'), null);
+  });
+
+  test('should keep a session pending after a transient token endpoint error', async () => {
+    oauthServer.state.pollResponses = ['server_error'];
+    const sessions = new QwenDeviceLoginSessions(
+      new QwenDeviceFlow({ ...flowOptions, pollIntervalMs: 50 }, logger),
+      logger,
+      async () => {}
+    );
+
+    const started = await sessions.start('/tmp/account/oauth_creds.json');
+    assert.strictEqual((await sessions.poll(started.session_id)).status, 'pending');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepStrictEqual(await sessions.poll(started.session_id), { status: 'complete' });
+  });
+
+  test('should report a denied session as failed and forget it', async () => {
+    oauthServer.state.pollResponses = ['access_denied'];
+    const sessions = new QwenDeviceLoginSessions(new QwenDeviceFlow(flowOptions, logger), logger, async () => {});
+
+    const started = await sessions.start('/tmp/account/oauth_creds.json');
+    const result = await sessions.poll(started.session_id);
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.error.code, 'access_denied');
+    assert.strictEqual(await sessions.poll(started.session_id), null);
+  });
+});
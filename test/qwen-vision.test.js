@@ -0,0 +1,101 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { Logger } from '../src/logger.js';
+import { QwenProvider } from '../src/providers/qwen-provider.js';
+import { QwenTranslator } from '../src/translators/qwen-translator.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+function imageRequest(model, url = 'data:image/png;base64,iVBORw0KGgo=') {
+  return {
+    model,
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'What is on screen?' }, { type: 'image_url', image_url: { url } }] }]
+  };
+}
+
+describe('Qwen vision requests', () => {
+  const logger = new Logger('error');
+  let server;
+  let baseUrl;
+
+  function createProvider(config = {}) {
+    return new QwenProvider({ name: 'qwen', clientId: 'test-client', credentialsPath: '/tmp/none.json', ...config }, logger);
+  }
+
+  before(async () => {
+    // Local stand-in for an image host
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(PNG);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  test('should validate image_url parts', () => {
+    const translator = new QwenTranslator(logger);
+    translator.setMediaOptions({ maxBytes: 1024 });
+    const validate = content => translator.validateOpenAIRequest({ messages: [{ role: 'user', content }] });
+
+    assert.strictEqual(validate([{ type: 'text', text: 'hi' }, { type: 'image_url', image_url: 'https://example.com/a.png' }]), true);
+    assert.throws(() => validate([]), /Invalid request: content arrays cannot be empty/);
+    assert.throws(() => validate(['hi']), /content parts must be objects with a type/);
+    assert.throws(() => validate([{ type: 'image_url', image_url: {} }]), /image_url parts need an image_url\.url/);
+    assert.throws(() => validate([{ type: 'image_url', image_url: { url: 'data:text/plain;base64,aGk=' } }]), /data URLs must be base64-encoded images/);
+    assert.throws(() => validate([{ type: 'image_url', image_url: { url: 'file:///tmp/a.png' } }]), /must be a base64 data URL or an http\(s\) URL/);
+    assert.throws(
+      () => validate([{ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${Buffer.alloc(2048).toString('base64')}` } }]),
+      /image\/jpeg image of 2 KB is larger than the 1 KB image limit/
+    );
+  });
+
+  test('should switch image requests on text-only models to the vision model', async () => {
+    const provider = createProvider({ defaultModel: 'qwen3-coder-plus' });
+
+    const upgraded = await provider.prepareRequest(imageRequest('qwen/qwen3-coder-plus'));
+    assert.strictEqual(upgraded.model, 'vision-model');
+    assert.strictEqual(provider.translateRequest(upgraded).model, 'vision-model');
+    assert.strictEqual((await provider.prepareRequest(imageRequest(undefined))).model, 'vision-model');
+
+    for (const model of ['qwen/qwen-vl-max', 'qwen2.5-vl-72b-instruct', 'qwen-omni-turbo', 'qvq-max']) {
+      assert.strictEqual((await provider.prepareRequest(imageRequest(model))).model, model);
+    }
+
+    const textOnly = { model: 'qwen3-coder-plus', messages: [{ role: 'user', content: 'hi' }] };
+    assert.strictEqual(await provider.prepareRequest(textOnly), textOnly);
+
+    const keyed = createProvider({ apiKey: 'sk-test', vision: { models: ['my-finetune'] } });
+    assert.strictEqual((await keyed.prepareRequest(imageRequest('qwen-plus'))).model, 'qwen3-vl-plus');
+    assert.strictEqual((await keyed.prepareRequest(imageRequest('my-finetune'))).model, 'my-finetune');
+  });
+
+  test('should send remote images as data URLs unless fetching is off', async () => {
+    const url = `${baseUrl}/screen.png`;
+
+    const fetched = await createProvider().prepareRequest(imageRequest('qwen-vl-max', url));
+    assert.strictEqual(fetched.messages[0].content[1].image_url.url, `data:image/png;base64,${PNG.toString('base64')}`);
+
+    const passed = await createProvider({ media: { fetchRemote: false } }).prepareRequest(imageRequest('qwen-vl-max', url));
+    assert.strictEqual(passed.messages[0].content[1].image_url.url, url);
+  });
+
+  test('should explain how to fix image requests when auto-upgrade is off', () => {
+    const provider = createProvider({ vision: { model: 'qwen-vl-max', autoUpgrade: false } });
+
+    assert.throws(() => provider.validateRequest(imageRequest('qwen/qwen3-coder-plus')), error => {
+      assert.strictEqual(error.statusCode, 400);
+      assert.strictEqual(
+        error.message,
+        'Invalid request: qwen3-coder-plus cannot read images. Use a vision model such as qwen/qwen-vl-max, ' +
+        'set PROVIDER_QWEN_VISION_AUTO_UPGRADE=true to switch automatically, or remove the images'
+      );
+      return true;
+    });
+    assert.doesNotThrow(() => provider.validateRequest(imageRequest('qwen/qwen-vl-max')));
+  });
+});
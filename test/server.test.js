@@ -0,0 +1,122 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ProviderFactory } from '../src/providers/provider-factory.js';
+import { startBridge } from './helpers/bridge.js';
+
+const baseProviderUrl = pathToFileURL(path.resolve('src/providers/base-provider.js')).href;
+
+// Provider whose behaviour is set with PROVIDER_<NAME>_MODE: 'ok', 'down' (503s) or 'broken-stream'
+function scriptedPluginSource(name) {
+  return `
+import { BaseProvider } from '${baseProviderUrl}';
+
+class ScriptedProvider extends BaseProvider {
+  async initialize() {}
+  async getValidAccessToken() { return 'token'; }
+  translateRequest(request) { return { text: request.messages.at(-1).content }; }
+  translateResponse(response) {
+    return { id: 'scripted-1', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: response.text }, finish_reason: 'stop' }] };
+  }
+  async forwardRequest(request) {
+    if (this.config.mode === 'down') {
+      throw Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+    }
+    return { text: '${name}: ' + request.text };
+  }
+  async *streamResponse(response) {
+    yield { id: 'scripted-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: response.text }, finish_reason: null }] };
+    if (this.config.mode === 'broken-stream') {
+      throw new TypeError('terminated');
+    }
+    yield { id: 'scripted-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+  }
+}
+
+export default { name: '${name}', Provider: ScriptedProvider, configSchema: { mode: { type: 'string', default: 'ok' } } };
+`;
+}
+
+function postChat(baseURL, body, pathname = '/v1/chat/completions') {
+  return fetch(`${baseURL}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('ClaudeBridge', () => {
+  const pluginNames = ['primary', 'backup'];
+  let pluginsDir;
+  let bridge;
+
+  before(async () => {
+    pluginsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-server-'));
+    for (const name of pluginNames) {
+      await fs.writeFile(path.join(pluginsDir, `${name}.js`), scriptedPluginSource(name));
+    }
+  });
+
+  after(async () => {
+    await fs.rm(pluginsDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    bridge?.close();
+    bridge = null;
+    pluginNames.forEach(name => ProviderFactory.unregisterPlugin(name));
+  });
+
+  test('should report a bridge limit hit on the fallback instead of the primary failure', async () => {
+    bridge = await startBridge({
+      PROVIDER_PLUGINS_DIR: pluginsDir,
+      PROVIDER_PRIMARY_MODE: 'down',
+      MODEL_FALLBACKS: 'primary/model->backup/model',
+      BRIDGE_RATE_LIMIT_RPM: '1',
+      CIRCUIT_BREAKER_MIN_REQUESTS: '1'
+    });
+    const request = { model: 'primary/model', messages: [{ role: 'user', content: 'hi' }] };
+
+    // The primary's 503 opens its circuit and the fallback answers
+    const served = await postChat(bridge.baseURL, request);
+    assert.strictEqual(served.status, 200);
+    assert.strictEqual(served.headers.get('x-bridge-provider'), 'backup');
+
+    // Now the primary is skipped before the limiter, which refuses the fallback
+    const refused = await postChat(bridge.baseURL, request);
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual((await refused.json()).error.code, 'rate_limit_exceeded');
+  });
+
+  test('should end a stream that fails midway with an error event', async () => {
+    bridge = await startBridge({ PROVIDER_PLUGINS_DIR: pluginsDir, PROVIDER_PRIMARY_MODE: 'broken-stream' });
+
+    const openAI = await (await postChat(bridge.baseURL, {
+      model: 'primary/model',
+      stream: true,
+      messages: [{ role: 'user', content: 'hi' }]
+    })).text();
+    const events = openAI.split('\n\n').filter(Boolean);
+    assert.strictEqual(JSON.parse(events[0].slice('data: '.length)).choices[0].delta.content, 'primary: hi');
+    assert.deepStrictEqual(JSON.parse(events.at(-1).slice('data: '.length)), {
+      error: { message: 'terminated', type: 'api_error' }
+    });
+    assert(!openAI.includes('[DONE]'));
+
+    const anthropic = await (await postChat(bridge.baseURL, {
+      model: 'primary/model',
+      max_tokens: 100,
+      stream: true,
+      messages: [{ role: 'user', content: 'hi' }]
+    }, '/v1/messages')).text();
+    const last = anthropic.trim().split('\n\n').at(-1).split('\n');
+    assert.strictEqual(last[0], 'event: error');
+    assert.deepStrictEqual(JSON.parse(last[1].slice('data: '.length)), {
+      type: 'error',
+      error: { type: 'api_error', message: 'terminated' }
+    });
+  });
+});
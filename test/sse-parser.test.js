@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+import { SSEParser, parseSSEStream } from '../src/utils/sse-parser.js';
+import { QwenProvider } from '../src/providers/qwen-provider.js';
+
+// Build a fetch-style response body that delivers the given pieces one by one
+function createStreamResponse(pieces) {
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) {
+        controller.enqueue(encoder.encode(piece));
+      }
+      controller.close();
+    }
+  });
+  return new Response(stream);
+}
+
+describe('SSEParser', () => {
+  test('should parse events with \\n, \\r\\n and \\r line endings', () => {
+    const parser = new SSEParser();
+    const events = [
+      ...parser.feed('data: one\n\ndata: two\r\n\r\ndata: three\r\r'),
+      // A trailing \r is held until the parser knows it is not half of \r\n
+      ...parser.flush()
+    ];
+
+    assert.deepStrictEqual(events.map(event => event.data), ['one', 'two', 'three']);
+  });
+
+  test('should join multi-line data fields and read event and id fields', () => {
+    const parser = new SSEParser();
+    const events = parser.feed('event: update\nid: 42\ndata: first\ndata: second\n\n');
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].event, 'update');
+    assert.strictEqual(events[0].id, '42');
+    assert.strictEqual(events[0].data, 'first\nsecond');
+  });
+
+  test('should ignore comments and events without data', () => {
+    const parser = new SSEParser();
+    const events = parser.feed(': keep-alive\n\nevent: ping\n\ndata:no-space\n\n');
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].event, 'message');
+    assert.strictEqual(events[0].data, 'no-space');
+  });
+
+  test('should handle lines and \\r\\n pairs split across chunks', () => {
+    const parser = new SSEParser();
+    const events = [
+      ...parser.feed('da'),
+      ...parser.feed('ta: {"a"'),
+      ...parser.feed(':1}\r'),
+      ...parser.feed('\n\r'),
+      ...parser.feed('\n')
+    ];
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].data, '{"a":1}');
+  });
+
+  test('should flush a pending event when the stream ends without a blank line', () => {
+    const parser = new SSEParser();
+    assert.deepStrictEqual(parser.feed('data: last'), []);
+
+    const events = parser.flush();
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].data, 'last');
+  });
+
+  test('should parse a response body stream', async () => {
+    const response = createStreamResponse(['event: a\ndata: 1\n', '\ndata: 2\n\n']);
+    const events = [];
+    for await (const event of parseSSEStream(response.body)) {
+      events.push(event);
+    }
+
+    assert.deepStrictEqual(events.map(event => [event.event, event.data]), [['a', '1'], ['message', '2']]);
+  });
+});
+
+describe('BaseProvider.streamResponse', () => {
+  test('should translate upstream events into OpenAI chunks and stop at [DONE]', async () => {
+    const provider = new QwenProvider({
+      name: 'qwen',
+      clientId: 'test-client',
+      credentialsPath: '/tmp/does-not-exist.json'
+    }, new Logger('error'));
+
+    const response = createStreamResponse([
+      ': comment\r\n',
+      'data: {"id":"c1","choices":[{"index":0,"delta":{"content":"Hel"}}]}\r\n\r\n',
+      'data: not-json\n\n',
+      'data: {"id":"c1","choices":[{"index":0,"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\n',
+      'data: [DONE]\n\n',
+      'data: {"id":"after-done","choices":[]}\n\n'
+    ]);
+
+    const chunks = [];
+    for await (const chunk of provider.streamResponse(response)) {
+      chunks.push(chunk);
+    }
+
+    assert.strictEqual(chunks.length, 2);
+    assert.strictEqual(chunks[0].object, 'chat.completion.chunk');
+    assert.strictEqual(chunks[0].choices[0].delta.content, 'Hel');
+    assert.strictEqual(chunks[1].choices[0].finish_reason, 'stop');
+  });
+});
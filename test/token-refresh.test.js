@@ -0,0 +1,223 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Logger } from '../src/logger.js';
+import { QwenAuthManager } from '../src/auth/qwen-auth-manager.js';
+import { GeminiAuthManager } from '../src/auth/gemini-auth-manager.js';
+
+// Local stand-in for an OAuth token endpoint that rotates refresh tokens:
+// each refresh token is accepted once, reusing it fails with invalid_grant
+function createTokenServer() {
+  const state = { hits: 0, validRefreshToken: 'refresh-0', generation: 0, failuresLeft: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.hits++;
+      const params = req.headers['content-type'].includes('json')
+        ? JSON.parse(body)
+        : Object.fromEntries(new URLSearchParams(body));
+
+      // Respond slowly so concurrent callers overlap with the in-flight refresh
+      setTimeout(() => {
+        res.setHeader('Content-Type', 'application/json');
+        if (state.failuresLeft > 0) {
+          state.failuresLeft--;
+          res.statusCode = 503;
+          res.end(JSON.stringify({ error: 'temporarily_unavailable' }));
+          return;
+        }
+        if (params.refresh_token !== state.validRefreshToken) {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'refresh token already used' }));
+          return;
+        }
+
+        state.generation++;
+        state.validRefreshToken = `refresh-${state.generation}`;
+        res.end(JSON.stringify({
+          access_token: `access-${state.generation}`,
+          refresh_token: state.validRefreshToken,
+          expires_in: 3600
+        }));
+      }, 50);
+    });
+  });
+
+  return { server, state };
+}
+
+// Wait until a condition holds, polling the event loop
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Token refresh', () => {
+  let tokenServer;
+  let tokenUrl;
+  let tempDir;
+  let credentialsPath;
+  let authManager;
+
+  beforeEach(async () => {
+    tokenServer = createTokenServer();
+    await new Promise(resolve => tokenServer.server.listen(0, '127.0.0.1', resolve));
+    tokenUrl = `http://127.0.0.1:${tokenServer.server.address().port}/token`;
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-refresh-'));
+    credentialsPath = path.join(tempDir, 'oauth_creds.json');
+    await fs.writeFile(credentialsPath, JSON.stringify({
+      access_token: 'access-expired',
+      refresh_token: 'refresh-0',
+      expiry_date: Date.now() - 1000
+    }));
+  });
+
+  afterEach(async () => {
+    authManager?.stopRefreshScheduler();
+    authManager = null;
+    tokenServer.server.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should send one Qwen refresh for 20 concurrent expired-token requests', async () => {
+    authManager = new QwenAuthManager(credentialsPath, 'test-client', new Logger('error'), { tokenUrl });
+    await authManager.loadCredentials();
+
+    const tokens = await Promise.all(
+      Array.from({ length: 20 }, () => authManager.getValidAccessToken())
+    );
+
+    assert.strictEqual(tokenServer.state.hits, 1);
+    assert(tokens.every(token => token === 'access-1'));
+
+    const saved = JSON.parse(await fs.readFile(credentialsPath, 'utf8'));
+    assert.strictEqual(saved.refresh_token, 'refresh-1');
+    assert(saved.expiry_date > Date.now());
+  });
+
+  test('should send one Gemini refresh for 20 concurrent expired-token requests', async () => {
+    authManager = new GeminiAuthManager(credentialsPath, 'client-id', 'client-secret', new Logger('error'), { tokenUrl });
+    await authManager.loadCredentials();
+
+    const tokens = await Promise.all(
+      Array.from({ length: 20 }, () => authManager.getValidAccessToken())
+    );
+
+    assert.strictEqual(tokenServer.state.hits, 1);
+    assert(tokens.every(token => token === 'access-1'));
+  });
+
+  test('should start a new refresh after the shared one settles', async () => {
+    authManager = new QwenAuthManager(credentialsPath, 'test-client', new Logger('error'), { tokenUrl });
+    await authManager.loadCredentials();
+
+    await authManager.refreshTokenShared();
+    assert.strictEqual(authManager.refreshPromise, null);
+
+    await authManager.refreshTokenShared();
+    assert.strictEqual(tokenServer.state.hits, 2);
+    assert.strictEqual(authManager.credentials.access_token, 'access-2');
+  });
+
+  test('should use a token set rotated by the CLI when the refresh token was already used', async () => {
+    authManager = new QwenAuthManager(credentialsPath, 'test-client', new Logger('error'), { tokenUrl });
+    await authManager.loadCredentials();
+
+    // The CLI refreshes first, so the bridge's in-memory refresh token is now rejected
+    tokenServer.state.validRefreshToken = 'cli-refresh';
+    await fs.writeFile(credentialsPath, JSON.stringify({
+      access_token: 'cli-access',
+      refresh_token: 'cli-refresh',
+      expiry_date: Date.now() + 60 * 60 * 1000
+    }));
+
+    assert.strictEqual(await authManager.getValidAccessToken(), 'cli-access');
+    assert.strictEqual(tokenServer.state.hits, 1);
+  });
+
+  test('should refresh in the background ahead of expiry', async () => {
+    const expiryDate = Date.now() + 60 * 60 * 1000;
+    await fs.writeFile(credentialsPath, JSON.stringify({
+      access_token: 'access-0',
+      refresh_token: 'refresh-0',
+      expiry_date: expiryDate
+    }));
+
+    const logger = new Logger('error');
+    const refreshLogs = [];
+    logger.logTokenRefresh = (success, metadata) => refreshLogs.push({ success, ...metadata });
+
+    authManager = new QwenAuthManager(credentialsPath, 'test-client', logger, { tokenUrl });
+    await authManager.loadCredentials();
+    // Lead time puts the scheduled refresh ~30ms from now
+    authManager.startRefreshScheduler({ name: 'qwen', leadTimeMs: expiryDate - Date.now() - 30 });
+
+    await waitFor(() => refreshLogs.length === 1);
+
+    assert.strictEqual(tokenServer.state.hits, 1);
+    assert.strictEqual(refreshLogs[0].success, true);
+    assert.strictEqual(refreshLogs[0].provider, 'qwen');
+    assert.strictEqual(authManager.credentials.access_token, 'access-1');
+
+    // The fresh token is served without another refresh, and the next one is re-armed
+    assert.strictEqual(await authManager.getValidAccessToken(), 'access-1');
+    assert.strictEqual(tokenServer.state.hits, 1);
+    assert(authManager.refreshScheduler.timer);
+  });
+
+  test('should retry a failed background refresh with backoff', async () => {
+    tokenServer.state.failuresLeft = 2;
+
+    const logger = new Logger('error');
+    const refreshLogs = [];
+    logger.logTokenRefresh = (success, metadata) => refreshLogs.push({ success, ...metadata });
+
+    authManager = new GeminiAuthManager(credentialsPath, 'client-id', 'client-secret', logger, { tokenUrl });
+    await authManager.loadCredentials();
+    authManager.startRefreshScheduler({ name: 'gemini', retryDelayMs: 10 });
+
+    await waitFor(() => refreshLogs.some(entry => entry.success));
+
+    assert.deepStrictEqual(
+      refreshLogs.map(entry => [entry.success, entry.attempt, entry.retryInMs]),
+      [[false, 1, 10], [false, 2, 20], [true, 3, undefined]]
+    );
+    assert.strictEqual(tokenServer.state.hits, 3);
+    assert.strictEqual(authManager.credentials.access_token, 'access-1');
+  });
+
+  test('should stop retrying when the refresh token is rejected', async () => {
+    await fs.writeFile(credentialsPath, JSON.stringify({
+      access_token: 'access-expired',
+      refresh_token: 'revoked',
+      expiry_date: Date.now() - 1000
+    }));
+
+    const logger = new Logger('error');
+    const refreshLogs = [];
+    logger.logTokenRefresh = (success, metadata) => refreshLogs.push({ success, ...metadata });
+
+    authManager = new QwenAuthManager(credentialsPath, 'test-client', logger, { tokenUrl });
+    await authManager.loadCredentials();
+    authManager.startRefreshScheduler({ name: 'qwen', retryDelayMs: 10 });
+
+    await waitFor(() => refreshLogs.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.strictEqual(refreshLogs.length, 1);
+    assert.strictEqual(refreshLogs[0].success, false);
+    assert.strictEqual(refreshLogs[0].retryInMs, null);
+    assert.strictEqual(tokenServer.state.hits, 1);
+  });
+});
@@ -0,0 +1,193 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { Logger } from '../src/logger.js';
+import { ErrorHandler } from '../src/error-handler.js';
+import { UsageLimiter } from '../src/usage-limiter.js';
+import { QwenProvider } from '../src/providers/qwen-provider.js';
+import { QwenTranslator } from '../src/translators/qwen-translator.js';
+
+const logger = new Logger('error');
+
+describe('UsageLimiter', () => {
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(() => {
+    now = Date.UTC(2026, 0, 15, 12, 0, 0);
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  test('should allow a burst and then refill at the per-minute rate', () => {
+    const limiter = new UsageLimiter({ requestsPerMinute: 60, burst: 2 }, [], logger);
+
+    limiter.consume('laptop');
+    const headers = limiter.consume('laptop');
+    assert.strictEqual(headers['x-ratelimit-limit-requests'], '60');
+    assert.strictEqual(headers['x-ratelimit-remaining-requests'], '0');
+
+    assert.throws(() => limiter.consume('laptop'), error => {
+      assert.strictEqual(error.statusCode, 429);
+      assert.strictEqual(error.code, 'rate_limit_exceeded');
+      assert.strictEqual(error.retryAfterMs, 1000);
+      assert.strictEqual(error.headers['Retry-After'], '1');
+      return true;
+    });
+
+    // One request per second at 60 rpm
+    now += 1000;
+    limiter.consume('laptop');
+  });
+
+  test('should keep separate buckets per key', () => {
+    const limiter = new UsageLimiter({ requestsPerMinute: 1 }, [], logger);
+
+    limiter.consume('laptop');
+    limiter.consume('ci');
+    assert.throws(() => limiter.consume('laptop'), { code: 'rate_limit_exceeded' });
+  });
+
+  test('should refuse requests over the daily request budget until midnight UTC', () => {
+    const limiter = new UsageLimiter({ dailyRequests: 2 }, [], logger);
+
+    limiter.consume('laptop');
+    const headers = limiter.consume('laptop');
+    assert.strictEqual(headers['x-ratelimit-remaining-requests-day'], '0');
+
+    assert.throws(() => limiter.consume('laptop'), error => {
+      assert.strictEqual(error.code, 'daily_request_budget_exceeded');
+      // 12 hours left in the UTC day
+      assert.strictEqual(error.headers['Retry-After'], String(12 * 60 * 60));
+      return true;
+    });
+
+    now = Date.UTC(2026, 0, 16, 0, 0, 1);
+    limiter.consume('laptop');
+  });
+
+  test('should track the daily token budget from response usage', () => {
+    const limiter = new UsageLimiter({ dailyTokens: 1000 }, [], logger);
+
+    limiter.consume('laptop');
+    limiter.recordUsage('laptop', { prompt_tokens: 400, completion_tokens: 300, total_tokens: 700 });
+
+    const headers = limiter.consume('laptop');
+    assert.strictEqual(headers['x-ratelimit-remaining-tokens-day'], '300');
+
+    // Gemini stream chunks carry usageMetadata
+    limiter.recordUsage('laptop', { totalTokenCount: 350 });
+    assert.throws(() => limiter.consume('laptop'), { code: 'daily_token_budget_exceeded' });
+  });
+
+  test('should not spend the bucket on a request refused by a budget', () => {
+    const limiter = new UsageLimiter({ requestsPerMinute: 60, burst: 1, dailyRequests: 1 }, [], logger);
+
+    limiter.consume('laptop');
+    now += 1000;
+    assert.throws(() => limiter.consume('laptop'), { code: 'daily_request_budget_exceeded' });
+    assert.strictEqual(limiter.states.get('laptop').bucket, 1);
+  });
+
+  test('should apply per-key overrides from BRIDGE_KEY_LIMITS', () => {
+    const limiter = new UsageLimiter(
+      { requestsPerMinute: 60, dailyTokens: 100000 },
+      ['ci:rpm=2;daily_requests=10'],
+      logger
+    );
+
+    assert.deepStrictEqual(limiter.getLimits('ci'), {
+      requestsPerMinute: 2,
+      burst: 2,
+      dailyRequests: 10,
+      dailyTokens: 100000
+    });
+    assert.strictEqual(limiter.getLimits('laptop').requestsPerMinute, 60);
+  });
+
+  test('should reject malformed overrides', () => {
+    assert.throws(() => new UsageLimiter({}, ['ci:rpm=fast'], logger), /Invalid BRIDGE_KEY_LIMITS setting "rpm=fast"/);
+    assert.throws(() => new UsageLimiter({}, ['rpm=10'], logger), /Invalid BRIDGE_KEY_LIMITS entry/);
+  });
+
+  test('should send the 429 with Retry-After and x-ratelimit headers through ErrorHandler', () => {
+    const limiter = new UsageLimiter({ requestsPerMinute: 30, burst: 1 }, [], logger);
+    limiter.consume('laptop');
+
+    let error;
+    try {
+      limiter.consume('laptop');
+    } catch (caught) {
+      error = caught;
+    }
+
+    const response = {};
+    const res = {
+      set: headers => { response.headers = headers; return res; },
+      status: code => { response.status = code; return res; },
+      json: data => { response.body = data; return res; }
+    };
+    new ErrorHandler(logger).handleError(error, res);
+
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(response.headers['Retry-After'], '2');
+    assert.strictEqual(response.headers['x-ratelimit-remaining-requests'], '0');
+    assert.strictEqual(response.body.error.code, 'rate_limit_exceeded');
+    assert(response.body.error.message.includes("'laptop'"));
+  });
+});
+
+describe('Streaming usage', () => {
+  let upstream;
+  let baseURL;
+
+  beforeEach(async () => {
+    // Qwen stand-in that, like the real API, sends a usage chunk only when asked to
+    upstream = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"id":"c1","choices":[{"index":0,"delta":{"content":"hi"},"finish_reason":"stop"}]}\n\n');
+        if (request.stream_options?.include_usage) {
+          res.write('data: {"id":"c1","choices":[],"usage":{"prompt_tokens":40,"completion_tokens":2,"total_tokens":42}}\n\n');
+        }
+        res.end('data: [DONE]\n\n');
+      });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${upstream.address().port}`;
+  });
+
+  afterEach(() => {
+    upstream.close();
+  });
+
+  test('should count a streamed response against the daily token budget', async () => {
+    const provider = new QwenProvider({ name: 'qwen', clientId: 'test-client', credentialsPath: '/tmp/none.json' }, logger);
+    provider.translator = new QwenTranslator(logger, `${baseURL}/v1`, 5000);
+    const limiter = new UsageLimiter({ dailyTokens: 1000 }, [], logger);
+
+    limiter.consume('laptop');
+    const providerRequest = provider.translateRequest({
+      model: 'qwen3-coder-plus',
+      messages: [{ role: 'user', content: 'hi' }],
+      stream: true
+    });
+    assert.deepStrictEqual(providerRequest.stream_options, { include_usage: true });
+
+    // Same bookkeeping as the bridge's streaming handlers
+    let usage = null;
+    const response = await provider.forwardRequest(providerRequest, 'token');
+    for await (const chunk of provider.streamResponse(response)) {
+      usage = chunk.usage || usage;
+    }
+    limiter.recordUsage('laptop', usage);
+
+    assert.strictEqual(limiter.consume('laptop')['x-ratelimit-remaining-tokens-day'], '958');
+  });
+});